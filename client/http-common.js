@@ -8,10 +8,48 @@ let customAxios = axios.create({
   }
 })
 
+// Pedido de renovação em curso, partilhado por todos os pedidos que falhem entretanto
+// (cada refresh token só pode ser utilizado uma vez)
+let pendingRefresh = null;
+
+function refreshTokens() {
+  if (!pendingRefresh) {
+    const refreshToken = JSON.parse(localStorage.getItem('refreshToken'));
+
+    pendingRefresh = customAxios.post("/auth/refresh", { refresh_token: refreshToken }, { _isRefresh: true })
+      .then((response) => {
+        localStorage.setItem('accessToken', JSON.stringify(response.data.token));
+        localStorage.setItem('refreshToken', JSON.stringify(response.data.refresh_token));
+        return response.data.token;
+      })
+      .finally(() => {
+        pendingRefresh = null;
+      })
+  }
+
+  return pendingRefresh;
+}
+
 customAxios.interceptors.response.use(response => {
   return response;
-}, error => {
- if (error.response.status === 401) {
+}, async error => {
+ const request = error.config;
+
+ // Falhas ao terminar sessão são ignoradas, visto que os tokens já foram apagados localmente
+ if (error.response && error.response.status === 401 && request.url !== "/auth/logout") {
+    // Caso o token de acesso tenha expirado, tentar renová-lo e repetir o pedido uma única vez
+    if (localStorage.getItem('refreshToken') && !request._isRefresh && !request._isRetry) {
+      try {
+        const token = await refreshTokens();
+        request._isRetry = true;
+        request.headers["Authorization"] = `Bearer ${token}`;
+        return customAxios(request);
+      } catch (refreshError) {
+        localStorage.removeItem('accessToken');
+        localStorage.removeItem('refreshToken');
+      }
+    }
+
     router.push('/login')
  }
  return Promise.reject(error);
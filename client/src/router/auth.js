@@ -65,11 +65,11 @@ export default class AuthService {
          * Permite decidir qual será o destino do utilizador durante a navegação consoante o seu estado de autenticação
          */
         static async authenticate(to, from, next) {
-            const publicPages = ["/produtos", "/produto", "/equipa", "/fornecedores", "/transportadores"]
+            const publicPages = ["/produtos", "/produto", "/equipa", "/fornecedores", "/transportadores", "/verificar"]
                 
             // TODO: Adicionar páginas relativas à autenticação por redes sociais
             // Páginas que são inacessíveis a utilizadores autenticados 
-            const noAuthenticationPages = ["/login", "/registo"]
+            const noAuthenticationPages = ["/login", "/registo", "/recuperar"]
         
             const isLoggedIn = await AuthService.isLoggedIn()
 
@@ -111,8 +111,15 @@ export default class AuthService {
         }
 
         static logoutUser() {
-            // Apagar token e informação sobre o utilizador presente na VueX store
+            // Revogar os tokens no servidor, caso existam
+            let accessToken = JSON.parse(localStorage.getItem('accessToken'));
+            if (accessToken) {
+                http.post("/auth/logout", {}, { headers: {"Authorization" : `Bearer ${accessToken}`} }).catch(() => {})
+            }
+
+            // Apagar tokens e informação sobre o utilizador presente na VueX store
             localStorage.removeItem('accessToken');
+            localStorage.removeItem('refreshToken');
             localStorage.removeItem('userId');
             store.dispatch('setUser', null)
             store.dispatch('setState', false);
@@ -19,6 +19,20 @@ const routes = [
       return import(/* webpackChunkName: "login" */ '../views/LoginView.vue');
     },
   },
+  {
+    path: '/recuperar',
+    name: 'recuperar',
+    component() {
+      return import(/* webpackChunkName: "login" */ '../views/PasswordResetView.vue');
+    },
+  },
+  {
+    path: '/verificar',
+    name: 'verificar',
+    component() {
+      return import(/* webpackChunkName: "login" */ '../views/EmailVerificationView.vue');
+    },
+  },
   {
     path: '/administracao',
     name: 'admin',
@@ -84,6 +98,10 @@ const routes = [
         name: 'companyInfo',
         component: ProfileView,
         },
+      { path: 'equipas',
+        name: 'teams',
+        component: ProfileView,
+        },
       { path: 'encomendas',
         name: 'orders',
         component: ProfileView,
@@ -0,0 +1,8 @@
+// Converte um mapa de versões de uma imagem devolvido pela API (e.g. { "160w": url, "480w": url }) num atributo srcset
+export function toSrcset(renditions) {
+  if (!renditions) return null;
+
+  return Object.entries(renditions)
+    .map(([width, url]) => `${url} ${width}`)
+    .join(", ");
+}
@@ -4,11 +4,12 @@
 const express   = require('express');
 const router    = express.Router();
 const passport  = require('../server').passport;
-const jwt       = require("jsonwebtoken");
 const cors = require('cors');
 
 /* Greenly libraries */
-const { loginValidator } = require('../lib/validation');
+const { loginValidator, twoFactorLoginValidator, linkTokenValidator, refreshTokenValidator, forgotPasswordValidator, resetPasswordValidator, verifyEmailValidator } = require('../lib/validation');
+const { verifyTwoFactorCode, linkIdentity, rotateRefreshToken, revokeAccessToken, endSession, getUserByID, resetPassword, verifyEmail, report } = require('../lib/persistence');
+const { passwordResetEmailHandler, verificationEmailHandler } = require('../lib/handler');
 const { defaultErr } = require('../lib/error');
 const authentication = require('../lib/authentication');
 
@@ -16,7 +17,7 @@ router.all('*', cors({origin: '*'}));
 
 /* This function uses the basic-login strategy. Returns JWT token to use if everything goes well, returns error messages otherwise. */
 
-router.post('/login', loginValidator(), async (req, res, next) => {
+router.post('/login', loginValidator(), authentication.throttleLogin(req => req.body.email), async (req, res, next) => {
     passport.authenticate('basic-login', async (err, user, info) => {
         try {
             if (err) {
@@ -25,8 +26,10 @@ router.post('/login', loginValidator(), async (req, res, next) => {
             }
             if (!user) {
                 // If the authentication goes wrong
+                await authentication.recordLoginThrottleFailure(req, req.throttleEmail);
                 return res.status(401).send(info)
             }
+            await authentication.clearLoginThrottle(req, req.throttleEmail);
             req.login(user, {
                 session: false
             }, async (error) => {
@@ -34,23 +37,11 @@ router.post('/login', loginValidator(), async (req, res, next) => {
                     // Handling any possible errors
                     return res.status(500).send(defaultErr())
                 }
-                // If everything goes well, generate the new JWT token and send it.
-                const body = {
-                    id: user.id,
-                    email: user.email
-                };
-                const token = jwt.sign({
-                    user: body
-                }, process.env.JWT_SECRET,
-                // Signing options
-                {
-                    expiresIn: process.env.JWT_EXPIRATION
-                });
-
-                return res.json({
-                    token: token,
-                    id: user.id
-                });
+                // If everything goes well, generate the new tokens (or the 2FA challenge) and send them.
+                const tokens = await authentication.completeLogin(user, req, "local");
+                if (!tokens) return res.status(500).send(defaultErr())
+
+                return res.json(tokens);
             });
         } catch (error) {
             return next(error);
@@ -78,20 +69,10 @@ router.post('/google', async (req, res, next) => {
             if (error) {
                 return res.status(500).send(defaultErr())
             }
-            const body = {
-                id: user.id,
-                email: user.email
-            };
-            const token = jwt.sign({
-                    user: body
-                }, process.env.JWT_SECRET,
-                {
-                    expiresIn: process.env.JWT_EXPIRATION
-                });
-            return res.json({
-                token: token,
-                id: user.id
-            });
+            const tokens = await authentication.completeLogin(user, req, "google");
+            if (!tokens) return res.status(500).send(defaultErr())
+
+            return res.json(tokens);
         });
     } catch (error) {
         return next(error);
@@ -120,22 +101,11 @@ router.post('/facebook', async (req, res, next) => {
                     // Handling any possible errors
                     return res.status(500).send(defaultErr())
                 }
-                // If everything goes well, generate the new JWT token and send it.
-                const body = {
-                    id: user.id,
-                    email: user.email
-                };
-                const token = jwt.sign({
-                    user: body
-                }, process.env.JWT_SECRET,
-                // Signing options
-                {
-                    expiresIn: process.env.JWT_EXPIRATION
-                });
-                return res.json({
-                    token: token,
-                    id: user.id
-                });
+                // If everything goes well, generate the new tokens (or the 2FA challenge) and send them.
+                const tokens = await authentication.completeLogin(user, req, "facebook");
+                if (!tokens) return res.status(500).send(defaultErr())
+
+                return res.json(tokens);
             });
         } catch (error) {
             return next(error);
@@ -144,6 +114,147 @@ router.post('/facebook', async (req, res, next) => {
 }
 );
 
+/* Second login step for users with 2FA enabled. Accepts either a TOTP code or one of the recovery codes. */
+
+/* Failed codes count towards the same throttle as failed passwords, keyed by the e-mail of the challenged account */
+const twoFactorThrottleEmail = async function (req) {
+    const challenge = authentication.verifyTwoFactorChallenge(req.body.two_factor_token);
+    const user = challenge ? await getUserByID(challenge.id) : null;
+    return user ? user.email : "";
+}
+
+router.post('/login/2fa', twoFactorLoginValidator(), authentication.throttleLogin(twoFactorThrottleEmail), async (req, res) => {
+    const challenge = authentication.verifyTwoFactorChallenge(req.body.two_factor_token);
+    if (!challenge) return res.status(401).json({message: "Invalid or expired two-factor token."})
+
+    if (!await verifyTwoFactorCode(challenge.id, req.body.code)) {
+        await authentication.recordLoginThrottleFailure(req, req.throttleEmail);
+        return res.status(401).json({message: "Invalid two-factor authentication code."})
+    }
+
+    const user = await getUserByID(challenge.id);
+    if (!user) return res.status(401).json({message: "Invalid or expired two-factor token."})
+
+    await authentication.clearLoginThrottle(req, req.throttleEmail);
+
+    const tokens = await authentication.startSession(user, req, challenge.provider);
+    if (!tokens) return res.status(500).send(defaultErr())
+
+    return res.json(tokens);
+})
+
+/* Links the Facebook or Google identity which was refused at login (as its e-mail belongs to an existing account)
+   to the account the user has meanwhile signed in to.
+*/
+
+router.post('/link', authentication.check, linkTokenValidator(), async (req, res) => {
+    const link = authentication.verifyLinkToken(req.body.link_token);
+
+    if (!link || link.id != req.user.id) {
+        return res.status(400).json({message: "Invalid or expired link token."})
+    }
+
+    const result = await linkIdentity(req.user.id, {provider: link.provider, subject: link.subject});
+
+    switch (result) {
+        case null:
+            return res.status(500).send(defaultErr())
+        case "ALREADY_LINKED":
+            return res.status(409).json({message: "An identity from this provider is already linked to the account."})
+        case "IDENTITY_IN_USE":
+            return res.status(409).json({message: "Identity is already linked to another account."})
+        default:
+            return res.status(201).json({message: "Identity linked successfully."})
+    }
+})
+
+/* Exchanges a refresh token for a new pair of tokens. Each refresh token can only be used once. */
+
+router.post('/refresh', refreshTokenValidator(), async (req, res) => {
+    const result = await rotateRefreshToken(req.body.refresh_token, req.ip);
+
+    switch (result) {
+        case null:
+            return res.status(500).send(defaultErr())
+        case "INVALID_TOKEN":
+        case "EXPIRED_TOKEN":
+        case "REUSED_TOKEN":
+            return res.status(401).json({message: "Invalid refresh token."})
+    }
+
+    const user = await getUserByID(result.user);
+    if (!user) return res.status(401).json({message: "Invalid refresh token."})
+
+    const tokens = await authentication.issueTokens(user, result.session);
+    if (!tokens) return res.status(500).send(defaultErr())
+
+    return res.json(tokens);
+})
+
+/* Revokes the access token used in the request and ends its session, along with the refresh token issued within it */
+
+router.post('/logout', authentication.check, async (req, res) => {
+    if (!await revokeAccessToken(req.token.id, req.token.expiration)) {
+        return res.status(500).send(defaultErr())
+    }
+
+    await endSession(req.user.id, req.token.session);
+
+    return res.status(200).json({message: "Logged out successfully."})
+})
+
+/*  Sends a password reset link to the given e-mail. The link is sent after responding, so that neither the response
+    nor the time it takes reveal whether the e-mail is registered.
+*/
+
+router.post('/password/forgot', forgotPasswordValidator(), async (req, res) => {
+    res.status(200).json({message: "If the e-mail is registered, a password reset link has been sent to it."})
+
+    passwordResetEmailHandler(req.body.email).catch(report)
+})
+
+router.post('/password/reset', resetPasswordValidator(), async (req, res) => {
+    const result = await resetPassword(req.body.token, req.body.password);
+
+    switch (result) {
+        case null:
+            return res.status(500).send(defaultErr())
+        case "INVALID_TOKEN":
+        case "EXPIRED_TOKEN":
+            return res.status(400).json({message: "Invalid or expired password reset token."})
+        default:
+            return res.status(200).json({message: "Password reset successfully."})
+    }
+})
+
+/* Confirms the user's e-mail address through the token sent to it on registration */
+
+router.post('/verify', verifyEmailValidator(), async (req, res) => {
+    const result = await verifyEmail(req.body.token);
+
+    switch (result) {
+        case null:
+            return res.status(500).send(defaultErr())
+        case "INVALID_TOKEN":
+        case "EXPIRED_TOKEN":
+            return res.status(400).json({message: "Invalid or expired verification token."})
+        default:
+            return res.status(200).json({message: "E-mail verified successfully."})
+    }
+})
+
+router.post('/verify/resend', authentication.check, async (req, res) => {
+    if (req.user.verified) {
+        return res.status(409).json({message: "E-mail already verified."})
+    }
+
+    if (!await verificationEmailHandler(req.user.id)) {
+        return res.status(500).send(defaultErr())
+    }
+
+    return res.status(200).json({message: "Verification e-mail sent."})
+})
+
 router.get('/status', authentication.check, async (req, res, next) => {
     if (req.user) {
         res.status(200).send({
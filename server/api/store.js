@@ -15,15 +15,27 @@ const multer = Multer({
 /* Greenly libraries */
 const { 
     getProductsValidator,
+    getProductValidator,
+    getSearchSuggestionsValidator,
     createCategoryValidator,              
     updateCategoryValidator,
     getSingleOrderValidator,
     updateOrderValidator, 
     createProductValidator,
     updateProductValidator,
+    createProductVariantValidator,
     createProductAttributeValidator,
-    updateProductImageValidator} = require('../lib/validation.js');
+    updateProductImageValidator,
+    importCatalogValidator,
+    exportCatalogValidator,
+    getAuditLogValidator,
+    getProductReviewsValidator,
+    reviewedItemValidator,
+    createReviewValidator,
+    getReviewsValidator,
+    moderateReviewValidator} = require('../lib/validation.js');
 const persistence       = require('../lib/persistence.js');
+const catalog           = require("../lib/catalog")
 const payment           = require("../lib/payment")
 const authentication    = require("../lib/authentication");
 const authorization     = require("../lib/authorization");
@@ -32,6 +44,15 @@ const defaultErr        = require("../lib/error").defaultErr;
 
 /* Product Routes */
 
+// Sustainability filters on the supplies listed (see persistence.getAllProducts)
+function sustainabilityFilters(req) {
+    return {
+        fuel_type: req.query.fuel_type,
+        max_emissions: req.query.max_emissions,
+        min_renewable: req.query.min_renewable
+    }
+}
+
 /* GET /store/products */
 
 router.get('/products', getProductsValidator(), (req, res) => {
@@ -44,22 +65,27 @@ router.get('/products', getProductsValidator(), (req, res) => {
             req.query.sort,
             {min: req.query.min_price, max: req.query.max_price},
             req.query.supplier,
-            req.query.include_unbuyable)
+            req.query.include_unbuyable,
+            req.query.cursor,
+            req.query.attr,
+            sustainabilityFilters(req))
         .then((productData) => {
 
-            if (productData) {
-
-                for (let i = 0; i < productData.products.length; i++) {
-                    // Renaming Category key -> category
-                    delete Object.assign(productData.products[i], {["category"]: productData.products[i]["Category"] })["Category"];
+            if (productData == "INVALID_CURSOR") {
+                return res.status(400).send({message: "Invalid cursor."})
+            }
 
-                    // Removing unrequired keys
-                    delete productData.products[i].Supply
-                }
+            for (let i = 0; i < productData.products.length; i++) {
+                // Renaming Category key -> category
+                delete Object.assign(productData.products[i], {["category"]: productData.products[i]["Category"] })["Category"];
             }
 
             res.status(200).json(productData)
         })
+        .catch((e) => {
+            persistence.report(e)
+            res.status(500).send(defaultErr());
+        })
     } 
     catch (e) {
         console.log(e)
@@ -68,14 +94,78 @@ router.get('/products', getProductsValidator(), (req, res) => {
 )
 
 
+/* Catalog Routes */
+
+/* POST /store/products/import */
+
+router.post(
+    '/products/import',
+    authentication.check,
+    authorization.check,
+    multer.single("upload"),
+    importCatalogValidator(),
+    (req, res) => {
+
+        const dryRun = req.query.dry_run ?? false
+
+        catalog.importCatalog(
+            req.file,
+            dryRun,
+            authorization.auditContext(req)
+        ).then((result) => {
+            switch (result) {
+                case null:
+                    return res.status(500).send(defaultErr())
+                case "NO_FILE":
+                    return res.status(400).send({message: "No file has been uploaded. Make sure to upload a CSV or JSON catalog file."})
+                case "INVALID_FILE":
+                    return res.status(400).send({message: "Specified file is invalid. Make sure to provide a CSV file with a header row (including a 'name' column) or a JSON array of products."})
+                case "EMPTY_FILE":
+                    return res.status(400).send({message: "Specified file doesn't list any products."})
+                case "TOO_MANY_ROWS":
+                    return res.status(400).send({message: "Catalog files can't list more than 1000 products."})
+                default:
+                    if (dryRun) {
+                        return res.status(200).json(result)
+                    }
+
+                    return res.status(result.applied ? 201 : 400).json(result)
+                }
+        })
+
+    }
+)
+
+/* GET /store/products/export */
+
+router.get('/products/export', authentication.check, authorization.check, exportCatalogValidator(), (req, res) => {
+
+    const format = req.query.format ?? "csv"
+
+    catalog.exportCatalog(format).then((file) => {
+        if (file === null) {
+            return res.status(500).send(defaultErr())
+        }
+
+        res.set({
+            "Content-Type": format == "json" ? "application/json" : "text/csv; charset=utf-8",
+            "Content-Disposition": `attachment; filename="catalog.${format}"`
+        })
+
+        return res.status(200).send(file)
+    })
+
+})
+
+
 /* GET /store/product/{productId} */
 
-router.get('/products/:productId', (req, res) => {
+router.get('/products/:productId', getProductValidator(), (req, res) => {
     /* This function may seem rather confusing. Its purpose is to not 
        not only provide a decent REST API structure, but to obfuscate database structure, as it shouldn't be mirrored by the API */
     
     try {
-        persistence.getProductByID(Number(req.params.productId)).then((product) => {
+        persistence.getProductByID(Number(req.params.productId), sustainabilityFilters(req)).then((product) => {
             if (product) {
 
                 // Renaming Category key
@@ -97,7 +187,8 @@ router.get('/products/:productId', (req, res) => {
                     // Supplier is always present
                     product.supplies[i].supplier = {
                         id: product.supplies[i].User.id,
-                        name: product.supplies[i].User.Company ? product.supplies[i].User.Company.name : `${product.supplies[i].User.first_name} ${product.supplies[i].User.last_name}`
+                        name: product.supplies[i].User.Company ? product.supplies[i].User.Company.name : `${product.supplies[i].User.first_name} ${product.supplies[i].User.last_name}`,
+                        rating: product.supplies[i].User.rating
                     }
 
                     delete product.supplies[i].User
@@ -134,6 +225,11 @@ router.get('/products/:productId', (req, res) => {
                     delete Object.assign(product.supplies[i], {["history"]: product.supplies[i].Supply_History}).Supply_History
                 }
 
+                // Variants list the same (already rearranged) supplies, grouped
+                for (let variant of product.variants) {
+                    delete Object.assign(variant, {["supplies"]: variant["Supply"] })["Supply"];
+                }
+
                 res.status(200).json(product)
             } else {
                 res.status(404).send({message: "Product not found."})
@@ -154,7 +250,9 @@ router.post('/products', authentication.check, authorization.check, createProduc
         Number(req.body.category),
         req.body.complement_name,
         Number(req.body.complement_quantity),
-        req.body.attributes
+        req.body.weight,
+        req.body.attributes,
+        authorization.auditContext(req)
     ).then((result) => {
         switch (result) {
             case null:
@@ -181,7 +279,8 @@ router.put(
 
         persistence.updateProduct(
             Number(req.params.productId),
-            req.body
+            req.body,
+            authorization.auditContext(req)
         ).then((result) => {
 
             switch (result) {
@@ -193,6 +292,10 @@ router.put(
                     return res.status(404).send({
                         message: "Invalid category. Make sure to specify a category registered on the website."
                     })
+                case "SHARED_DETAILS":
+                    return res.status(400).send({
+                        message: "A variant's name, description and category are those of its parent product. Update the parent product instead."
+                    })
                 default:
                     return res.status(200).json({message: "Successfully updated product details."})
             }
@@ -207,7 +310,8 @@ router.delete(
     authorization.check,
     (req, res) => {
         persistence.deleteProduct(
-            Number(req.params.productId)
+            Number(req.params.productId),
+            authorization.auditContext(req)
         ).then((result) => {
             switch (result) {
                 case null:
@@ -221,6 +325,41 @@ router.delete(
     }
 )
 
+/* Product Variant Routes */
+
+router.post(
+    '/products/:productId/variants',
+    authentication.check,
+    authorization.check,
+    createProductVariantValidator(),
+    (req, res) => {
+
+        persistence.createProductVariant(
+            Number(req.params.productId),
+            req.body.variant,
+            req.body.complement_name,
+            req.body.complement_quantity,
+            req.body.weight,
+            authorization.auditContext(req)
+        ).then((result) => {
+            switch (result) {
+                case null:
+                    return res.status(500).send(defaultErr())
+                case "INVALID_PRODUCT":
+                    return res.status(404).send({message: "Product not found. Make sure to specify a product currently registered on the website."})
+                case "NESTED_VARIANT":
+                    return res.status(400).send({message: "Variants can't have variants of their own. Make sure to specify the parent product."})
+                case "DUPLICATE_VARIANT":
+                    return res.status(409).send({message: "This product already has a variant with the same name."})
+                default:
+                    return res.status(201).json({
+                        id: result
+                    })
+            }
+        })
+
+})
+
 /* Product Attribute Routes */
 
 router.post(
@@ -233,7 +372,8 @@ router.post(
         persistence.createProductAttribute(
             Number(req.params.productId),
             req.body.title,
-            req.body.content
+            req.body.content,
+            authorization.auditContext(req)
         ).then((result) => {
             switch (result) {
                 case null:
@@ -257,7 +397,8 @@ router.delete(
 
         persistence.deleteProductAttribute(
             Number(req.params.productId),
-            Number(req.params.attributeId)
+            Number(req.params.attributeId),
+            authorization.auditContext(req)
         ).then((result) => {
 
             switch (result) {
@@ -285,7 +426,8 @@ router.post(
 
         persistence.addProductImages(
             Number(req.params.productId),
-            req.file
+            req.file,
+            authorization.auditContext(req)
         ).then((result) => {
             switch (result) {
                 case null:
@@ -296,6 +438,8 @@ router.post(
                     return res.status(400).send({message: "No file has been uploaded. Make sure to upload a valid file."})
                 case "INVALID_FILE":
                     return res.status(400).send({message: "Specified file is invalid. Make sure to provide a file under 5MB (supported filetypes: PNG, JPG and JPEG)."})
+                case "OVERSIZED_IMAGE":
+                    return res.status(413).send({message: "Specified image is too large. Images can't exceed 5MB or 40 megapixels."})
                 default:
                     return res.status(201).json(result)
                 }
@@ -313,7 +457,8 @@ router.put(
         persistence.updateProductImagePosition(
             Number(req.params.productId),
             Number(req.params.imageId),
-            Number(req.body.new_position)
+            Number(req.body.new_position),
+            authorization.auditContext(req)
         ).then((result) => {
             switch (result) {
                 case null:
@@ -336,7 +481,8 @@ router.delete(
     (req, res) => {
         persistence.deleteProductImage(
             Number(req.params.productId),
-            Number(req.params.imageId)
+            Number(req.params.imageId),
+            authorization.auditContext(req)
         ).then((result) => {
             switch (result) {
                 case null:
@@ -352,6 +498,172 @@ router.delete(
     }
 )
 
+/* Search Routes */
+
+// Suggestions are requested while typing, so each IP address can make up to suggestionRateLimit.requests in every window (ms)
+const suggestionRateLimit = {requests: 30, window: 10 * 1000}
+
+let suggestionRequests = new Map()
+
+function limitSuggestionRate(req, res, next) {
+    const now = Date.now()
+
+    // Windows that have ended are forgotten, so that the map doesn't keep growing
+    if (suggestionRequests.size > 10000) {
+        suggestionRequests = new Map([...suggestionRequests].filter(([ip, window]) => window.end > now))
+    }
+
+    let window = suggestionRequests.get(req.ip)
+
+    if (!window || window.end <= now) {
+        window = {requests: 0, end: now + suggestionRateLimit.window}
+        suggestionRequests.set(req.ip, window)
+    }
+
+    if (++window.requests > suggestionRateLimit.requests) {
+        res.set("Retry-After", String(Math.ceil((window.end - now) / 1000)))
+        return res.status(429).json({message: "Too many search suggestions requested. Try again later."})
+    }
+
+    next()
+}
+
+/* GET /store/search/suggest */
+
+router.get('/search/suggest', limitSuggestionRate, getSearchSuggestionsValidator(), (req, res) => {
+    persistence.getSearchSuggestions(req.query.query, req.query.limit)
+    .then((suggestions) => {
+        if (!suggestions) {
+            return res.status(500).send(defaultErr());
+        }
+
+        res.status(200).json(suggestions)
+    })
+});
+
+/* Review Routes */
+
+/* GET /store/products/{productId}/reviews */
+
+router.get('/products/:productId/reviews', getProductReviewsValidator(), (req, res) => {
+    persistence.getProductReviews(req.params.productId, req.query.page).then((result) => {
+        switch (result) {
+            case null:
+                return res.status(500).send(defaultErr())
+            case "INVALID_PRODUCT":
+                return res.status(404).send({message: "Product not found. Make sure to specify a product currently registered on the website."})
+            default:
+                return res.status(200).json(result)
+        }
+    })
+})
+
+/* POST /store/orders/{orderId}/{itemId}/review */
+
+router.post(
+    '/orders/:orderId/:itemId/review',
+    authentication.check,
+    reviewedItemValidator(),
+    authorization.check,
+    multer.array("images", 5),
+    createReviewValidator(),
+    (req, res) => {
+        persistence.createReview(
+            req.user.id,
+            req.params.orderId,
+            req.params.itemId,
+            req.body.rating,
+            req.body.text,
+            req.files
+        ).then((result) => {
+            switch (result) {
+                case null:
+                    return res.status(500).send(defaultErr())
+                case "NOT_FOUND":
+                    return res.status(404).send({message: "The specified item identifier is invalid for the specified order."})
+                case "NOT_COMPLETE":
+                    return res.status(400).send({message: "Only delivered items can be reviewed."})
+                case "ALREADY_REVIEWED":
+                    return res.status(409).send({message: "This item has already been reviewed."})
+                case "INVALID_FILE":
+                    return res.status(400).send({message: "Specified file is invalid. Make sure to provide up to 5 files under 5MB (supported filetypes: PNG, JPG and JPEG)."})
+                case "OVERSIZED_IMAGE":
+                    return res.status(413).send({message: "Specified image is too large. Images can't exceed 5MB or 40 megapixels."})
+                default:
+                    return res.status(201).json(result)
+            }
+        })
+    }
+)
+
+/* GET /store/reviews */
+
+router.get(
+    '/reviews',
+    authentication.check,
+    authorization.check,
+    getReviewsValidator(),
+    (req, res) => {
+        persistence.getReviews({
+            hidden: req.query.hidden,
+            product: req.query.product,
+            supplier: req.query.supplier
+        }, req.query.page).then((result) => {
+            switch (result) {
+                case null:
+                    return res.status(500).send(defaultErr())
+                default:
+                    return res.status(200).json(result)
+            }
+        })
+    })
+
+/* PUT /store/reviews/{reviewId} */
+
+router.put(
+    '/reviews/:reviewId',
+    authentication.check,
+    authorization.check,
+    moderateReviewValidator(),
+    (req, res) => {
+        persistence.moderateReview(
+            req.params.reviewId,
+            {hidden: req.body.hidden, remove_reply: req.body.remove_reply},
+            authorization.auditContext(req)
+        ).then((result) => {
+            switch (result) {
+                case null:
+                    return res.status(500).send(defaultErr())
+                case "NOT_FOUND":
+                    return res.status(404).send({message: "Review not found."})
+                default:
+                    return res.status(200).json(result)
+            }
+        })
+    })
+
+/* DELETE /store/reviews/{reviewId} */
+
+router.delete(
+    '/reviews/:reviewId',
+    authentication.check,
+    authorization.check,
+    (req, res) => {
+        persistence.deleteReview(
+            Number(req.params.reviewId),
+            authorization.auditContext(req)
+        ).then((result) => {
+            switch (result) {
+                case null:
+                    return res.status(500).send(defaultErr())
+                case "NOT_FOUND":
+                    return res.status(404).send({message: "Review not found."})
+                default:
+                    return res.status(200).send({message: "Review successfully deleted."})
+            }
+        })
+    })
+
 /* Category Routes */
 
 /* GET /store/categories */
@@ -366,12 +678,25 @@ router.get('/categories', (req, res) => {
     }
 });
 
+/* GET /store/categories/tree */
+
+router.get('/categories/tree', (req, res) => {
+    persistence.getCategoryTree().then((tree) => {
+        if (tree) {
+            return res.status(200).json(tree)
+        } else {
+            return res.status(500).send(defaultErr())
+        }
+    })
+});
+
 /* POST /store/categories */
 router.post('/categories', authentication.check, authorization.check, createCategoryValidator(), (req, res) => {
     try {
         persistence.createCategory(
             req.body.name,
-            req.body.parent_category
+            req.body.parent_category,
+            authorization.auditContext(req)
         ).then((newCategoryID) => {
             if (newCategoryID) {
                 res.status(200).json({id: newCategoryID})
@@ -386,8 +711,10 @@ router.post('/categories', authentication.check, authorization.check, createCate
 
 router.put('/categories/:categoryId', authentication.check, authorization.check, updateCategoryValidator(),  (req, res) => {
     try {
-        persistence.updateCategory(Number(req.params.categoryId), req.body).then((success) => {
-            if (success) {
+        persistence.updateCategory(Number(req.params.categoryId), req.body, authorization.auditContext(req)).then((success) => {
+            if (success == "CATEGORY_CYCLE") {
+                res.status(409).send({message: "A category can't be moved under itself or any of its sub-categories."})
+            } else if (success) {
                 res.status(200).send({message: "Category updated successfully."})
             } else {
                 res.status(500).send(defaultErr())
@@ -401,7 +728,7 @@ router.put('/categories/:categoryId', authentication.check, authorization.check,
 /* DELETE /store/categories/:categoryId */
 
 router.delete('/categories/:categoryId', authentication.check, authorization.check, (req, res) => {
-    persistence.deleteCategory(Number(req.params.categoryId)).then((success) => {
+    persistence.deleteCategory(Number(req.params.categoryId), authorization.auditContext(req)).then((success) => {
         if (success == 409) {
             return res.status(409).send({message: "Category can't be deleted, includes products or sub-categories."})
         } else if (success) {
@@ -521,7 +848,8 @@ router.put('/orders/:orderId/:itemId', authentication.check, updateOrderValidato
         req.user, 
         req.params.orderId, 
         req.params.itemId,
-        req.body.status).then((result) => {
+        req.body.status,
+        authorization.auditContext(req)).then((result) => {
         switch (result) {
             case null:
                 return res.status(500).send(defaultErr())
@@ -571,4 +899,30 @@ router.get(
         })
     })
 
+
+/* Audit Routes */
+
+router.get(
+    '/audit',
+    authentication.check,
+    authorization.check,
+    getAuditLogValidator(),
+    (req, res) => {
+        persistence.getAuditLog({
+            actor: req.query.actor,
+            action: req.query.action,
+            entity: req.query.entity,
+            entity_id: req.query.entity_id,
+            from: req.query.from,
+            to: req.query.to
+        }, req.query.page).then((result) => {
+            switch (result) {
+                case null:
+                    return res.status(500).send(defaultErr())
+                default:
+                    return res.status(200).json(result)
+            }
+        })
+    })
+
 module.exports = router;
\ No newline at end of file
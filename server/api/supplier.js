@@ -11,7 +11,8 @@ const {
     updateSupplyValidator,
     createSupplyTransportValidator,
     updateSupplyTransportValidator,
-    getInventoryValidator
+    getInventoryValidator,
+    replyToReviewValidator
 } = require('../lib/validation.js');
 const authentication    = require("../lib/authentication")
 const authorization     = require("../lib/authorization")
@@ -313,4 +314,34 @@ router.delete(
         })
     })
 
+/* Review Routes */
+
+router.get('/:userId/reviews', authentication.check, authorization.check, (req, res) => {
+    persistence.getSupplierReviews(
+        Number(req.params.userId)).then((result) => {
+        switch (result) {
+            case null:
+                return res.status(500).send(defaultErr())
+            default:
+                return res.status(200).json(result)
+        }
+    })
+})
+
+router.put('/:userId/reviews/:reviewId/reply', authentication.check, authorization.check, replyToReviewValidator(), (req, res) => {
+    persistence.replyToReview(
+        Number(req.params.userId),
+        req.params.reviewId,
+        req.body.reply).then((result) => {
+        switch (result) {
+            case null:
+                return res.status(500).send(defaultErr())
+            case "NOT_FOUND":
+                return res.status(404).send({message: "Review not found. Make sure to specify a review of an item sold by your account."})
+            default:
+                return res.status(200).json(result)
+        }
+    })
+})
+
 module.exports = router;
\ No newline at end of file
@@ -2,21 +2,35 @@
 
 const express = require('express');
 const router = express.Router();
+const passport = require('../server').passport;
+const QRCode = require('qrcode');
+const { authenticator } = require('otplib');
+const archiver = require('archiver');
 
 /* Greenly libraries & required server data */
 const authentication    = require("../lib/authentication")
 const authorization     = require("../lib/authorization")
 const persistence       = require('../lib/persistence');
 const defaultErr        = require("../lib/error").defaultErr
+const { verificationEmailHandler, companyInvitationEmailHandler } = require("../lib/handler")
 const { 
     createUserValidator, 
     updateUserValidator, 
+    deleteUserValidator,
+    exportPersonalDataValidator,
     createAddressValidator, 
     updateAddressValidator,
+    getCartValidator,
     addToCartValidator, 
     updateCartItemValidator,
     addProductToWishlistValidator,
-    createOrderValidator
+    createOrderValidator,
+    twoFactorCodeValidator,
+    linkIdentityValidator,
+    createApiKeyValidator,
+    createCompanyInvitationValidator,
+    updateCompanyMemberValidator,
+    acceptCompanyInvitationValidator
 } = require('../lib/validation.js');
 
 
@@ -39,9 +53,10 @@ router.get('/', authentication.check, authorization.check, (req, res) => {
 router.post('/', authorization.check, createUserValidator(), (req, res) => {
             
     try {
-        persistence.createUser(req.body)
+        persistence.createUser(req.body, authorization.auditContext(req))
             .then((result) => {
                 if (result) {
+                    verificationEmailHandler(result.id)
                     res.status(201).json(result);
                 }
                 else {
@@ -72,11 +87,18 @@ router.get('/:userId', authentication.check, authorization.check, (req, res, nex
                     Object.assign(user, {["company"]: user["Company"]});
                 }
 
-                // Renaming credentials key
-                user.account_provider = user.Credentials.provider
+                // Renaming credentials key. Users who have a password are presented as locally registered, and anonymized users have no provider
+                user.account_provider = persistence.getLocalCredentials(user) ? "local" : user.Credentials[0]?.provider ?? null
+                user.identities = user.Credentials.map((credentials) => credentials.provider)
                 
                 delete user.Credentials
 
+                // Exposing only whether 2FA is enabled, and whether it's mandatory for the user
+                user.two_factor = persistence.isTwoFactorEnabled(user)
+                user.two_factor_mandatory = authentication.isTwoFactorMandatory(user)
+
+                delete user.Two_Factor
+
                 delete user.Company
 
                 res.status(200).json(user)
@@ -95,8 +117,10 @@ router.get('/:userId', authentication.check, authorization.check, (req, res, nex
 router.put('/:userId', authentication.check, authorization.check, updateUserValidator(), (req, res) => {
 
     try {
-        persistence.updateUser(req.params.userId, req.body).then((success) => {
+        persistence.updateUser(req.params.userId, req.body, authorization.auditContext(req)).then((success) => {
             if (success) {
+                // Changing the e-mail address requires it to be verified again
+                if (success.email_changed) verificationEmailHandler(success.id)
                 res.status(200).send({message: "User updated successfully."})
             } else {
                 res.status(500).send(defaultErr())
@@ -111,15 +135,19 @@ router.put('/:userId', authentication.check, authorization.check, updateUserVali
 /* DELETE /user/{userId} (User or Admin only) */
 
 // TODO: This has to be proofed against FK constraints (i.e. delete all of the user's things)
+// With ?anonymize=true the user's personal data is erased instead, keeping their orders for accounting
 
-router.delete('/:userId', authentication.check, authorization.check, (req, res) => {
+router.delete('/:userId', authentication.check, authorization.check, deleteUserValidator(), (req, res) => {
 
     try {
-        persistence.deleteUser(Number(req.params.userId)).then((success) => {
-            if (success) {
-                res.status(202).send({message: "User deleted successfully."})
-            } else {
-                res.status(404).send({message: "User not found."})
+        persistence.deleteUser(Number(req.params.userId), authorization.auditContext(req), req.query.anonymize).then((result) => {
+            switch (result) {
+                case true:
+                    return res.status(202).send({message: req.query.anonymize ? "User anonymized successfully." : "User deleted successfully."})
+                case "HAS_ORDERS":
+                    return res.status(409).send({message: "User has orders, which must be kept for accounting. Anonymize the user instead."})
+                default:
+                    return res.status(404).send({message: "User not found."})
             }
         })
         
@@ -128,6 +156,456 @@ router.delete('/:userId', authentication.check, authorization.check, (req, res)
     }
 })
 
+/* GET /user/{userId}/export (User or Admin only) */
+
+// Personal data is downloaded as a single JSON file, or as a ZIP archive with one JSON file per section
+
+router.get('/:userId/export', authentication.check, authorization.check, exportPersonalDataValidator(), async (req, res) => {
+    try {
+        const data = await persistence.getPersonalData(Number(req.params.userId))
+
+        switch (data) {
+            case null:
+                return res.status(500).send(defaultErr())
+            case "NOT_FOUND":
+                return res.status(404).send({message: "User not found."})
+        }
+
+        const filename = `greenly-dados-${req.params.userId}`
+
+        if (req.query.format != "zip") {
+            res.attachment(`${filename}.json`)
+            return res.status(200).send(JSON.stringify(data, null, 2))
+        }
+
+        const {exported, ...sections} = data
+        const archive = archiver('zip')
+
+        archive.on('error', (e) => {
+            persistence.report(e)
+            res.end()
+        })
+
+        res.attachment(`${filename}.zip`)
+        archive.pipe(res)
+
+        for (const [section, content] of Object.entries(sections)) {
+            archive.append(JSON.stringify(content, null, 2), {name: `${section}.json`, date: exported})
+        }
+
+        archive.finalize()
+
+    } catch {
+        return res.status(500).send(defaultErr())
+    }
+})
+
+
+/* Identity routes (sign-in methods linked to the user) */
+
+router.get('/:userId/identities', authentication.check, authorization.check, (req, res) => {
+    try {
+        persistence.getIdentities(Number(req.params.userId)).then((result) => {
+            if (result == null) {
+                return res.status(500).send(defaultErr())
+            }
+
+            return res.status(200).json(result)
+        })
+    } catch (e) {
+        return res.status(500).send(defaultErr())
+    }
+})
+
+/* Links a password, or a Facebook/Google identity (verified through the same token/code used to sign in) */
+router.post('/:userId/identities', authentication.check, authorization.check, linkIdentityValidator(), (req, res, next) => {
+
+    const handleResult = (result) => {
+        switch (result) {
+            case null:
+                return res.status(500).send(defaultErr())
+            case "ALREADY_LINKED":
+                return res.status(409).send({message: "An identity from this provider is already linked to the account."})
+            case "IDENTITY_IN_USE":
+                return res.status(409).send({message: "Identity is already linked to another account."})
+            default:
+                return res.status(201).send({message: "Identity linked successfully."})
+        }
+    }
+
+    if (req.body.provider == "local") {
+        return persistence.linkIdentity(req.user.id, {provider: "local", password: req.body.password}).then(handleResult)
+    }
+
+    passport.authenticate(`${req.body.provider}-link`, {session: false}, async (err, profile) => {
+        if (err || !profile) {
+            return res.status(401).send({message: "Could not verify identity with provider."})
+        }
+
+        handleResult(await persistence.linkIdentity(req.user.id, {
+            provider: profile.provider,
+            subject: persistence.hashSubject(profile.id)
+        }))
+    })(req, res, next);
+})
+
+router.delete('/:userId/identities/:provider', authentication.check, authorization.check, (req, res) => {
+    try {
+        persistence.unlinkIdentity(req.user.id, req.params.provider).then((result) => {
+            switch (result) {
+                case null:
+                    return res.status(500).send(defaultErr())
+                case "NOT_FOUND":
+                    return res.status(404).send({message: "No identity from this provider is linked to the account."})
+                case "LAST_IDENTITY":
+                    return res.status(409).send({message: "The account's only sign-in method can't be removed."})
+                default:
+                    return res.status(200).send({message: "Identity unlinked successfully."})
+            }
+        })
+    } catch (e) {
+        return res.status(500).send(defaultErr())
+    }
+})
+
+
+/* Two-factor authentication routes */
+
+/* Starts 2FA enrollment, returning the secret to be added to an authenticator app */
+router.post('/:userId/2fa', authentication.check, authorization.check, async (req, res) => {
+    try {
+        const result = await persistence.startTwoFactorEnrollment(req.user.id)
+
+        switch (result) {
+            case null:
+                return res.status(500).send(defaultErr())
+            case "ALREADY_ENABLED":
+                return res.status(409).send({message: "Two-factor authentication is already enabled."})
+        }
+
+        const otpauthURL = authenticator.keyuri(req.user.email, "Greenly", result.secret)
+
+        return res.status(200).json({
+            secret: result.secret,
+            otpauth_url: otpauthURL,
+            qr_code: await QRCode.toDataURL(otpauthURL)
+        })
+    } catch (e) {
+        return res.status(500).send(defaultErr())
+    }
+})
+
+/* Enables 2FA after the user sends a code generated from the secret */
+router.post('/:userId/2fa/confirm', authentication.check, authorization.check, twoFactorCodeValidator(), (req, res) => {
+    try {
+        persistence.confirmTwoFactorEnrollment(req.user.id, req.body.code).then((result) => {
+            switch (result) {
+                case null:
+                    return res.status(500).send(defaultErr())
+                case "NOT_ENROLLING":
+                    return res.status(400).send({message: "Two-factor authentication enrollment hasn't been started."})
+                case "ALREADY_ENABLED":
+                    return res.status(409).send({message: "Two-factor authentication is already enabled."})
+                case "INVALID_CODE":
+                    return res.status(400).send({message: "Invalid two-factor authentication code."})
+                default:
+                    return res.status(200).json(result)
+            }
+        })
+    } catch (e) {
+        return res.status(500).send(defaultErr())
+    }
+})
+
+router.delete('/:userId/2fa', authentication.check, authorization.check, twoFactorCodeValidator(), (req, res) => {
+    if (authentication.isTwoFactorMandatory(req.user)) {
+        return res.status(403).send({message: "Two-factor authentication is mandatory for this account type."})
+    }
+
+    try {
+        persistence.disableTwoFactor(req.user.id, req.body.code).then((result) => {
+            switch (result) {
+                case null:
+                    return res.status(500).send(defaultErr())
+                case "NOT_ENABLED":
+                    return res.status(400).send({message: "Two-factor authentication isn't enabled."})
+                case "INVALID_CODE":
+                    return res.status(400).send({message: "Invalid two-factor authentication code."})
+                default:
+                    return res.status(200).send({message: "Two-factor authentication disabled successfully."})
+            }
+        })
+    } catch (e) {
+        return res.status(500).send(defaultErr())
+    }
+})
+
+
+/* API key routes */
+
+router.get('/:userId/api-keys', authentication.check, authorization.check, async (req, res) => {
+    try {
+        const apiKeys = await persistence.getApiKeys(req.user.id)
+        if (apiKeys == null) return res.status(500).send(defaultErr())
+
+        return res.status(200).json(apiKeys)
+    } catch (e) {
+        return res.status(500).send(defaultErr())
+    }
+})
+
+/* The key itself is only returned here, so it has to be stored by the user right away */
+router.post('/:userId/api-keys', authentication.check, authorization.check, createApiKeyValidator(), async (req, res) => {
+    try {
+        const apiKey = await persistence.createApiKey(req.user.id, req.body.name, req.body.scopes)
+        if (apiKey == null) return res.status(500).send(defaultErr())
+
+        return res.status(201).json(apiKey)
+    } catch (e) {
+        return res.status(500).send(defaultErr())
+    }
+})
+
+router.delete('/:userId/api-keys/:keyId', authentication.check, authorization.check, async (req, res) => {
+    try {
+        const result = await persistence.revokeApiKey(req.user.id, req.params.keyId)
+
+        switch (result) {
+            case null:
+                return res.status(500).send(defaultErr())
+            case "NOT_FOUND":
+                return res.status(404).send({message: "API key not found."})
+            default:
+                return res.status(200).send({message: "API key revoked successfully."})
+        }
+    } catch (e) {
+        return res.status(500).send(defaultErr())
+    }
+})
+
+
+/* Session routes (places where the user is signed in) */
+
+router.get('/:userId/sessions', authentication.check, authorization.check, async (req, res) => {
+    try {
+        const sessions = await persistence.getSessions(Number(req.params.userId))
+        if (sessions == null) return res.status(500).send(defaultErr())
+
+        // Flagging the session the request was made from
+        return res.status(200).json(sessions.map((session) => {
+            return {...session, current: session.id == req.token.session}
+        }))
+    } catch (e) {
+        return res.status(500).send(defaultErr())
+    }
+})
+
+/* Logs the user out everywhere, including the session the request was made from */
+router.delete('/:userId/sessions', authentication.check, authorization.check, async (req, res) => {
+    try {
+        if (!await persistence.endAllSessions(Number(req.params.userId))) {
+            return res.status(500).send(defaultErr())
+        }
+
+        return res.status(200).send({message: "Sessions ended successfully."})
+    } catch (e) {
+        return res.status(500).send(defaultErr())
+    }
+})
+
+router.delete('/:userId/sessions/:sessionId', authentication.check, authorization.check, async (req, res) => {
+    try {
+        const result = await persistence.endSession(Number(req.params.userId), req.params.sessionId)
+
+        switch (result) {
+            case null:
+                return res.status(500).send(defaultErr())
+            case "NOT_FOUND":
+                return res.status(404).send({message: "Session not found."})
+            default:
+                return res.status(200).send({message: "Session ended successfully."})
+        }
+    } catch (e) {
+        return res.status(500).send(defaultErr())
+    }
+})
+
+
+/* Company team routes. :userId identifies the company account (the supplier/transporter the company belongs to) */
+
+const getAccountCompany = async (accountID) => {
+    const account = await persistence.getUserByID(accountID)
+    return account && account.Company ? account.Company : null
+}
+
+router.get('/:userId/team', authentication.check, authorization.check, async (req, res) => {
+    try {
+        const company = await getAccountCompany(Number(req.params.userId))
+        if (!company) return res.status(404).send({message: "Company not found."})
+
+        const members = await persistence.getCompanyMembers(company.id)
+        if (members == null) return res.status(500).send(defaultErr())
+
+        return res.status(200).json(members)
+    } catch (e) {
+        return res.status(500).send(defaultErr())
+    }
+})
+
+router.get('/:userId/team/invitations', authentication.check, authorization.check, async (req, res) => {
+    try {
+        const company = await getAccountCompany(Number(req.params.userId))
+        if (!company) return res.status(404).send({message: "Company not found."})
+
+        const invitations = await persistence.getCompanyInvitations(company.id)
+        if (invitations == null) return res.status(500).send(defaultErr())
+
+        return res.status(200).json(invitations)
+    } catch (e) {
+        return res.status(500).send(defaultErr())
+    }
+})
+
+/* Invites someone to the team by e-mail. They accept the invitation once signed in to an account with that e-mail */
+router.post('/:userId/team/invitations', authentication.check, authorization.check, createCompanyInvitationValidator(), async (req, res) => {
+    try {
+        const company = await getAccountCompany(Number(req.params.userId))
+        if (!company) return res.status(404).send({message: "Company not found."})
+
+        const result = await persistence.createCompanyInvitation(company.id, req.body.email, req.body.role)
+
+        switch (result) {
+            case null:
+                return res.status(500).send(defaultErr())
+            case "ALREADY_MEMBER":
+                return res.status(409).send({message: "User is already a member of the company."})
+            default:
+                companyInvitationEmailHandler(req.body.email, company, req.body.role, result)
+                return res.status(201).send({message: "Invitation sent successfully."})
+        }
+    } catch (e) {
+        return res.status(500).send(defaultErr())
+    }
+})
+
+router.delete('/:userId/team/invitations/:invitationId', authentication.check, authorization.check, async (req, res) => {
+    try {
+        const company = await getAccountCompany(Number(req.params.userId))
+        if (!company) return res.status(404).send({message: "Company not found."})
+
+        const result = await persistence.revokeCompanyInvitation(company.id, req.params.invitationId)
+
+        switch (result) {
+            case null:
+                return res.status(500).send(defaultErr())
+            case "NOT_FOUND":
+                return res.status(404).send({message: "Invitation not found."})
+            default:
+                return res.status(200).send({message: "Invitation revoked successfully."})
+        }
+    } catch (e) {
+        return res.status(500).send(defaultErr())
+    }
+})
+
+router.put('/:userId/team/:memberId', authentication.check, authorization.check, updateCompanyMemberValidator(), async (req, res) => {
+    try {
+        const company = await getAccountCompany(Number(req.params.userId))
+        if (!company) return res.status(404).send({message: "Company not found."})
+
+        const result = await persistence.updateCompanyMemberRole(company.id, Number(req.params.memberId), req.body.role)
+
+        switch (result) {
+            case null:
+                return res.status(500).send(defaultErr())
+            case "NOT_FOUND":
+                return res.status(404).send({message: "Member not found."})
+            case "OWNER_ROLE":
+                return res.status(409).send({message: "The company owner's role can't be changed."})
+            default:
+                return res.status(200).send({message: "Member updated successfully."})
+        }
+    } catch (e) {
+        return res.status(500).send(defaultErr())
+    }
+})
+
+router.delete('/:userId/team/:memberId', authentication.check, authorization.check, async (req, res) => {
+    try {
+        const company = await getAccountCompany(Number(req.params.userId))
+        if (!company) return res.status(404).send({message: "Company not found."})
+
+        const result = await persistence.removeCompanyMember(company.id, Number(req.params.memberId))
+
+        switch (result) {
+            case null:
+                return res.status(500).send(defaultErr())
+            case "NOT_FOUND":
+                return res.status(404).send({message: "Member not found."})
+            case "OWNER_ROLE":
+                return res.status(409).send({message: "The company owner can't be removed."})
+            default:
+                return res.status(200).send({message: "Member removed successfully."})
+        }
+    } catch (e) {
+        return res.status(500).send(defaultErr())
+    }
+})
+
+/* Company teams the user is a member of, on behalf of whose accounts they can act */
+
+router.get('/:userId/memberships', authentication.check, authorization.check, async (req, res) => {
+    try {
+        const memberships = await persistence.getCompanyMemberships(req.user.id)
+        if (memberships == null) return res.status(500).send(defaultErr())
+
+        return res.status(200).json(memberships)
+    } catch (e) {
+        return res.status(500).send(defaultErr())
+    }
+})
+
+router.post('/:userId/memberships', authentication.check, authorization.check, acceptCompanyInvitationValidator(), async (req, res) => {
+    try {
+        const result = await persistence.acceptCompanyInvitation(req.user, req.body.token)
+
+        switch (result) {
+            case null:
+                return res.status(500).send(defaultErr())
+            case "INVALID_TOKEN":
+            case "EXPIRED_TOKEN":
+                return res.status(400).send({message: "Invalid or expired invitation."})
+            case "EMAIL_MISMATCH":
+                return res.status(403).send({message: "Invitation was issued to a different e-mail address."})
+            case "ALREADY_MEMBER":
+                return res.status(409).send({message: "User is already a member of the company."})
+            default:
+                return res.status(201).send({message: "Invitation accepted successfully."})
+        }
+    } catch (e) {
+        return res.status(500).send(defaultErr())
+    }
+})
+
+router.delete('/:userId/memberships/:companyId', authentication.check, authorization.check, async (req, res) => {
+    try {
+        const result = await persistence.removeCompanyMember(Number(req.params.companyId), req.user.id)
+
+        switch (result) {
+            case null:
+                return res.status(500).send(defaultErr())
+            case "NOT_FOUND":
+                return res.status(404).send({message: "Membership not found."})
+            case "OWNER_ROLE":
+                return res.status(409).send({message: "The company owner can't leave the company."})
+            default:
+                return res.status(200).send({message: "Left company successfully."})
+        }
+    } catch (e) {
+        return res.status(500).send(defaultErr())
+    }
+})
+
 
 /* Address routes */
 
@@ -188,10 +666,19 @@ router.delete('/:userId/addresses/:addressId', authentication.check, authorizati
 
 /* Cart routes */
 
-router.get('/:userId/cart', authentication.check, authorization.check, (req, res) => {
+router.get('/:userId/cart', authentication.check, authorization.check, getCartValidator(), (req, res) => {
     try {
-        persistence.getCart(Number(req.params.userId)).then((result) => {
-            return res.status(200).json(result)
+        persistence.getCart(Number(req.params.userId), req.query.shipping_address).then((result) => {
+            switch (result) {
+                case null:
+                    return res.status(500).send(defaultErr())
+                case "INVALID_SHIPPING_ADDRESS":
+                    return res.status(400).send({
+                        message: "Invalid shipping destination. Make sure to use an address registered to your account."
+                    })
+                default:
+                    return res.status(200).json(result)
+            }
         })
 
     } catch {
@@ -352,6 +839,10 @@ router.post('/:userId/orders', authentication.check, authorization.check, create
                 return res.status(400).send({
                     message: "Some items included in your cart are no longer available in the quantities you requested. Please double-check your cart."
                 })
+            case "NO_VEHICLE":
+                return res.status(400).send({
+                    message: "Some items included in your cart can't currently be delivered by their transporter. Please choose another transporter."
+                })
             default:
                 return res.status(200).send({message: "Order successfully created.", id: result})
         }
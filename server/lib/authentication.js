@@ -11,10 +11,16 @@ const JWTstrategy = require('passport-jwt').Strategy;
 const ExtractJWT = require('passport-jwt').ExtractJwt;
 const { User_type } = require('@prisma/client');
 const bcrypt = require('bcrypt');
+const jwt = require("jsonwebtoken");
+const { nanoid } = require('nanoid');
 
 
 // Importing Greenly libraries
-const {getUserByID, getUserByEmail, createUser} = require("./persistence");
+const {getUserByID, getUserByEmail, createUser, createRefreshToken, isAccessTokenRevoked, isTwoFactorEnabled,
+       getUserByIdentity, getLocalCredentials, claimLegacyIdentity, hashSubject,
+       getLoginThrottle, recordLoginFailure, clearLoginFailures, createNotification, report,
+       isApiKey, verifyApiKey, createSession, isSessionActive} = require("./persistence");
+const { DateTime } = require('luxon');
 const { restart } = require('nodemon');
 const { defaultErr } = require('./error');
 
@@ -42,14 +48,16 @@ passport.use('basic-login', new LocalStrategy({
         // Check if user exists
         getUserByEmail(email, true).then((user) => {
             // If user not found, return error
+            // The same message is returned whether or not the e-mail is registered, so that accounts can't be enumerated
             if (!user) {
                 return done(null, false, {
-                    message: 'User with specified e-mail not found.'
+                    message: 'Invalid e-mail or password.'
                 });
-            } else { // If user found, check password
-                if (!bcrypt.compareSync(password, user.Credentials.value)) {
+            } else { // If user found, check password (users who only sign in through Google or Facebook have none)
+                const credentials = getLocalCredentials(user);
+                if (!credentials || !bcrypt.compareSync(password, credentials.value)) {
                     return done(null, false, {
-                        message: 'Wrong credentials for specified user.'
+                        message: 'Invalid e-mail or password.'
                     });
                 } else { // If password is correct, return user
                     return done(null, user);
@@ -58,15 +66,20 @@ passport.use('basic-login', new LocalStrategy({
         })
     }))
 
-// Defining login FacebookTokenStrategy (facebook token), used to create new JWT tokens
+/* Shared by the Facebook and Google login strategies.
+   Signs in the user to whom the identity is linked, or registers a new user if the e-mail isn't in use.
+   If the e-mail belongs to an account which isn't linked to this identity, the user has to sign in through one of
+   the account's current methods first, and then send the returned link token to /auth/link.
+*/
+async function resolveSocialLogin(profile, done) {
+    try {
+        // Identity already linked to an account
+        let user = await getUserByIdentity(profile.provider, profile.id);
+        if (user) return done(null, user);
+
+        // obtain user from database through email
+        user = await getUserByEmail(profile.emails[0].value, true);
 
-passport.use('facebook-login', new FacebookTokenStrategy({
-        clientID: process.env.FACEBOOK_APP_ID,
-        clientSecret: process.env.FACEBOOK_APP_SECRET,
-        fbGraphVersion: 'v13.0'
-    }, function(accessToken, refreshToken, profile, done) {
-    // obtain user from database through email
-    getUserByEmail(profile.emails[0].value, true).then((user) => {
         // if user does not exist, create new user
         if (!user) {
             const userData = {
@@ -77,74 +90,90 @@ passport.use('facebook-login', new FacebookTokenStrategy({
                 provider: profile.provider,
                 sub: profile.id
             }
-            createUser(userData).then((r) => {
-                getUserByID(r.id, true).then((user) => {
-                    if(!user) { // if user not created, return error
-                        return done(null, false, {
-                            message: 'Something went wrong (not able to return user).'
-                        })
-                    } else { // if user was created, return user
-                        return done(null, user)
-                    }
-                })
-            })
-        // if user exists, return user
-        } else {
-            // if providers match, return user
-            if (bcrypt.compareSync(profile.id, user.Credentials.value) && profile.provider === user.Credentials.provider){
-                return done(null, user);
-            } else { // if providers do not match, return error
+            const created = await createUser(userData);
+            user = created ? await getUserByID(created.id, true) : null;
+
+            if (!user) { // if user not created, return error
                 return done(null, false, {
-                    message: 'Returned wrong credentials.'
+                    message: 'Something went wrong (not able to return user).'
                 })
             }
+            return done(null, user)
         }
-    })
+
+        // Identities created before linking was possible can only be matched through the account's e-mail
+        if (await claimLegacyIdentity(user, profile.provider, profile.id)) return done(null, user);
+
+        return done(null, false, {
+            message: 'Identity is not linked to the existing account.',
+            link_required: true,
+            link_token: createLinkToken(user.id, profile.provider, hashSubject(profile.id))
+        })
+    } catch (e) {
+        return done(e, false);
     }
-));
+}
+
+// Defining login FacebookTokenStrategy (facebook token), used to create new JWT tokens
+
+const facebookOptions = {
+    clientID: process.env.FACEBOOK_APP_ID,
+    clientSecret: process.env.FACEBOOK_APP_SECRET,
+    fbGraphVersion: 'v13.0'
+}
+
+passport.use('facebook-login', new FacebookTokenStrategy(facebookOptions, function(accessToken, refreshToken, profile, done) {
+    resolveSocialLogin(profile, done)
+}));
 
 
 // Defining Google token strategy, used to create new JWT tokens
 
-passport.use('google-login', new GoogleAuthCodeStrategy({
-        clientID: process.env['GOOGLE_CLIENT_ID'],
-        clientSecret: process.env['GOOGLE_CLIENT_SECRET'],
-        callbackURL: 'postmessage'
-    },function (idToken, refreshToken, profile, done) {
-    // obtain user from database through email
-        getUserByEmail(profile.emails[0].value, true).then((user) => {
-            if (!user) { // if user does not exist, create new user
-                const userData = {
-                        first_name: profile.name.givenName,
-                        last_name: profile.name.familyName,
-                        email: profile.emails[0].value,
-                        type: 'CONSUMER',
-                        provider: profile.provider,
-                        sub: profile.id
-                    }
-                createUser(userData).then((r) => {
-                    getUserByID(r.id, true).then((user) => {
-                        if(!user){ // if user not created, return error
-                            return done(null, false, {
-                                    message: 'Something went wrong (not able to return user).'
-                                })
-                        } else { // if user was created, return user
-                            return done(null, user)
-                        }
-                    })
-                })
-            } else { // if user exists, compare id tokens and provider
-                if (bcrypt.compareSync(profile.id, user.Credentials.value) && profile.provider === user.Credentials.provider){
-                    return done(null, user);
-                } else { // if providers do not match, return error
-                    return done(null, false, {
-                        message: 'Returned wrong credentials.'
-                    })
-                }
-            }
-        })
+const googleOptions = {
+    clientID: process.env['GOOGLE_CLIENT_ID'],
+    clientSecret: process.env['GOOGLE_CLIENT_SECRET'],
+    callbackURL: 'postmessage'
+}
+
+passport.use('google-login', new GoogleAuthCodeStrategy(googleOptions, function (idToken, refreshToken, profile, done) {
+    resolveSocialLogin(profile, done)
+}));
+
+
+/* Defining Facebook and Google linking strategies. These only return the provider's profile, which is then linked
+   to the already authenticated user.
+*/
+
+passport.use('facebook-link', new FacebookTokenStrategy(facebookOptions, function(accessToken, refreshToken, profile, done) {
+    done(null, profile)
+}));
+
+passport.use('google-link', new GoogleAuthCodeStrategy(googleOptions, function (idToken, refreshToken, profile, done) {
+    done(null, profile)
+}));
+
+/* Link tokens allow an identity to be linked to an existing account once the user proves he owns it (i.e. signs in) */
+const createLinkToken = function (userID, provider, subject) {
+    return jwt.sign({
+        link: {
+            id: userID,
+            provider: provider,
+            subject: subject
+        }
+    }, process.env.JWT_SECRET,
+    {
+        expiresIn: "10m"
+    });
+}
+
+const verifyLinkToken = function (linkToken) {
+    try {
+        const payload = jwt.verify(linkToken, process.env.JWT_SECRET);
+        return payload.link || null;
+    } catch (e) {
+        return null;
     }
-));
+}
 
 
 
@@ -158,9 +187,16 @@ passport.use(
         async (req, token, done) => {
             try {
                 if (token) {
-                    // TODO: Check for blacklisted tokens here!
-                    // Allow ID to proceed into authentication checking middleware
-                    return done(null, token.user)
+                    // Tokens revoked before their expiration (e.g. on logout) are rejected
+                    if (!token.jti || await isAccessTokenRevoked(token.jti)) {
+                        return done(null, false);
+                    }
+                    // As are tokens whose session has been ended (e.g. from another device)
+                    if (!token.session || !await isSessionActive(token.session)) {
+                        return done(null, false);
+                    }
+                    // Allow ID to proceed into authentication checking middleware, along with the token's claims
+                    return done(null, token.user, token)
                 } else {
                     return done(null, false);
                 }
@@ -171,8 +207,57 @@ passport.use(
     )
 );
 
+/* Scopes that can be granted to API keys */
+const apiKeyScopeList = ["inventory:read", "inventory:write", "orders:read", "orders:update"]
+
+/* Routes that can be accessed with an API key, and the scope the key needs for each of them.
+   Every other route only accepts JWTs.
+*/
+const apiKeyScopes = {
+    "GET /supplier/:userId/warehouses":                                     "inventory:read",
+    "GET /supplier/:userId/inventory":                                      "inventory:read",
+    "GET /supplier/:userId/inventory/:supplyId":                            "inventory:read",
+    "POST /supplier/:userId/inventory":                                     "inventory:write",
+    "PUT /supplier/:userId/inventory/:supplyId":                            "inventory:write",
+    "DELETE /supplier/:userId/inventory/:supplyId":                         "inventory:write",
+    "POST /supplier/:userId/inventory/:supplyId/transports":                "inventory:write",
+    "PUT /supplier/:userId/inventory/:supplyId/transports/:transporterId":  "inventory:write",
+    "DELETE /supplier/:userId/inventory/:supplyId/transports/:transporterId": "inventory:write",
+    "GET /store/orders":                                                    "orders:read",
+    "GET /store/orders/:orderId":                                           "orders:read",
+    "PUT /store/orders/:orderId/:itemId":                                   "orders:update"
+}
+
+/* Authenticates requests made with an API key ("Authorization: Bearer gly_...") on behalf of its owner */
+const checkApiKey = async function (key, req, res, next) {
+    try {
+        const apiKey = await verifyApiKey(key);
+        if (!apiKey) return res.status(401).json({message: "Invalid API key. Unauthorized access."})
+
+        const scope = apiKeyScopes[`${req.method} ${req.baseUrl + req.route.path}`];
+        if (!scope || !apiKey.scopes.includes(scope)) {
+            return res.status(403).json({message: "API key lacks the required scope for specified resource."})
+        }
+
+        const retrievedUser = await getUserByID(apiKey.user);
+        if (!retrievedUser) return res.status(401).json({message: "Invalid API key. Unauthorized access."})
+
+        if (!meetsTwoFactorPolicy(retrievedUser, req)) return twoFactorRequiredResponse(res);
+
+        req.user = retrievedUser;
+        req.apiKey = {id: apiKey.id, scopes: apiKey.scopes};
+        return next()
+    } catch (e) {
+        console.log(e)
+        return res.status(500).send(defaultErr())
+    }
+}
+
 /* Easy-to-call validation function, calls JWT strategy and returns user object to request context */
 const check = function (req, res, next) {
+    const bearer = ExtractJWT.fromAuthHeaderAsBearerToken()(req);
+    if (isApiKey(bearer)) return checkApiKey(bearer, req, res, next);
+
     passport.authenticate("jwt", {
         session: false
     }, async (err, tokenUser, info) => {
@@ -185,7 +270,10 @@ const check = function (req, res, next) {
         try {
             await getUserByID(tokenUser.id).then((retrievedUser) => {
                 if (retrievedUser) {
+                    if (!meetsTwoFactorPolicy(retrievedUser, req)) return twoFactorRequiredResponse(res);
+
                     req.user = retrievedUser;
+                    req.token = {id: info.jti, expiration: info.exp, session: info.session};
                     return next()
                 } else {
                     return res.status(401).json({message: "Invalid token. Unauthorized access."})
@@ -198,4 +286,215 @@ const check = function (req, res, next) {
     })(req, res, next);
 }
 
-module.exports = {passport, check}
+/* Issues a short-lived JWT access token along with a refresh token, used to obtain new access tokens once it expires.
+   Both belong to the given session. Returns the login response body, or null if the refresh token could not be created.
+*/
+const issueTokens = async function (user, sessionID) {
+    const refreshToken = await createRefreshToken(user.id, sessionID);
+    if (!refreshToken) return null;
+
+    const token = jwt.sign({
+        user: {
+            id: user.id,
+            email: user.email
+        },
+        session: sessionID
+    }, process.env.JWT_SECRET,
+    // Signing options
+    {
+        expiresIn: process.env.JWT_EXPIRATION,
+        jwtid: nanoid()
+    });
+
+    return {
+        token: token,
+        refresh_token: refreshToken,
+        id: user.id
+    };
+}
+
+/* Short description of the browser and operating system behind a User-Agent header (e.g. "Firefox, Windows").
+   Other clients are described by the header itself.
+*/
+const describeDevice = function (userAgent) {
+    if (!userAgent) return null;
+
+    // Order matters, as most browsers also claim to be the ones listed after them (and Android to be Linux)
+    const browsers = [["Edge", /Edg(e|A|iOS)?\//], ["Opera", /OPR\//], ["Firefox", /Firefox\/|FxiOS/], ["Chrome", /Chrome\/|CriOS/], ["Safari", /Safari\//]];
+    const systems = [["Windows", /Windows/], ["Android", /Android/], ["iOS", /iPhone|iPad|iPod/], ["macOS", /Mac OS X/], ["Linux", /Linux/]];
+
+    const description = [browsers, systems]
+        .map((candidates) => candidates.find(([name, pattern]) => pattern.test(userAgent)))
+        .filter((match) => match)
+        .map(([name]) => name)
+        .join(", ");
+
+    return description || userAgent.slice(0, 100);
+}
+
+/* Starts a session for a login through the given provider, and issues its first tokens */
+const startSession = async function (user, req, provider) {
+    const sessionID = await createSession(user.id, provider, describeDevice(req.get("User-Agent")), req.ip);
+    if (!sessionID) return null;
+
+    return issueTokens(user, sessionID);
+}
+
+/* Two-factor authentication policy per user type. Users for whom it's mandatory can't access any other resource until they enable it */
+const twoFactorPolicy = {
+    ADMINISTRATOR:  "MANDATORY",
+    CONSUMER:       "OPTIONAL",
+    SUPPLIER:       "OPTIONAL",
+    TRANSPORTER:    "OPTIONAL"
+}
+
+const isTwoFactorMandatory = function (user) {
+    return twoFactorPolicy[user.type] == "MANDATORY";
+}
+
+/* Routes users for whom 2FA is mandatory can access before enabling it: checking their login, seeing their own profile,
+   setting up 2FA and logging out
+*/
+const twoFactorSetupRoutes = [
+    "GET /auth/status",
+    "POST /auth/logout",
+    "GET /user/:userId",
+    "POST /user/:userId/2fa",
+    "POST /user/:userId/2fa/confirm"
+]
+
+/* Enforced on authentication, so that no route can be reached by a user who hasn't enabled mandatory 2FA */
+const meetsTwoFactorPolicy = function (user, req) {
+    if (!isTwoFactorMandatory(user) || isTwoFactorEnabled(user)) return true;
+
+    return twoFactorSetupRoutes.includes(`${req.method} ${req.baseUrl + req.route.path}`) &&
+           (req.params.userId === undefined || req.params.userId == user.id);
+}
+
+const twoFactorRequiredResponse = function (res) {
+    return res.status(403).send({message: "Two-factor authentication is mandatory for this account type."})
+}
+
+/* Completes the first login step. If the user has 2FA enabled, a short-lived challenge token is returned instead,
+   which has to be sent to /auth/login/2fa along with a valid code to obtain the actual tokens.
+*/
+const completeLogin = async function (user, req, provider) {
+    if (isTwoFactorEnabled(user)) {
+        const challenge = jwt.sign({
+            two_factor: {
+                id: user.id,
+                provider: provider
+            }
+        }, process.env.JWT_SECRET,
+        {
+            expiresIn: "5m"
+        });
+
+        return {
+            two_factor_required: true,
+            two_factor_token: challenge
+        };
+    }
+
+    return startSession(user, req, provider);
+}
+
+/* Returns the ID of the user who passed the first login step and the provider they signed in through,
+   or null if the challenge token is invalid or expired
+*/
+const verifyTwoFactorChallenge = function (challenge) {
+    try {
+        const payload = jwt.verify(challenge, process.env.JWT_SECRET);
+        return payload.two_factor || null;
+    } catch (e) {
+        return null;
+    }
+}
+
+/* Brute-force protection policy. Failed logins are tracked both per account (e-mail, whether or not it's registered) and per IP address.
+   After delayAfter failures, each attempt has to wait twice as long as the previous one (up to maxDelay seconds).
+   After lockoutAfter failures, logins are refused for lockoutDuration minutes.
+*/
+const loginThrottlePolicy = {
+    delayAfter:         3,
+    maxDelay:           30,     // Seconds
+    lockoutAfter:       {account: 10, ip: 50},
+    lockoutDuration:    15,     // Minutes
+    resetAfter:         15      // Minutes without failures after which the count starts over
+}
+
+const loginThrottleIdentifiers = function (req, email) {
+    return {
+        account: `account:${String(email).toLowerCase()}`,
+        ip: `ip:${req.ip}`
+    }
+}
+
+/* Returns how many seconds the caller has to wait before attempting to log in again (0 if allowed) */
+const checkLoginThrottle = async function (req, email) {
+    let wait = 0;
+    const now = DateTime.now();
+
+    for (const identifier of Object.values(loginThrottleIdentifiers(req, email))) {
+        const throttle = await getLoginThrottle(identifier);
+        if (!throttle) continue;
+
+        if (throttle.locked_until && DateTime.fromJSDate(throttle.locked_until) > now) {
+            wait = Math.max(wait, DateTime.fromJSDate(throttle.locked_until).diff(now, "seconds").seconds);
+        } else if (throttle.failures >= loginThrottlePolicy.delayAfter) {
+            const delay = Math.min(2 ** (throttle.failures - loginThrottlePolicy.delayAfter), loginThrottlePolicy.maxDelay);
+            wait = Math.max(wait, DateTime.fromJSDate(throttle.last_failure).plus({seconds: delay}).diff(now, "seconds").seconds);
+        }
+    }
+
+    return Math.ceil(wait);
+}
+
+/* Counts a failed login attempt, notifying the account owner (if any) when it gets locked */
+const recordLoginThrottleFailure = async function (req, email) {
+    const identifiers = loginThrottleIdentifiers(req, email);
+
+    for (const [type, identifier] of Object.entries(identifiers)) {
+        const throttle = await recordLoginFailure(identifier,
+                                                  loginThrottlePolicy.resetAfter,
+                                                  loginThrottlePolicy.lockoutAfter[type],
+                                                  loginThrottlePolicy.lockoutDuration);
+
+        if (throttle && throttle.locked && type == "account") {
+            const user = await getUserByEmail(email);
+            if (user) {
+                createNotification(user.id,
+                    "Conta bloqueada temporariamente",
+                    `Detetámos várias tentativas falhadas de início de sessão na sua conta, que foi bloqueada durante ${loginThrottlePolicy.lockoutDuration} minutos. ` +
+                    "Caso não tenha sido você, recomendamos que altere a sua palavra-passe.",
+                    "SECURITY").catch(report)
+            }
+        }
+    }
+}
+
+const clearLoginThrottle = async function (req, email) {
+    await clearLoginFailures(loginThrottleIdentifiers(req, email).account);
+}
+
+/* Refuses login attempts from throttled accounts or IP addresses, with the number of seconds to wait in the Retry-After header */
+const throttleLogin = function (getEmail) {
+    return async (req, res, next) => {
+        try {
+            const email = await getEmail(req);
+            const wait = await checkLoginThrottle(req, email);
+
+            if (wait > 0) {
+                res.set("Retry-After", String(wait));
+                return res.status(429).json({message: "Too many failed login attempts. Try again later."})
+            }
+
+            req.throttleEmail = email;
+            return next();
+        } catch (e) {
+            return next(e);
+        }
+    }
+}
+
+module.exports = {passport, check, apiKeyScopeList, throttleLogin, recordLoginThrottleFailure, clearLoginThrottle, issueTokens, startSession, completeLogin, verifyTwoFactorChallenge, isTwoFactorMandatory, verifyLinkToken}
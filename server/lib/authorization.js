@@ -5,6 +5,19 @@
 const persistence       = require("./persistence")
 const authentication    = require("./authentication"); // One-time-usage for administrator creation
 
+/* Permissions granted by each company team role over the company account's resources:
+   - read: see warehouses, inventory, distribution centers and vehicles
+   - operate: manage the inventory (supplies and their transport conditions)
+   - manage: manage warehouses, distribution centers and vehicles
+   - team: invite, promote and remove members
+*/
+const companyRolePermissions = {
+    OWNER:      ["read", "operate", "manage", "team"],
+    MANAGER:    ["read", "operate", "manage"],
+    OPERATOR:   ["read", "operate"],
+    READ_ONLY:  ["read"]
+}
+
 async function check(req, res, next) {
     // Identify resource type (locked routes only): User, Order, Warehouse, Distribution Center, Vehicle
     const resourceIdentification = {
@@ -20,20 +33,43 @@ async function check(req, res, next) {
         "/user/:userId/cart/:index":                    "SINGLE_CART_ITEM",
         "/user/:userId/wishlist":                       "ALL_WISHLIST_ITEMS",
         "/user/:userId/wishlist/:productId":            "SINGLE_WISHLIST_ITEM",
+        "/user/:userId/identities":                     "IDENTITIES",
+        "/user/:userId/identities/:provider":           "IDENTITIES",
+        "/user/:userId/2fa":                            "TWO_FACTOR",
+        "/user/:userId/2fa/confirm":                    "TWO_FACTOR",
+        "/user/:userId/api-keys":                       "API_KEYS",
+        "/user/:userId/api-keys/:keyId":                "API_KEYS",
+        "/user/:userId/sessions":                       "SESSIONS",
+        "/user/:userId/sessions/:sessionId":            "SESSIONS",
+        "/user/:userId/team":                           "TEAM",
+        "/user/:userId/team/:memberId":                 "TEAM",
+        "/user/:userId/team/invitations":               "TEAM",
+        "/user/:userId/team/invitations/:invitationId": "TEAM",
+        "/user/:userId/memberships":                    "MEMBERSHIPS",
+        "/user/:userId/memberships/:companyId":         "MEMBERSHIPS",
+        "/user/:userId/export":                         "PERSONAL_DATA",
 
         /* Store Routes */
         "/store/products":                                      "ALL_PRODUCTS",
         "/store/products/:productId":                           "SINGLE_PRODUCT",
+        "/store/products/import":                               "CATALOG",
+        "/store/products/export":                               "CATALOG",
+        "/store/products/:productId/variants":                  "ALL_VARIANTS",
         "/store/products/:productId/attributes":                "ALL_ATTRIBUTES",
         "/store/products/:productId/attributes/:attributeId":   "SINGLE_ATTRIBUTE",
         "/store/products/:productId/images":                    "ALL_IMAGES",
         "/store/products/:productId/images/:imageId":           "SINGLE_IMAGE",
         "/store/statistics":                                    "STATISTICS",
+        "/store/audit":                                         "AUDIT_LOG",
 
 
         "/store/orders":                                "ALL_ORDERS",
         "/store/orders/:orderId":                       "SINGLE_ORDER",
         "/store/orders/:orderId/:itemId":               "SINGLE_ORDER_ITEM",
+        "/store/orders/:orderId/:itemId/review":        "ORDER_ITEM_REVIEW",
+
+        "/store/reviews":                               "ALL_REVIEWS",
+        "/store/reviews/:reviewId":                     "SINGLE_REVIEW",
 
         "/store/categories":                            "ALL_CATEGORIES",
         "/store/categories/:categoryId":                "SINGLE_CATEGORY",
@@ -42,6 +78,9 @@ async function check(req, res, next) {
         "/supplier/:userId/warehouses":                 "ALL_WAREHOUSES",
         "/supplier/:userId/warehouses/:warehouseId":    "SINGLE_WAREHOUSE",
 
+        "/supplier/:userId/reviews":                    "SUPPLIER_REVIEWS",
+        "/supplier/:userId/reviews/:reviewId/reply":    "SUPPLIER_REVIEWS",
+
         /* Transporter Routes */
         "/transporter/:userId/centers":                 "ALL_DISTRIBUTION_CENTERS",
         "/transporter/:userId/centers/:centerId":       "SINGLE_DISTRIBUTION_CENTER",
@@ -64,6 +103,15 @@ async function check(req, res, next) {
     const isConsumer        = (user) => {return user.type == "CONSUMER"}
     const isSupplier        = (user) => {return user.type == "SUPPLIER"}
     const isTransporter     = (user) => {return user.type == "TRANSPORTER"}
+    const isVerified        = (user) => {return user.verified}
+
+    const unverifiedResponse = () => {return res.status(403).send({message: "E-mail verification required for specified resource."})}
+
+    // Whether the user is a member of the company account identified by :userId, with a role granting the permission
+    const hasCompanyPermission = async (permission) => {
+        const role = await persistence.getCompanyRole(req.user.id, Number(req.params.userId))
+        return role != null && companyRolePermissions[role].includes(permission)
+    }
 
     const intent = req.method
     const incomingRoute = req.baseUrl + req.route.path
@@ -87,7 +135,7 @@ async function check(req, res, next) {
                     })
 
                     // After authentication middle was been called and resolved successfully
-                    if (isAdministrator(req.user)) {
+                    if (isAdministrator(req.user) && persistence.isTwoFactorEnabled(req.user)) {
                         // Allow a currently logged-in administrator to create a new administrator
                         return next()
                     }
@@ -181,9 +229,10 @@ async function check(req, res, next) {
             break;
 
         case "ALL_USER_ORDERS":
-            // Only the user himself can create new orders
+            // Only the user himself can create new orders, once his e-mail is verified
             if (intent == "POST") {
                 if (req.params.userId == req.user.id && isConsumer(req.user)) {
+                    if (!isVerified(req.user)) return unverifiedResponse();
                     return next()
                 }
             } 
@@ -241,6 +290,105 @@ async function check(req, res, next) {
 
             break;
 
+        case "ORDER_ITEM_REVIEW":
+            // This is valid for: POST
+            // Only the consumer who placed the order can review its items
+            if (isConsumer(req.user) &&
+                await persistence.checkUserOrderRelationship(req.user, req.params.orderId) &&
+                await persistence.checkUserItemRelationship(req.user, req.params.orderId, req.params.itemId)) {
+                return next()
+            }
+
+            break;
+
+        case "ALL_REVIEWS":
+        case "SINGLE_REVIEW":
+            // This is valid for: GET, PUT, DELETE
+            // Only administrators can moderate reviews
+            if (isAdministrator(req.user)) {
+                return next()
+            }
+
+            break;
+
+        case "SUPPLIER_REVIEWS":
+            // This is valid for: GET, PUT
+            // Suppliers, and their team members who manage the inventory, can see and reply to reviews of what they sell
+            if ((req.params.userId == req.user.id) && isSupplier(req.user)) {
+                return next()
+            }
+
+            if (await hasCompanyPermission(intent == "GET" ? "read" : "operate")) {
+                return next()
+            }
+
+            break;
+
+        case "IDENTITIES":
+            // Administrators can see which sign-in methods a user has (GET), but only the user himself can link or unlink them
+            if ((req.params.userId == req.user.id) ||
+                (isAdministrator(req.user) && intent == "GET")) {
+                return next()
+            }
+
+            break;
+
+        case "SESSIONS":
+            // Valid for: GET, DELETE
+            // Administrators can also end a user's sessions, e.g. when the account has been compromised
+            if ((req.params.userId == req.user.id) ||
+                (isAdministrator(req.user))) {
+                return next()
+            }
+
+            break;
+
+        case "PERSONAL_DATA":
+            // Valid for: GET
+            // Administrators may export it on behalf of users who ask for their data through other channels
+            if ((req.params.userId == req.user.id) ||
+                (isAdministrator(req.user))) {
+                return next()
+            }
+
+            break;
+
+        case "TWO_FACTOR":
+            // This is valid for: POST, DELETE
+            // 2FA is tied to the user's own authenticator app, so only the user himself can manage it
+            if (req.params.userId == req.user.id) {
+                return next()
+            }
+
+            break;
+
+        case "API_KEYS":
+            // This is valid for: GET, POST, DELETE
+            // Only the user himself can create, list and revoke his API keys
+            if (req.params.userId == req.user.id) {
+                return next()
+            }
+
+            break;
+
+        case "TEAM":
+            // Owners manage their company team, managers can see it
+            if (isAdministrator(req.user) && intent == "GET") return next();
+
+            if (await hasCompanyPermission(intent == "GET" ? "manage" : "team")) {
+                return next()
+            }
+
+            break;
+
+        case "MEMBERSHIPS":
+            // Only the user himself can see, accept or leave the company teams he belongs to
+            if (req.params.userId == req.user.id) {
+                return next()
+            }
+
+            break;
+
         case "ALL_CATEGORIES":
             // This is only valid for: POST
             if ((isAdministrator(req.user))) {
@@ -324,6 +472,30 @@ async function check(req, res, next) {
 
             break;
 
+        case "CATALOG":
+            // This is valid for: GET (export), POST (import)
+            // Only administrators can import or export the catalog
+
+            if (["GET", "POST"].includes(intent)) {
+                if ((isAdministrator(req.user))) {
+                    return next();
+                }
+            }
+
+            break;
+
+        case "ALL_VARIANTS":
+            // This is valid for: POST
+            // Only administrators can create product variants
+
+            if (intent == "POST") {
+                if ((isAdministrator(req.user))) {
+                    return next();
+                }
+            }
+
+            break;
+
         case "ALL_ATTRIBUTES":
             // This is valid for: POST
             // Only administrators can create new product attributes
@@ -373,6 +545,15 @@ async function check(req, res, next) {
 
             break;
 
+        case "AUDIT_LOG":
+            // This is valid for: GET
+            // Only administrators can browse the audit log
+            if (isAdministrator(req.user)) {
+                return next()
+            }
+
+            break;
+
         case "STATISTICS":
             // This is valid for: GET
             // Only administrators can access store statistics
@@ -385,6 +566,11 @@ async function check(req, res, next) {
                 return next()
             }
 
+            // Company team members, depending on their role
+            if (await hasCompanyPermission(intent == "GET" ? "read" : "manage")) {
+                return next()
+            }
+
             break;
 
         case "SINGLE_WAREHOUSE":
@@ -395,6 +581,11 @@ async function check(req, res, next) {
                 return next()
             }
 
+            // Company team members, depending on their role
+            if (await hasCompanyPermission(intent == "GET" ? "read" : "manage")) {
+                return next()
+            }
+
             break;
 
         case "ALL_DISTRIBUTION_CENTERS":
@@ -408,6 +599,11 @@ async function check(req, res, next) {
                 return next()
             }
 
+            // Company team members, depending on their role
+            if (await hasCompanyPermission(intent == "GET" ? "read" : "manage")) {
+                return next()
+            }
+
             break;
 
         case "SINGLE_DISTRIBUTION_CENTER":
@@ -421,6 +617,11 @@ async function check(req, res, next) {
                 return next()
             }
 
+            // Company team members, depending on their role
+            if (await hasCompanyPermission(intent == "GET" ? "read" : "manage")) {
+                return next()
+            }
+
             break;
 
         case "ALL_VEHICLES":
@@ -434,6 +635,11 @@ async function check(req, res, next) {
                 return next()
             }
 
+            // Company team members, depending on their role
+            if (await hasCompanyPermission(intent == "GET" ? "read" : "manage")) {
+                return next()
+            }
+
             break;
 
         case "SINGLE_VEHICLE":
@@ -447,17 +653,25 @@ async function check(req, res, next) {
                 return next()
             }
 
+            // Company team members, depending on their role
+            if (await hasCompanyPermission(intent == "GET" ? "read" : "manage")) {
+                return next()
+            }
+
             break;
 
         case "ALL_SUPPLIES":
             // This is valid for: GET, POST
             // Only the supplier and administrator can manipulate a supplier's inventory
+            // Suppliers can only publish new supplies once their e-mail is verified
 
-            if (
-                ((req.params.userId == req.user.id) && isSupplier(req.user)) ||
-                (isAdministrator(req.user))) {
-                    return next()
-                }
+            if (isAdministrator(req.user)) return next();
+
+            if (((req.params.userId == req.user.id) && isSupplier(req.user)) ||
+                (await hasCompanyPermission(intent == "GET" ? "read" : "operate"))) {
+                if (intent == "POST" && !isVerified(req.user)) return unverifiedResponse();
+                return next()
+            }
 
             break;
 
@@ -472,6 +686,10 @@ async function check(req, res, next) {
                     return next()
                 }
 
+            if (await hasCompanyPermission(intent == "GET" ? "read" : "operate")) {
+                return next()
+            }
+
             break;
 
         case "ALL_SUPPLY_TRANSPORTS":
@@ -484,6 +702,10 @@ async function check(req, res, next) {
                     return next()
                 }
 
+            if (await hasCompanyPermission(intent == "GET" ? "read" : "operate")) {
+                return next()
+            }
+
             break;
 
         case "SINGLE_SUPPLY_TRANSPORT":
@@ -496,6 +718,10 @@ async function check(req, res, next) {
                     return next()
                 }
 
+            if (await hasCompanyPermission(intent == "GET" ? "read" : "operate")) {
+                return next()
+            }
+
             break;
 
         default:
@@ -505,4 +731,16 @@ async function check(req, res, next) {
     return res.status(403).send({message: "Insufficient permissions for specified resource."})
 }
 
-module.exports = {check}
\ No newline at end of file
+/* Who is making a change, to be recorded in the audit log by the persistence mutators.
+   Only changes made by administrators are audited, so null is returned for anyone else.
+*/
+function auditContext(req) {
+    if (!req.user || req.user.type != "ADMINISTRATOR") return null;
+
+    return {
+        actor: req.user.id,
+        ip: req.ip
+    }
+}
+
+module.exports = {check, auditContext}
\ No newline at end of file
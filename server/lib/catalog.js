@@ -0,0 +1,203 @@
+/*  Greenly Catalog Library
+    Functions included pertain to bulk catalog imports and exports, reading and writing catalog files (CSV/JSON).
+*/
+
+const persistence   = require("../lib/persistence")
+const validation    = require("../lib/validation")
+
+// Most products a single catalog file may hold
+const catalogRowLimit = 1000
+
+// Catalog file columns. List columns (attributes, images and variants) hold their entries separated by "|",
+// and each attribute is written as "Title: Content"
+const catalogColumns = ["id", "name", "description", "category", "complement_name", "complement_quantity", "weight", "attributes", "images", "variants"]
+
+const listSeparator = "|"
+
+/* CSV Handling (RFC 4180) */
+
+/* Parses CSV text into rows of fields. Fields may be quoted, in which case they can hold separators, line breaks
+   and escaped ("") quotes. Returns null if the text is malformed
+*/
+function parseCSV(text, separator) {
+    let rows = []
+    let row = []
+    let field = ""
+    let quoted = false
+
+    for (let i = 0; i < text.length; i++) {
+        const character = text[i]
+
+        if (quoted) {
+            if (character == '"' && text[i + 1] == '"') {
+                field += '"'
+                i++
+            } else if (character == '"') {
+                quoted = false
+            } else {
+                field += character
+            }
+        } else if (character == '"') {
+            if (field.length) return null;
+            quoted = true
+        } else if (character == separator) {
+            row.push(field)
+            field = ""
+        } else if (character == "\n" || character == "\r") {
+            if (character == "\r" && text[i + 1] == "\n") i++
+            row.push(field)
+            rows.push(row)
+            row = []
+            field = ""
+        } else {
+            field += character
+        }
+    }
+
+    if (quoted) return null;
+
+    if (field.length || row.length) {
+        row.push(field)
+        rows.push(row)
+    }
+
+    // Blank lines are skipped
+    return rows.filter((row) => row.some((field) => field.trim().length))
+}
+
+function toCSVField(value) {
+    const text = value === null || value === undefined ? "" : String(value)
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/* Catalog Files */
+
+/* Reads the rows of an uploaded catalog file, in the shape of a product creation body.
+   Returns "INVALID_FILE" if the file can't be read, or "TOO_MANY_ROWS" if it holds too many products
+*/
+function readCatalogFile(file) {
+    let text = file.buffer.toString("utf8").replace(/^\uFEFF/, "") // Byte order mark
+    let rows
+
+    if (file.mimetype == "application/json" || file.originalname.toLowerCase().endsWith(".json")) {
+        try {
+            rows = JSON.parse(text)
+        } catch {
+            return "INVALID_FILE"
+        }
+
+        // Exports wrap the products in an object
+        if (rows && !Array.isArray(rows)) rows = rows.products
+        if (!Array.isArray(rows) || !rows.every((row) => row && typeof row == "object" && !Array.isArray(row))) {
+            return "INVALID_FILE"
+        }
+
+        // Null fields (as exported) are left out, so optional fields are skipped by validation
+        rows = rows.map((row) => Object.fromEntries(Object.entries(row).filter(([key, value]) => value !== null)))
+
+    } else {
+        // Spreadsheets set to Portuguese save CSV files separated by semicolons
+        const header = text.split(/\r?\n/, 1)[0]
+        const separator = header.includes(";") && !header.includes(",") ? ";" : ","
+
+        const records = parseCSV(text, separator)
+        if (!records || !records.length) return "INVALID_FILE";
+
+        const columns = records[0].map((column) => column.trim().toLowerCase())
+        if (!columns.includes("name")) return "INVALID_FILE";
+
+        rows = records.slice(1).map((record) => {
+            let row = {}
+
+            columns.forEach((column, index) => {
+                const value = (record[index] ?? "").trim()
+
+                // Empty cells are left out, so optional fields are skipped by validation
+                if (!catalogColumns.includes(column) || !value.length) return;
+
+                switch (column) {
+                    case "attributes":
+                        row.attributes = value.split(listSeparator).filter((entry) => entry.trim()).map((entry) => {
+                            const split = entry.indexOf(":")
+                            return split == -1
+                                ? {title: entry.trim(), content: ""}
+                                : {title: entry.slice(0, split).trim(), content: entry.slice(split + 1).trim()}
+                        })
+                        break
+                    case "images":
+                    case "variants":
+                        row[column] = value.split(listSeparator).map((entry) => entry.trim()).filter((entry) => entry.length)
+                        break
+                    default:
+                        row[column] = value
+                }
+            })
+
+            return row
+        })
+    }
+
+    if (rows.length > catalogRowLimit) return "TOO_MANY_ROWS";
+
+    return rows
+}
+
+/* Writes the exported catalog as a file of the given format ("csv" or "json") */
+function writeCatalogFile(products, format) {
+    if (format == "json") {
+        return JSON.stringify({products: products}, null, 2)
+    }
+
+    const lines = products.map((product) => catalogColumns.map((column) => {
+        switch (column) {
+            case "attributes":
+                return toCSVField(product.attributes.map((attribute) => `${attribute.title}: ${attribute.content}`).join(listSeparator))
+            case "images":
+            case "variants":
+                return toCSVField(product[column].join(listSeparator))
+            default:
+                return toCSVField(product[column])
+        }
+    }).join(","))
+
+    return [catalogColumns.join(","), ...lines].join("\r\n") + "\r\n"
+}
+
+/* Import and Export */
+
+/* Imports an uploaded catalog file. Every row is validated with the product creation rules, and either all of them are
+   applied as one batch or, if any row is invalid, none are. Dry runs only report what would be changed
+*/
+async function importCatalog(file, dryRun, audit) {
+    if (!file) return "NO_FILE";
+
+    const rows = readCatalogFile(file)
+    if (typeof rows == "string") return rows;
+    if (!rows.length) return "EMPTY_FILE";
+
+    const errors = await validation.validateCatalogRows(rows)
+
+    if (errors.length) {
+        return {
+            dry_run: dryRun,
+            applied: false,
+            summary: null,
+            rows: [],
+            errors: errors
+        }
+    }
+
+    return await persistence.importCatalog(rows, dryRun, audit)
+}
+
+async function exportCatalog(format = "csv") {
+    const products = await persistence.exportCatalog()
+    if (!products) return null;
+
+    return writeCatalogFile(products, format)
+}
+
+module.exports = {
+    importCatalog,
+    exportCatalog
+}
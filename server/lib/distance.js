@@ -0,0 +1,137 @@
+/*  Greenly Distance Library
+    Functions included pertain to road distances between addresses, used to assign deliveries to distribution centers
+    and to estimate their carbon footprint (see lib/footprint.js).
+
+    Distances come from the provider selected by the DISTANCE_PROVIDER environment variable:
+        google      Google Distance Matrix (the default if GOOGLE_API_KEY is set)
+        haversine   The great-circle distance scaled by a road factor, computed offline (the default otherwise)
+
+    Distances Google can't provide (network failures, points it can't route between) are estimated as with the
+    haversine provider instead, so a distance is always known. Google's distances are cached in memory.
+*/
+
+const {Client} = require("@googlemaps/google-maps-services-js");
+
+// Roads are longer than the straight line between two points. Ratio of road to great-circle distance
+const roadFactor = 1.3
+
+// Longest time to wait for Google Distance Matrix (ms)
+const requestTimeout = 5000
+
+// Cached distances expire after a week, and at most cacheLimit are kept, the oldest being dropped first
+const cacheDuration = 7 * 24 * 60 * 60 * 1000
+const cacheLimit = 10000
+
+/* Haversine Provider */
+
+/* Road distance (km) between two points ({lat, lng}), estimated from the great-circle distance */
+function haversineDistance(origin, destination) {
+    const radians = (degrees) => degrees * Math.PI / 180
+
+    const a = Math.sin(radians(destination.lat - origin.lat) / 2) ** 2
+        + Math.cos(radians(origin.lat)) * Math.cos(radians(destination.lat))
+        * Math.sin(radians(destination.lng - origin.lng) / 2) ** 2
+
+    return 6371 * 2 * Math.asin(Math.sqrt(a)) * roadFactor
+}
+
+function haversineProvider() {
+    return {
+        name: "haversine",
+        distances: async (origins, destination) => origins.map((origin) => haversineDistance(origin, destination))
+    }
+}
+
+/* Google Distance Matrix Provider */
+
+function googleProvider() {
+    const maps = new Client();
+    const cache = new Map()
+
+    const cacheKey = (origin, destination) =>
+        [origin.lat, origin.lng, destination.lat, destination.lng].map((coordinate) => coordinate.toFixed(5)).join(",")
+
+    const cached = (origin, destination) => {
+        const entry = cache.get(cacheKey(origin, destination))
+        return entry && entry.expiration > Date.now() ? entry.distance : null
+    }
+
+    const store = (origin, destination, distance) => {
+        const key = cacheKey(origin, destination)
+        cache.delete(key)
+        cache.set(key, {distance: distance, expiration: Date.now() + cacheDuration})
+
+        // Maps keep their insertion order, so the first entry is the oldest
+        if (cache.size > cacheLimit) cache.delete(cache.keys().next().value)
+    }
+
+    return {
+        name: "google",
+
+        distances: async (origins, destination) => {
+            let distances = origins.map((origin) => cached(origin, destination))
+            const missing = origins.filter((origin, index) => distances[index] === null)
+
+            if (missing.length) {
+                let rows = []
+
+                try {
+                    const response = await maps.distancematrix({
+                        params: {
+                            origins: missing,
+                            destinations: [destination],
+                            key: process.env.GOOGLE_API_KEY
+                        },
+                        timeout: requestTimeout
+                    })
+
+                    if (response.status == 200) rows = response.data.rows
+                } catch {
+                    // Estimated below
+                }
+
+                // Rows are given in the same order as the origins
+                missing.forEach((origin, index) => {
+                    const element = rows[index] ? rows[index].elements[0] : null
+
+                    if (element && element.status == "OK") {
+                        store(origin, destination, element.distance.value / 1000)
+                    }
+                })
+
+                distances = origins.map((origin) => cached(origin, destination) ?? haversineDistance(origin, destination))
+            }
+
+            return distances
+        }
+    }
+}
+
+/* Provider Selection */
+
+const providers = {
+    google: googleProvider,
+    haversine: haversineProvider
+}
+
+const providerName = process.env.DISTANCE_PROVIDER || (process.env.GOOGLE_API_KEY ? "google" : "haversine")
+
+if (!(providerName in providers)) {
+    console.log(`❌ Unknown distance provider "${providerName}". Set DISTANCE_PROVIDER to "google" or "haversine".`);
+    process.exit(0);
+}
+
+const provider = providers[providerName]()
+
+/* Road distances (km) from each of the origins to the destination, all points given as {lat, lng} */
+async function roadDistances(origins, destination) {
+    if (!origins.length) return [];
+
+    return await provider.distances(origins, destination)
+}
+
+module.exports = {
+    provider,
+    roadDistances,
+    haversineDistance
+}
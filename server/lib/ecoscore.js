@@ -0,0 +1,107 @@
+/*  Greenly Eco-Score Library
+    Functions included pertain to the eco-score, a comparable environmental grade (A to E) of every supply and product.
+
+    Each supply scores up to 100 points, through the transporter that makes it score the most:
+
+        Warehouse (40 points)
+            renewable   25 × renewable_resources / 100                  Share of renewable energy in the warehouse (%)
+            energy      15 × 1 / (1 + resource_usage / 1000)            Warehouse energy use (kWh/day), half the points at 1000
+        Transport (40 points)
+            emissions   30 × 1 / (1 + average_emissions / 100)          Average emissions of the transporter's vehicles
+                                                                        (CO₂ g/km/t), half the points at 100
+            fuel        10 × share of the transporter's vehicles which are electric
+        Distance (20 points)
+            distance    20 × 1 / (1 + distance / 100)                   Distance (km, as the crow flies) from the warehouse to the
+                                                                        transporter's closest distribution center, half the points at 100
+
+    Supplies without transporters, or whose transporters have no vehicles, can't be delivered and aren't graded.
+    A product scores as much as its best graded supply, from any of its variants.
+
+    Grades: A (80 points or more), B (65), C (50), D (35), E (less than 35)
+*/
+
+const { Prisma } = require('@prisma/client');
+
+const ecoScoreWeights = {
+    renewable:  25,
+    energy:     15,
+    emissions:  30,
+    fuel:       10,
+    distance:   20
+}
+
+// Values at which the respective criteria score half their points
+const ecoScoreReferences = {
+    energy:     1000,   // kWh/day
+    emissions:  100,    // CO₂ g/km/t
+    distance:   100     // km
+}
+
+// Least points needed for each grade, best first
+const ecoGrades = [
+    ["A", 80],
+    ["B", 65],
+    ["C", 50],
+    ["D", 35],
+    ["E", 0]
+]
+
+/* Great-circle distance (km) between two Address rows, as SQL */
+function addressDistanceSQL(from, to) {
+    return Prisma.sql`(6371 * 2 * ASIN(SQRT(
+        POWER(SIN(RADIANS(${Prisma.raw(to)}.latitude - ${Prisma.raw(from)}.latitude) / 2), 2)
+        + COS(RADIANS(${Prisma.raw(from)}.latitude)) * COS(RADIANS(${Prisma.raw(to)}.latitude))
+        * POWER(SIN(RADIANS(${Prisma.raw(to)}.longitude - ${Prisma.raw(from)}.longitude) / 2), 2))))`
+}
+
+/* Eco-score (0 to 100, rounded to one decimal place) of every graded supply, as an SQL query of (product, supplier, warehouse, eco_score).
+   Only supplies of the given products are graded, if any are given (as an SQL query or list of product IDs)
+*/
+function supplyEcoScoresSQL(products = null) {
+    return Prisma.sql`
+        SELECT s.product, s.supplier, s.warehouse, ROUND(MAX(
+            ${ecoScoreWeights.renewable} * w.renewable_resources / 100
+            + ${ecoScoreWeights.energy} / (1 + w.resource_usage / ${ecoScoreReferences.energy})
+            + ${ecoScoreWeights.emissions} / (1 + fleet.average_emissions / ${ecoScoreReferences.emissions})
+            + ${ecoScoreWeights.fuel} * fleet.electric_share
+            + ${ecoScoreWeights.distance} / (1 + COALESCE((
+                SELECT MIN(${addressDistanceSQL("wa", "da")})
+                FROM Distribution_Center dc
+                INNER JOIN Address da ON da.id = dc.address
+                WHERE dc.transporter = st.transporter
+            ), 0) / ${ecoScoreReferences.distance})
+        ), 1) AS eco_score
+        FROM Supply s
+        INNER JOIN Warehouse w ON w.id = s.warehouse AND w.supplier = s.supplier
+        INNER JOIN Address wa ON wa.id = w.address
+        INNER JOIN Supply_Transporter st ON st.product = s.product AND st.supplier = s.supplier AND st.warehouse = s.warehouse
+        INNER JOIN (
+            SELECT transporter, AVG(average_emissions) AS average_emissions, AVG(fuel_type = 'ELECTRICITY') AS electric_share
+            FROM Vehicle
+            GROUP BY transporter
+        ) fleet ON fleet.transporter = st.transporter
+        ${products ? Prisma.sql`WHERE s.product IN (${products})` : Prisma.empty}
+        GROUP BY s.product, s.supplier, s.warehouse`
+}
+
+/* The grade (A to E) of an eco-score */
+function ecoGrade(score) {
+    return ecoGrades.find(([grade, points]) => score >= points)[0]
+}
+
+/* An eco-score as returned by the API, or null if there's none */
+function formatEcoScore(score) {
+    if (score === null || score === undefined) return null;
+
+    return {
+        score: Number(score),
+        grade: ecoGrade(Number(score))
+    }
+}
+
+module.exports = {
+    supplyEcoScoresSQL,
+    addressDistanceSQL,
+    ecoGrade,
+    formatEcoScore
+}
@@ -1,8 +1,14 @@
 /* Error Handling Package */
 
+const { MulterError } = require('multer');
+
 function errorHandler(error, req, res, next) {
     if (error instanceof SyntaxError) {
       res.status(422).send({message:"Badly formed JSON payload."});
+    } else if (error instanceof MulterError && error.code == "LIMIT_FILE_SIZE") {
+      res.status(413).send({message:"Uploaded file is too large. Files can't exceed 5MB."});
+    } else if (error instanceof MulterError) {
+      res.status(400).send({message:"Invalid file upload. Make sure to upload files under the expected field, and no more than allowed."});
     } else {
       next();
     }
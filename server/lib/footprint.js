@@ -0,0 +1,48 @@
+/*  Greenly Carbon Footprint Library
+    Functions included pertain to the carbon footprint of delivering an order item, from the distribution center the
+    transporter ships it from to the shipping address.
+
+    A vehicle's average_emissions (CO₂ g/km/t) is its emission factor per tonne carried, so with a full load it emits
+    average_emissions × payload_capacity per km. Each item bears its share of that load, by weight:
+
+        footprint (CO₂ g) = distance × average_emissions × payload_capacity × fuel factor × payload share
+        payload share = quantity × product weight / payload_capacity
+
+    The fuel factor adds the emissions of producing and delivering the fuel (well-to-tank) to the vehicle's own.
+*/
+
+// Well-to-tank uplift per fuel type. Electric vehicles have no exhaust, their average_emissions already being those
+// of generating the electricity they use
+const fuelFactors = {
+    DIESEL:         1.24,
+    PETROL:         1.21,
+    ELECTRICITY:    1
+}
+
+/* The carbon footprint of delivering quantity units of a product weighing unitWeight (kg) over distance (km) with the
+   given vehicle ({fuel_type, average_emissions, payload_capacity}). Null if the distance or the product's weight is
+   unknown, or if the vehicle has no payload capacity
+*/
+function itemFootprint(vehicle, distance, quantity, unitWeight) {
+    if (distance === null || distance === undefined || !vehicle || !Number(unitWeight)) return null;
+
+    const payloadCapacity = Number(vehicle.payload_capacity)
+    if (!(payloadCapacity > 0)) return null;
+
+    // Weights are in kg, payload capacities in t
+    const payloadShare = quantity * Number(unitWeight) / 1000 / payloadCapacity
+    const fullLoad = distance * Number(vehicle.average_emissions) * payloadCapacity * fuelFactors[vehicle.fuel_type]
+    const total = fullLoad * payloadShare
+
+    return {
+        distance:       parseFloat(Number(distance).toFixed(2)),
+        payload_share:  parseFloat(payloadShare.toFixed(6)),
+        per_unit:       parseFloat((total / quantity).toFixed(2)),
+        total:          parseFloat(total.toFixed(2))
+    }
+}
+
+module.exports = {
+    fuelFactors,
+    itemFootprint
+}
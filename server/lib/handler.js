@@ -22,13 +22,11 @@ async function postPaymentHandler(orderId) {
 
 /* E-mail Handling */
 
-async function emailHandler(notification) {
-
-    // Building email HTML
+const websiteURL = "http://greenly.pt";
 
-    let userInfo = await persistence.getUserByID(notification.user)
-
-    let emailHTML = 
+/* Builds the HTML of every e-mail sent by Greenly, addressed to the user and with a call-to-action button */
+function buildEmailHTML(user, content, link, linkText) {
+    return (
     `
     <!DOCTYPE html>
         <head>
@@ -78,15 +76,15 @@ async function emailHandler(notification) {
                         <tr>
                             <td class="content">
 
-                                <h2>Olá ${userInfo.first_name} ${userInfo.last_name},</h2>
+                                <h2>Olá ${user.first_name} ${user.last_name},</h2>
 
-                                <p>${notification.content}</p>
+                                <p>${content}</p>
 
                                 <table>
                                     <tr>
                                         <td align="center">
                                             <p>
-                                                <a href="http://greenly.pt/perfil/encomendas" class="button">Acompanhe a sua encomenda online</a>
+                                                <a href="${link}" class="button">${linkText}</a>
                                             </p>
                                         </td>
                                     </tr>
@@ -117,7 +115,10 @@ async function emailHandler(notification) {
         </body>
         </html>
     `
+    )
+}
 
+function sendEmail(recipient, title, html) {
     let transport = nodemailer.createTransport({
         host: process.env.EMAIL_HOST,
         port: process.env.EMAIL_PORT,
@@ -129,10 +130,10 @@ async function emailHandler(notification) {
 
      const mailOptions = {
         from: process.env.EMAIL_ADDRESS, 
-        to: userInfo.email, 
-        subject: `🌿 Greenly | ${notification.title}`, 
-        html: emailHTML,
-        text: emailHTML,
+        to: recipient, 
+        subject: `🌿 Greenly | ${title}`, 
+        html: html,
+        text: html,
         
    };
    
@@ -141,10 +142,85 @@ async function emailHandler(notification) {
          persistence.report(err)
        }
    });
+}
+
+async function emailHandler(notification) {
+
+    let userInfo = await persistence.getUserByID(notification.user)
+
+    // Security notifications lead to the account's security settings rather than its orders
+    let emailHTML = notification.scope == "SECURITY"
+        ? buildEmailHTML(userInfo, notification.content, `${websiteURL}/perfil/seguranca`, "Rever a segurança da conta")
+        : buildEmailHTML(userInfo, notification.content, `${websiteURL}/perfil/encomendas`, "Acompanhe a sua encomenda online")
+
+    sendEmail(userInfo.email, notification.title, emailHTML)
+
+}
+
+async function passwordResetEmailHandler(email) {
+
+    let userInfo = await persistence.getUserByEmail(email)
+    if (!userInfo) return false;
+
+    let resetToken = await persistence.createPasswordResetToken(userInfo.id)
+
+    // Users who sign in through Google or Facebook have no password to reset
+    if (!resetToken || resetToken == "INVALID_USER") return false;
+
+    const content = "Recebemos um pedido de recuperação da palavra-passe da sua conta. " +
+                    "O link abaixo é válido durante 1 hora e apenas pode ser utilizado uma vez. " +
+                    "Caso não tenha feito este pedido, pode ignorar este e-mail."
+
+    let emailHTML = buildEmailHTML(userInfo, content, `${websiteURL}/recuperar?token=${resetToken}`, "Redefinir palavra-passe")
+
+    sendEmail(userInfo.email, "Recuperação de palavra-passe", emailHTML)
+
+    return true;
+}
+
+async function verificationEmailHandler(userID) {
+
+    let userInfo = await persistence.getUserByID(userID)
+    let verificationToken = await persistence.createEmailVerificationToken(userID)
+
+    // Nothing to send if the user is already verified or the token couldn't be created
+    if (!userInfo || !verificationToken || ["INVALID_USER", "ALREADY_VERIFIED"].includes(verificationToken)) return false;
+
+    const content = "Obrigado por se juntar à Greenly! Para concluir o seu registo, confirme o seu endereço de e-mail. " +
+                    "O link abaixo é válido durante 48 horas."
+
+    let emailHTML = buildEmailHTML(userInfo, content, `${websiteURL}/verificar?token=${verificationToken}`, "Confirmar e-mail")
+
+    sendEmail(userInfo.email, "Confirmação de e-mail", emailHTML)
+
+    return true;
+}
+
+async function companyInvitationEmailHandler(email, company, role, invitationToken) {
+
+    const roleNames = {
+        MANAGER: "gestor",
+        OPERATOR: "operador",
+        READ_ONLY: "consulta"
+    }
+
+    // The invitee may not be registered yet, in which case they're addressed by e-mail
+    let userInfo = await persistence.getUserByEmail(email) || {first_name: email, last_name: ""}
+
+    const content = `Foi convidado para integrar a equipa da empresa ${company.name} na Greenly, com o papel de ${roleNames[role]}. ` +
+                    "Caso ainda não tenha conta, registe-se com este endereço de e-mail antes de aceitar o convite. " +
+                    "O link abaixo é válido durante 7 dias."
+
+    let emailHTML = buildEmailHTML(userInfo, content, `${websiteURL}/perfil/equipas?convite=${invitationToken}`, "Aceitar convite")
+
+    sendEmail(email, `Convite para a equipa ${company.name}`, emailHTML)
 
 }
 
 module.exports = {
     postPaymentHandler,
-    emailHandler
+    emailHandler,
+    passwordResetEmailHandler,
+    verificationEmailHandler,
+    companyInvitationEmailHandler
 }
\ No newline at end of file
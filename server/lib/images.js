@@ -0,0 +1,245 @@
+/*  Greenly Image Library
+    Functions included pertain to processing uploaded images (product and review images) before they're stored:
+    validation, EXIF removal and the generation of resized renditions in the original format, WebP and AVIF.
+    Images listed in catalog imports are downloaded here too.
+*/
+
+const dns           = require("dns");
+const net           = require("net");
+const http          = require("http");
+const https         = require("https");
+const sharp         = require("sharp");
+const { nanoid }    = require("nanoid");
+
+// Largest file accepted (the same limit as uploads), and largest image, in pixels, accepted (e.g. 8000x5000)
+const imageSizeLimit    = 5 * 1024 * 1024
+const imagePixelLimit   = 40000000
+
+// Formats images may be uploaded in
+const imageFormats = ["jpeg", "png"]
+
+// Renditions generated for every image, by the width they're resized to. Narrower images are never enlarged
+const imageRenditions = {
+    thumb: 160,
+    card: 480,
+    full: 1600
+}
+
+// Formats each rendition is stored in: the uploaded one ("original"), as a fallback, and more compact modern ones
+const renditionFormats = ["original", "webp", "avif"]
+
+/* Rendition identifiers */
+
+// Processed images are stored as "<key>-<rendition>.<format>", and referred to by their full rendition in the original
+// format. Images uploaded before renditions existed are stored as "<key>.<format>" and only have the original
+const processedImagePattern = /^(.+)-full\.(jpeg|png)$/
+
+/* The identifier of an image's rendition in the given format (the image's own identifier, if it has no renditions) */
+function renditionIdentifier(identifier, rendition, format = "original") {
+    const match = identifier.match(processedImagePattern)
+    if (!match) return identifier;
+
+    return `${match[1]}-${rendition}.${format == "original" ? match[2] : format}`
+}
+
+/* The identifiers of all files stored for an image */
+function renditionIdentifiers(identifier) {
+    if (!processedImagePattern.test(identifier)) return [identifier];
+
+    return Object.keys(imageRenditions).flatMap((rendition) =>
+        renditionFormats.map((format) => renditionIdentifier(identifier, rendition, format)))
+}
+
+/* The identifiers of an image's renditions in each format, by width (e.g. {webp: {"160w": ..., "480w": ...}}), to be
+   used as srcset attributes
+*/
+function renditionSet(identifier) {
+    if (!processedImagePattern.test(identifier)) {
+        return {original: {[`${imageRenditions.full}w`]: identifier}}
+    }
+
+    return Object.fromEntries(renditionFormats.map((format) => [
+        format,
+        Object.fromEntries(Object.entries(imageRenditions).map(([rendition, width]) =>
+            [`${width}w`, renditionIdentifier(identifier, rendition, format)]))
+    ]))
+}
+
+/* Processing */
+
+/* Validates an uploaded image and generates its renditions, stripped of any metadata (EXIF, location, etc.).
+   Returns "INVALID_FILE" if the file isn't a readable PNG or JPEG image, or "OVERSIZED_IMAGE" if it's too large.
+   Otherwise returns the identifier the image is to be referred to by, and the files to store
+*/
+async function processImage(file) {
+    if (!file || !file.buffer) return "INVALID_FILE";
+    if (file.buffer.length > imageSizeLimit) return "OVERSIZED_IMAGE";
+
+    let metadata
+
+    // The actual format is checked, as the declared type can't be trusted
+    try {
+        metadata = await sharp(file.buffer).metadata()
+    } catch {
+        return "INVALID_FILE"
+    }
+
+    if (!imageFormats.includes(metadata.format)) return "INVALID_FILE";
+    if (metadata.width * metadata.height > imagePixelLimit) return "OVERSIZED_IMAGE";
+
+    const key = nanoid()
+    let files = []
+
+    try {
+        for (const [rendition, width] of Object.entries(imageRenditions)) {
+            // Rotating applies the EXIF orientation, which would otherwise be lost along with the rest of the
+            // metadata, which sharp leaves out of its output
+            const resized = sharp(file.buffer, {limitInputPixels: imagePixelLimit})
+                .rotate()
+                .resize({width: width, withoutEnlargement: true})
+
+            for (const format of renditionFormats) {
+                const outputFormat = format == "original" ? metadata.format : format
+
+                files.push({
+                    identifier: `${key}-${rendition}.${outputFormat}`,
+                    buffer: await resized.clone().toFormat(outputFormat).toBuffer(),
+                    mimetype: `image/${outputFormat}`
+                })
+            }
+        }
+    } catch {
+        // Truncated or corrupted image data only fails when decoded
+        return "INVALID_FILE"
+    }
+
+    return {
+        identifier: `${key}-full.${metadata.format}`,
+        files: files
+    }
+}
+
+/* Downloads */
+
+// Longest time a download may take (ms), and most redirects followed
+const downloadTimeout       = 10000
+const downloadRedirectLimit = 3
+
+/* Whether the server may reach an address on behalf of users. Loopback, private, link-local (e.g. cloud metadata at
+   169.254.169.254), shared (carrier-grade NAT), multicast and reserved addresses can't be reached
+*/
+function isPublicAddress(address) {
+    if (net.isIPv4(address)) {
+        const [a, b] = address.split(".").map(Number)
+
+        return !(a == 0 || a == 10 || a == 127 || a >= 224
+            || (a == 100 && b >= 64 && b <= 127)
+            || (a == 169 && b == 254)
+            || (a == 172 && b >= 16 && b <= 31)
+            || (a == 192 && b == 168)
+            || (a == 198 && (b == 18 || b == 19)))
+    }
+
+    const lowered = address.toLowerCase()
+
+    // IPv4-mapped addresses, either dotted (::ffff:127.0.0.1) or not (::ffff:7f00:1)
+    const dotted = lowered.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/)
+    if (dotted) return isPublicAddress(dotted[1]);
+
+    const hexadecimal = lowered.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/)
+    if (hexadecimal) {
+        const [high, low] = hexadecimal.slice(1).map((group) => parseInt(group, 16))
+        return isPublicAddress([high >> 8, high & 255, low >> 8, low & 255].join("."))
+    }
+
+    if (lowered == "::" || lowered == "::1") return false;
+
+    // Unique local (fc00::/7), link-local (fe80::/10) and multicast (ff00::/8)
+    const group = parseInt(lowered.split(":")[0] || "0", 16)
+    return !((group & 0xfe00) == 0xfc00 || (group & 0xffc0) == 0xfe80 || (group & 0xff00) == 0xff00)
+}
+
+/* DNS lookup for downloads, refusing hosts with non-public addresses. As connections use the address checked here,
+   hosts can't resolve to a public address when checked and to another one when connected to
+*/
+function publicLookup(hostname, options, callback) {
+    dns.lookup(hostname, {...options, all: true}, (error, addresses) => {
+        if (error) return callback(error);
+
+        if (!addresses.length || !addresses.every((entry) => isPublicAddress(entry.address))) {
+            return callback(Object.assign(new Error(`${hostname} doesn't resolve to a public address.`), {code: "NON_PUBLIC_ADDRESS"}))
+        }
+
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family)
+    })
+}
+
+/* Downloads an image (e.g. one listed in a catalog) over HTTP(S). Only public addresses are reached, redirects
+   included, and no more than imageSizeLimit bytes are read.
+   Returns the image's contents, or "FORBIDDEN_ADDRESS", "OVERSIZED_IMAGE" or "DOWNLOAD_FAILED"
+*/
+function downloadImage(url, redirects = 0) {
+    return new Promise((resolve) => {
+        let target
+
+        try {
+            target = new URL(url)
+        } catch {
+            return resolve("DOWNLOAD_FAILED")
+        }
+
+        if (!["http:", "https:"].includes(target.protocol)) return resolve("DOWNLOAD_FAILED");
+
+        // Addresses given as such aren't looked up
+        const host = target.hostname.replace(/^\[|\]$/g, "")
+        if (net.isIP(host) && !isPublicAddress(host)) return resolve("FORBIDDEN_ADDRESS");
+
+        let finished = false
+        const finish = (result) => {
+            if (finished) return;
+            finished = true
+            clearTimeout(deadline)
+            request.destroy()
+            resolve(result)
+        }
+
+        const request = (target.protocol == "https:" ? https : http).get(target, {lookup: publicLookup}, (response) => {
+            if ([301, 302, 303, 307, 308].includes(response.statusCode)) {
+                if (redirects >= downloadRedirectLimit || !response.headers.location) return finish("DOWNLOAD_FAILED");
+
+                // Followed as a new download, so that its address is checked as well
+                return finish(downloadImage(new URL(response.headers.location, target).href, redirects + 1))
+            }
+
+            if (response.statusCode != 200) return finish("DOWNLOAD_FAILED");
+            if (Number(response.headers["content-length"]) > imageSizeLimit) return finish("OVERSIZED_IMAGE");
+
+            // The declared length can't be trusted (nor is it always given), so the body is capped as it's read
+            let chunks = []
+            let size = 0
+
+            response.on("data", (chunk) => {
+                size += chunk.length
+                if (size > imageSizeLimit) return finish("OVERSIZED_IMAGE");
+                chunks.push(chunk)
+            })
+
+            response.on("end", () => finish(Buffer.concat(chunks)))
+            response.on("error", () => finish("DOWNLOAD_FAILED"))
+        })
+
+        request.on("error", (error) => finish(error.code == "NON_PUBLIC_ADDRESS" ? "FORBIDDEN_ADDRESS" : "DOWNLOAD_FAILED"))
+
+        const deadline = setTimeout(() => finish("DOWNLOAD_FAILED"), downloadTimeout)
+    })
+}
+
+module.exports = {
+    imageSizeLimit,
+    processImage,
+    downloadImage,
+    renditionIdentifier,
+    renditionIdentifiers,
+    renditionSet
+}
@@ -5,9 +5,11 @@
 const { PrismaClient, Prisma } = require('@prisma/client');
 const {Client} = require("@googlemaps/google-maps-services-js");
 const bcrypt = require('bcrypt');
+const crypto = require('crypto');
 const argv = require('../server').argv
-const { nanoid } = require('nanoid');
+const { nanoid, customAlphabet } = require('nanoid');
 const { DateTime } = require('luxon');
+const { authenticator } = require('otplib');
 
 // Use 10 salt rounds for each hash
 const saltRounds = 10;
@@ -15,6 +17,13 @@ const saltRounds = 10;
 // Round coordinates to 6 decimal places
 const roundingPrecision = 6;
 
+// Accept TOTP codes from the previous and next time steps, to make up for clock drift
+authenticator.options = { window: 1 };
+
+// Number of recovery codes handed out when enabling 2FA, and their format (e.g. "k3f9a-0qz7m")
+const recoveryCodeCount = 10;
+const generateRecoveryCode = customAlphabet("0123456789abcdefghijklmnopqrstuvwxyz", 10);
+
 /* Persistence Init */
 
 const prisma = new PrismaClient({
@@ -28,15 +37,13 @@ Prisma.Decimal.prototype.toJSON = function() {
 
 const maps = new Client();
 
-/* Initializing Google Storage Bucket */
-
-const {Storage} = require('@google-cloud/storage');
-
-const storage = new Storage({
-    keyFilename: ".google-key.json" //TODO: Remove this line in production
-});
+/* Initializing file storage (Google Cloud Storage or local disk, see lib/storage.js) */
 
-const bucket = storage.bucket("greenly.pt");
+const storage = require("./storage").driver;
+const images = require("./images");
+const ecoscore = require("./ecoscore");
+const footprint = require("./footprint");
+const { roadDistances } = require("./distance");
 
 /* Checking database availability */
 
@@ -47,10 +54,39 @@ prisma.$connect().catch((reason) => {
 
 /* Helper functions */
 
-// Composing Cloud Storage Access
+// Composing storage access
 
 function composeURL(identifier) {
-    return `https://storage.googleapis.com/${bucket.name}/${identifier}` 
+    return storage.url(identifier)
+}
+
+// Composing the URL of one of an image's renditions ("thumb", "card" or "full", see lib/images.js)
+
+function composeImageURL(identifier, rendition) {
+    return composeURL(images.renditionIdentifier(identifier, rendition))
+}
+
+// Composing the URLs of an image's renditions, by format and width (e.g. {webp: {"160w": ...}}), for srcset attributes
+
+function composeSrcset(identifier) {
+    return Object.fromEntries(Object.entries(images.renditionSet(identifier)).map(([format, renditions]) => [
+        format,
+        Object.fromEntries(Object.entries(renditions).map(([width, rendition]) => [width, composeURL(rendition)]))
+    ]))
+}
+
+// Uploading an image processed by lib/images.js (all of its renditions) to storage, returning the identifier it is stored under
+
+async function uploadImage(image) {
+    await Promise.all(image.files.map((file) => storage.save(file.identifier, file.buffer, file.mimetype)))
+
+    return image.identifier
+}
+
+// Deleting an image (all of its renditions) from storage (images that no longer exist are ignored)
+
+async function deleteImage(identifier) {
+    await Promise.all(images.renditionIdentifiers(identifier).map((rendition) => storage.remove(rendition)))
 }
 
 // Reporting exceptions (only in development mode)
@@ -64,12 +100,6 @@ function round(value, decimals) {
     return Number(Math.round(value + 'e' + decimals) + 'e-' + decimals);
 }   
 
-// Server-side pagination
-function manualPagination (array, page_size, page_number) {
-    return array.slice((page_number - 1) * page_size, page_number * page_size);
-}
-
-
 function calcLowestPrice (supplies) {
     let min = Number.POSITIVE_INFINITY;
     supplies.forEach((supply) => {
@@ -81,21 +111,13 @@ function calcLowestPrice (supplies) {
     return min;
 }; 
 
-function calcHighestPrice (supplies) {
-    let max = Number.NEGATIVE_INFINITY;
-    supplies.forEach((supply) => {
-        if (parseFloat(supply.price) > parseFloat(max)) {
-            max = supply.price
-        }
-    })
-
-    return max;
-}; 
 
 /**
  * Determining distribution center closest to destination and the best vehicle for delivery.
  * Currently decides the optimal vehicle based on distance from center to destination and 
  * current load of orders (i.e. which one currently has the least amount of orders in AWAITING_TRANSPORT mode?)
+ * Returns the vehicle's id and the road distance (km, see lib/distance.js) from its distribution center to the destination,
+ * or null if the transporter has no vehicles (or the destination doesn't exist).
  * @param {*} transporter 
  * @param {*} destination 
  */
@@ -110,6 +132,8 @@ async function determineOptimalVehicle(transporter, destination) {
             }
         })
 
+        if (!userAddress) return null;
+
         // Considering only distribution centers with at least one vehicle
 
         let distributionCenters = await prisma.distribution_Center.findMany({
@@ -133,43 +157,23 @@ async function determineOptimalVehicle(transporter, destination) {
             }
         })
 
-        // Figuring out which warehouse is closest to the destination address
-
-        let origins = distributionCenters.map((center) =>  ({
-            lat: parseFloat(center.Address.latitude), 
-            lng: parseFloat(center.Address.longitude)}))
-        
-        let distances = await maps.distancematrix({
-            params: {
-                origins: origins,
-                destinations: [
-                    {
-                        lat: userAddress.latitude,
-                        lng: userAddress.longitude
-                    }
-                ],
-                key: process.env.GOOGLE_API_KEY
-            }
-        })
-
-        // If anything goes wrong, simply use the first vehicle
-        if (distances.status != 200) {
-            return 1
-        }
-
-        // Parsing the distances obtained from Google Distance Matrix
+        if (!distributionCenters.length) return null;
 
-        let parsedDistances = distances.data.rows.map((row) => {
-            let distance = row.elements[0].distance
-            if (distance != null) {        
-                return distance.value
-            }
-        }).filter((distance) => (distance != undefined))
+        // Figuring out which distribution center is closest to the destination address
+        // This is index-safe since there are n distribution centers and n distances
 
-        // Determining which warehouse is closest
-        // This is index-safe since there are n distribution centers and n distance results
+        let distances = await roadDistances(
+            distributionCenters.map((center) => ({
+                lat: parseFloat(center.Address.latitude),
+                lng: parseFloat(center.Address.longitude)
+            })),
+            {
+                lat: parseFloat(userAddress.latitude),
+                lng: parseFloat(userAddress.longitude)
+            })
 
-        let closestDistributionCenter = distributionCenters[parsedDistances.indexOf(Math.min(...parsedDistances))]
+        let closestDistance = Math.min(...distances)
+        let closestDistributionCenter = distributionCenters[distances.indexOf(closestDistance)]
 
         /* Determining least-busy vehicle */
 
@@ -185,10 +189,10 @@ async function determineOptimalVehicle(transporter, destination) {
 
         /**
          * This bit of code:
-         * Gets the count of orders AWAITING_TRANSPORT for each vehicle in the warehouse;
+         * Gets the count of orders AWAITING_TRANSPORT for each vehicle in the distribution center;
          * Determines which vehicle is least busy, i.e. which one has the least amount of orders awaiting transport.
          */
-        let leastBusyVehicle = vehicles[Math.min(...await Promise.all(
+        let loads = await Promise.all(
             vehicles.map(async (vehicle) => {
                 return await prisma.order_Item.count({
                     where: {
@@ -198,23 +202,223 @@ async function determineOptimalVehicle(transporter, destination) {
                     }
                 })
             })
-        ))]
-            
-        return leastBusyVehicle.id
+        )
+
+        let leastBusyVehicle = vehicles[loads.indexOf(Math.min(...loads))]
+
+        return {vehicle: leastBusyVehicle.id, distance: closestDistance}
+
+    } catch (e) {
+        report(e)
+        return null
+    }
+
+}
+
+/* The vehicle which would deliver each item ({product, transporter, quantity}) to the destination address, and the
+   item's carbon footprint (see lib/footprint.js). Both are null for items no vehicle of their transporter can deliver,
+   and the footprint is also null for products whose weight is unknown.
+   Items of the same transporter are delivered together, so its vehicle is only determined once
+*/
+async function estimateDeliveries(items, destination) {
+    let vehicles = new Map()
+
+    const products = await prisma.product.findMany({
+        where: {
+            id: {
+                in: [...new Set(items.map((item) => item.product))]
+            }
+        },
+        select: {
+            id: true,
+            weight: true
+        }
+    })
+
+    for (const item of items) {
+        if (vehicles.has(item.transporter)) continue;
+
+        vehicles.set(item.transporter, determineOptimalVehicle({id: item.transporter}, destination).then(async (optimalVehicle) => {
+            if (!optimalVehicle) return null;
+
+            const vehicleData = await prisma.vehicle.findUnique({
+                where: {
+                    id_transporter: {
+                        id: optimalVehicle.vehicle,
+                        transporter: item.transporter
+                    }
+                },
+                select: {
+                    fuel_type: true,
+                    average_emissions: true,
+                    payload_capacity: true
+                }
+            })
+
+            return {...optimalVehicle, data: vehicleData}
+        }))
+    }
+
+    return await Promise.all(items.map(async (item) => {
+        const vehicle = await vehicles.get(item.transporter)
+        const product = products.find((product) => product.id == item.product)
+
+        return {
+            vehicle: vehicle ? vehicle.vehicle : null,
+            footprint: vehicle ? footprint.itemFootprint(vehicle.data, vehicle.distance, item.quantity, product ? product.weight : null) : null
+        }
+    }))
+}
 
+
+/* Audit Log Functions */
+
+/* Fields whose values are never written to the audit log, only the fact that they changed, by entity. Besides
+   passwords, these are users' personal data and what they wrote: the log is append-only, so it couldn't erase them
+   when the user is anonymized
+*/
+const auditRedactedFields = {
+    USER: ["password", "first_name", "last_name", "email", "phone", "company"],
+    REVIEW: ["text"]
+}
+
+/* Returns the fields that differ between two snapshots of an entity, as {field: {before, after}} */
+function auditDiff(entity, before, after) {
+    const redacted = auditRedactedFields[entity] || []
+    const diff = {}
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})])
+
+    for (const field of fields) {
+        const previous = before ? before[field] ?? null : null
+        const current = after ? after[field] ?? null : null
+
+        if (JSON.stringify(previous) == JSON.stringify(current)) continue;
+
+        diff[field] = redacted.includes(field)
+            ? {before: "[REDACTED]", after: "[REDACTED]"}
+            : {before: previous, after: current}
+    }
+
+    return diff
+}
+
+/* Appends an entry to the audit log. audit is {actor, ip}, given by the routes for changes made by administrators only.
+   A failure to record the entry is reported but doesn't undo the change.
+*/
+async function recordAudit(audit, action, entity, entityID, before, after) {
+    if (!audit) return;
+
+    try {
+        await prisma.audit_Log.create({
+            data: {
+                actor: audit.actor,
+                action: action,
+                entity: entity,
+                entity_id: String(entityID),
+                diff: auditDiff(entity, before, after),
+                ip: audit.ip,
+                timestamp: new Date()
+            }
+        })
     } catch (e) {
         report(e)
-        // If anything goes wrong, simply use the first vehicle
-        return 1
     }
+}
+
+/* Returns a page of audit log entries (most recent first) matching the filters, along with the actors' names */
+async function getAuditLog(filters = {}, page = 1, pageSize = 50) {
+    try {
+        const where = {
+            actor: filters.actor,
+            action: filters.action,
+            entity: filters.entity,
+            entity_id: filters.entity_id,
+            timestamp: {
+                gte: filters.from,
+                lte: filters.to
+            }
+        }
+
+        const [total, entries] = await prisma.$transaction([
+            prisma.audit_Log.count({
+                where: where
+            }),
+            prisma.audit_Log.findMany({
+                where: where,
+                orderBy: {
+                    id: 'desc'
+                },
+                skip: (page - 1) * pageSize,
+                take: pageSize
+            })
+        ])
+
+        // Actors aren't a relation, as entries outlive deleted accounts
+        const actors = await prisma.user.findMany({
+            where: {
+                id: {
+                    in: [...new Set(entries.map((entry) => entry.actor))]
+                }
+            },
+            select: {
+                id: true,
+                first_name: true,
+                last_name: true,
+                email: true
+            }
+        })
+
+        return {
+            total: total,
+            page: page,
+            pages: Math.ceil(total / pageSize),
+            entries: entries.map((entry) => {
+                return {
+                    ...entry,
+                    actor: actors.find((actor) => actor.id == entry.actor) || {id: entry.actor}
+                }
+            })
+        }
 
+    } catch (e) {
+        report(e)
+        return null;
+    }
 }
 
+/* Snapshot of the user fields administrators can change, as written to the audit log */
+async function getAuditedUser(id) {
+    const user = await prisma.user.findUnique({
+        where: {
+            id: id
+        },
+        select: {
+            first_name: true,
+            last_name: true,
+            email: true,
+            phone: true,
+            type: true,
+            verified: true,
+            Company: {
+                select: {
+                    name: true,
+                    bio: true,
+                    email: true
+                }
+            }
+        }
+    })
+
+    if (!user) return null;
+
+    const {Company, ...snapshot} = user
+    return Company ? {...snapshot, company: Company} : snapshot
+}
 
 /* User Functions */
 
 /* Returns user object on creation, or null if invalid */
-async function createUser(params) {
+async function createUser(params, audit) {
     try {
         let newUser = await prisma.user.create({
             data: {
@@ -223,7 +427,9 @@ async function createUser(params) {
                 email: params.email,
                 phone: params.phone,
                 type: params.type,
-                registration_date: new Date()
+                registration_date: new Date(),
+                // E-mails returned by Google and Facebook have already been verified by them
+                verified: !params.password
             }
         })
 
@@ -238,7 +444,7 @@ async function createUser(params) {
             data: {
                 id: newUser.id,
                 provider: params.provider,
-                value: bcrypt.hashSync(params.sub, saltRounds)
+                subject: hashSubject(params.sub)
             }
         })
 
@@ -253,16 +459,26 @@ async function createUser(params) {
             })
 
             // Updating the user's company after we're sure user creation didn't go wrong.
+            // The user is the company account itself, and its owner within the company team
             newUser = await prisma.user.update({
                 where: {
                     id: newUser.id
                 },
                 data: {
-                    company: newCompany.id
+                    company: newCompany.id,
+                    Company_Member: {
+                        create: {
+                            company: newCompany.id,
+                            role: "OWNER",
+                            joined: new Date()
+                        }
+                    }
                 }
             })
         }
 
+        await recordAudit(audit, "CREATE", "USER", newUser.id, null, await getAuditedUser(newUser.id))
+
         return {id: newUser.id};
 
     } catch (e) {
@@ -271,7 +487,7 @@ async function createUser(params) {
     }
 }
 
-async function updateUser(id, params) {
+async function updateUser(id, params, audit) {
 
     /* Updating only referenced parameters into database
        The point of this procedure is to understand which properties
@@ -304,8 +520,13 @@ async function updateUser(id, params) {
         if (key in userKeyMap) {
             if (key == "new_password") {
                 userDataSelection.Credentials = {
-                    update: {
-                        value: bcrypt.hashSync(value, saltRounds)
+                    updateMany: {
+                        where: {
+                            provider: "local"
+                        },
+                        data: {
+                            value: bcrypt.hashSync(value, saltRounds)
+                        }
                     }
                 }
 
@@ -328,6 +549,27 @@ async function updateUser(id, params) {
     }
 
     try {
+        const before = audit ? await getAuditedUser(Number(id)) : null
+
+        // A new e-mail address has to be verified again, but resubmitting the current one changes nothing
+        let emailChanged = false
+
+        if (params.email) {
+            const current = await prisma.user.findUnique({
+                where: {
+                    id: id
+                },
+                select: {
+                    email: true
+                }
+            })
+
+            if (current && current.email != params.email) {
+                userDataSelection.verified = false
+                emailChanged = true
+            }
+        }
+
         const updatedUser = await prisma.user.update({
             where: {
                 id: id
@@ -335,7 +577,19 @@ async function updateUser(id, params) {
             data: userDataSelection
         })
 
-        return updatedUser;
+        if (audit) {
+            const after = await getAuditedUser(Number(id))
+
+            // Password hashes are never logged, only the fact that the password was changed
+            if (params.new_password) {
+                before.password = false
+                after.password = true
+            }
+
+            await recordAudit(audit, "UPDATE", "USER", id, before, after)
+        }
+
+        return {...updatedUser, email_changed: emailChanged};
 
     } catch (e) {
         report(e)
@@ -344,9 +598,23 @@ async function updateUser(id, params) {
 
 }
 
-/* Returns true if deleted succesfully, false otherwise */
-async function deleteUser(id) {
+/* Returns true if deleted succesfully, false otherwise. With anonymize, the user's personal data is erased
+   instead, keeping their orders for accounting. Users with orders can only be anonymized ("HAS_ORDERS").
+*/
+async function deleteUser(id, audit, anonymize = false) {
     try {
+        if (anonymize) {
+            return await anonymizeUser(id, audit)
+        }
+
+        const orders = await prisma.order.count({
+            where: {
+                consumer: id
+            }
+        })
+
+        if (orders) return "HAS_ORDERS";
+
         /* TODO: Eventually also delete: 
                 * All orders by user, in case of consumer
                 * Company
@@ -358,13 +626,15 @@ async function deleteUser(id) {
 
         if (getUserByID(id)) {
 
+            const before = audit ? await getAuditedUser(id) : null
+
             await prisma.address.deleteMany({
                 where: {
                     user: id
                 }
             })
 
-            await prisma.credentials.delete({
+            await prisma.credentials.deleteMany({
                 where: {
                     id: id
                 }
@@ -376,6 +646,8 @@ async function deleteUser(id) {
                     id: id
                 }
             })
+
+            await recordAudit(audit, "DELETE", "USER", id, before, null)
             
             return true
         } else {
@@ -389,24 +661,144 @@ async function deleteUser(id) {
 
 }
 
-async function getAllUsers() {
-    return users = await prisma.user.findMany({
-        select: {
-            id: true,
-            first_name: true,
-            last_name: true,
-            email: true,
-            phone: true,
-            type: true,
+/* Scrubs the user's personal data, keeping the row (and so their orders and order items) in place.
+   The account can no longer be signed into. Addresses used by orders keep only their city and country,
+   while the remaining ones are deleted, unless they locate a warehouse or distribution center.
+   Reviews keep only their rating, their text and photos being erased. The company of a supplier/transporter account
+   is scrubbed as well.
+*/
+async function anonymizeUser(id, audit) {
+    const user = await prisma.user.findUnique({
+        where: {
+            id: id
         }
-    });
+    })
+
+    if (!user) return false;
+
+    const usedByOrders = [
+        { Order_AddressToOrder_billing_address: { some: {} } },
+        { Order_AddressToOrder_shipping_address: { some: {} } }
+    ]
+
+    // Reviews keep their rating, which counts towards the product's and supplier's, but not what the user wrote or photographed
+    const reviewedByUser = { Order_Item: { Order: { consumer: id } } }
+
+    const reviewImages = await prisma.reviewImage.findMany({
+        where: {
+            Review: reviewedByUser
+        }
+    })
+
+    // The company of a supplier/transporter account is theirs alone, so its details are personal data as well
+    const company = user.company && ["SUPPLIER", "TRANSPORTER"].includes(user.type) ? user.company : null
+
+    await prisma.$transaction([
+        // Sign-in methods, sessions and anything else tied to the account's identity
+        prisma.credentials.deleteMany({ where: { id: id } }),
+        prisma.session.deleteMany({ where: { user: id } }),
+        prisma.account_Token.deleteMany({ where: { user: id } }),
+        prisma.two_Factor.deleteMany({ where: { user: id } }),
+        prisma.api_Key.deleteMany({ where: { user: id } }),
+        prisma.company_Member.deleteMany({ where: { user: id } }),
+        prisma.company_Invitation.deleteMany({ where: { email: user.email } }),
+        prisma.login_Throttle.deleteMany({ where: { identifier: `account:${user.email.toLowerCase()}` } }),
+
+        prisma.notification.deleteMany({ where: { user: id } }),
+        prisma.wishlist.deleteMany({ where: { consumer: id } }),
+        prisma.cart.deleteMany({ where: { consumer: id } }),
+
+        // Orders are kept, but observations are free text written by the user
+        prisma.order.updateMany({
+            where: {
+                consumer: id
+            },
+            data: {
+                observations: null
+            }
+        }),
+
+        prisma.review.updateMany({
+            where: reviewedByUser,
+            data: {
+                text: null
+            }
+        }),
+        prisma.reviewImage.deleteMany({
+            where: {
+                Review: reviewedByUser
+            }
+        }),
+
+        prisma.address.updateMany({
+            where: {
+                user: id,
+                OR: usedByOrders
+            },
+            data: {
+                street: "",
+                postal_code: "",
+                nif: 0,
+                latitude: 0,
+                longitude: 0,
+                is_shipping: false,
+                is_billing: false
+            }
+        }),
+        prisma.address.deleteMany({
+            where: {
+                user: id,
+                NOT: usedByOrders,
+                Warehouse: { none: {} },
+                Distribution_Center: { none: {} }
+            }
+        }),
+
+        ...(company ? [
+            prisma.company_Invitation.deleteMany({ where: { company: company } }),
+            prisma.company.update({
+                where: {
+                    id: company
+                },
+                data: {
+                    name: "Empresa anónima",
+                    email: `anonymized-company-${company}@greenly.invalid`,
+                    bio: null
+                }
+            })
+        ] : []),
+
+        prisma.user.update({
+            where: {
+                id: id
+            },
+            data: {
+                first_name: "Utilizador",
+                last_name: "anónimo",
+                email: `anonymized-${id}@greenly.invalid`,
+                phone: null,
+                verified: false
+            }
+        })
+    ])
+
+    // Stored photos are only deleted once no review refers to them anymore
+    await Promise.all(reviewImages.map((image) => deleteImage(image.uri)))
+
+    // The entry itself mustn't hold on to the erased data
+    await recordAudit(audit, "DELETE", "USER", id, { anonymized: false }, { anonymized: true })
+
+    return true
 }
 
-async function getUserByID(id, withPassword=false) {
+/* Gathers the personal data held about the user, as handed over to them on request (GDPR art. 15 and 20).
+   Returns "NOT_FOUND" if the user doesn't exist.
+*/
+async function getPersonalData(userID) {
     try {
-        return user = await prisma.user.findUnique({
+        const user = await prisma.user.findUnique({
             where: {
-                id: id
+                id: userID
             },
             select: {
                 id: true,
@@ -415,28 +807,163 @@ async function getUserByID(id, withPassword=false) {
                 email: true,
                 phone: true,
                 type: true,
+                registration_date: true,
+                verified: true,
+                Company: {
+                    select: {
+                        name: true,
+                        bio: true,
+                        email: true
+                    }
+                },
                 Credentials: {
                     select: {
-                        provider: true,
-                        value: withPassword,
+                        provider: true
                     }
                 },
                 Address: {
                     select: {
                         id: true,
                         street: true,
-                        city: true,
                         country: true,
-                        postal_code: true,
-                        nif: true,
+                        city: true,
                         latitude: true,
                         longitude: true,
+                        postal_code: true,
+                        nif: true,
                         is_shipping: true,
-                        is_billing: true,
+                        is_billing: true
                     }
-                },
-                Company: {
-                    select: {
+                }
+            }
+        })
+
+        if (!user) return "NOT_FOUND";
+
+        const orders = await prisma.order.findMany({
+            where: {
+                consumer: userID
+            },
+            include: {
+                Order_Item: true
+            },
+            orderBy: {
+                date: 'desc'
+            }
+        })
+
+        const reviews = await prisma.review.findMany({
+            where: {
+                Order_Item: {
+                    Order: {
+                        consumer: userID
+                    }
+                }
+            },
+            select: reviewSelection,
+            orderBy: {
+                created: 'desc'
+            }
+        })
+
+        // Every session the user signed in with, including ended ones, as they record where from
+        const sessions = await prisma.session.findMany({
+            where: {
+                user: userID
+            },
+            select: {
+                provider: true,
+                device: true,
+                ip: true,
+                created: true,
+                last_active: true
+            },
+            orderBy: {
+                created: 'desc'
+            }
+        })
+
+        const {Company, Credentials, Address, ...profile} = user
+
+        return {
+            exported: new Date(),
+            profile: {
+                ...profile,
+                company: Company,
+                identities: Credentials.map((credentials) => credentials.provider)
+            },
+            addresses: Address,
+            orders: orders.map(({Order_Item, ...order}) => ({...order, items: Order_Item})),
+            reviews: reviews.map(formatReview),
+            sessions: sessions,
+            api_keys: await getApiKeys(userID),
+            company_memberships: await getCompanyMemberships(userID),
+            notifications: await getNotificationsByUser(userID),
+            wishlist: await getWishlist(userID),
+            cart: await getCart(userID)
+        }
+
+    } catch (e) {
+        report(e)
+        return null;
+    }
+}
+
+async function getAllUsers() {
+    return users = await prisma.user.findMany({
+        select: {
+            id: true,
+            first_name: true,
+            last_name: true,
+            email: true,
+            phone: true,
+            type: true,
+        }
+    });
+}
+
+async function getUserByID(id, withPassword=false) {
+    try {
+        return user = await prisma.user.findUnique({
+            where: {
+                id: id
+            },
+            select: {
+                id: true,
+                first_name: true,
+                last_name: true,
+                email: true,
+                phone: true,
+                type: true,
+                verified: true,
+                Credentials: {
+                    select: {
+                        provider: true,
+                        value: withPassword,
+                        subject: withPassword,
+                    }
+                },
+                Two_Factor: {
+                    select: {
+                        enabled: true
+                    }
+                },
+                Address: {
+                    select: {
+                        id: true,
+                        street: true,
+                        city: true,
+                        country: true,
+                        postal_code: true,
+                        nif: true,
+                        latitude: true,
+                        longitude: true,
+                        is_shipping: true,
+                        is_billing: true,
+                    }
+                },
+                Company: {
+                    select: {
                         id: true,
                         name: true,
                         bio: true,
@@ -445,84 +972,1386 @@ async function getUserByID(id, withPassword=false) {
                 },
             }
         })
-    } catch (e){
+    } catch (e){
+        report(e)
+        return null;
+    }
+}
+
+async function getUserByEmail(email, withPassword=false) {
+    try {
+        return user = await prisma.user.findUnique({
+            where: {
+                email: email
+            },
+            select: {
+                id: true,
+                first_name: true,
+                last_name: true,
+                email: true,
+                phone: true,
+                Credentials: withPassword ? {
+                    select: {
+                        provider: true,
+                        value: true,
+                        subject: true
+                    }
+                } : withPassword,
+                type: true,
+                verified: true,
+                Two_Factor: {
+                    select: {
+                        enabled: true
+                    }
+                },
+                Address: {
+                    select: {
+                        id: true,
+                        street: true,
+                        city: true,
+                        country: true,
+                        postal_code: true,
+                        nif: true,
+                        latitude: true,
+                        longitude: true,
+                        is_shipping: true,
+                        is_billing: true,
+                    }
+                },
+                Company: {
+                    select: {
+                        id: true,
+                        name: true,
+                        bio: true,
+                    }
+                },
+            }
+        })
+    } catch (e){
+        report(e)
+        return null;
+    }
+}
+
+async function checkUserConflict(attribute, value) {
+    // Checks if a user attribute is already in use.
+    // Should be used for email and phone
+    // Returns boolean representing the existance of conflict.
+
+    let result;
+
+    try{
+        if (attribute == "id") {
+            result = await prisma.user.findUnique({
+                'where': {
+                    id: value
+                }
+            })
+        } else if (attribute == "email") {
+            result = await prisma.user.findUnique({
+                'where': {
+                    email: value
+                }
+            })
+        }
+    
+        return result;
+    } catch (e) {
+        return null;
+    }
+}
+
+/* Identity Functions */
+
+/* Identifiers returned by Facebook and Google are stored as a SHA-256 hash, so that they can still be looked up on login */
+function hashSubject(subject) {
+    return crypto.createHash("sha256").update(String(subject)).digest("hex");
+}
+
+function getLocalCredentials(user) {
+    return user.Credentials.find((credentials) => credentials.provider == "local");
+}
+
+/* Returns the user (with credentials) to whom the Facebook or Google identity is linked, or null if it isn't linked to anyone */
+async function getUserByIdentity(provider, subject) {
+    try {
+        const credentials = await prisma.credentials.findUnique({
+            where: {
+                provider_subject: {
+                    provider: provider,
+                    subject: hashSubject(subject)
+                }
+            }
+        })
+
+        return credentials ? await getUserByID(credentials.id, true) : null;
+
+    } catch (e) {
+        report(e)
+        return null;
+    }
+}
+
+/* Identities created before users could link several of them only stored a bcrypt hash of the identifier.
+   Returns true (and stores the lookup hash) if the identity matches one of those.
+*/
+async function claimLegacyIdentity(user, provider, subject) {
+    try {
+        const credentials = user.Credentials.find((credentials) => credentials.provider == provider);
+
+        if (!credentials || credentials.subject || !credentials.value || !bcrypt.compareSync(subject, credentials.value)) return false;
+
+        await prisma.credentials.update({
+            where: {
+                id_provider: {
+                    id: user.id,
+                    provider: provider
+                }
+            },
+            data: {
+                value: null,
+                subject: hashSubject(subject)
+            }
+        })
+
+        return true;
+
+    } catch (e) {
+        report(e)
+        return false;
+    }
+}
+
+async function getIdentities(userID) {
+    try {
+        return await prisma.credentials.findMany({
+            where: {
+                id: userID
+            },
+            select: {
+                provider: true
+            }
+        })
+    } catch (e) {
+        report(e)
+        return null;
+    }
+}
+
+/* Links a new identity to the user. Expects either {provider: "local", password} or {provider, subject}, where subject is already hashed */
+async function linkIdentity(userID, identity) {
+    try {
+        const existing = await prisma.credentials.findUnique({
+            where: {
+                id_provider: {
+                    id: userID,
+                    provider: identity.provider
+                }
+            }
+        })
+
+        if (existing) return "ALREADY_LINKED";
+
+        if (identity.provider == "local") {
+            await prisma.credentials.create({
+                data: {
+                    id: userID,
+                    provider: "local",
+                    value: bcrypt.hashSync(identity.password, saltRounds)
+                }
+            })
+        } else {
+            const owner = await prisma.credentials.findUnique({
+                where: {
+                    provider_subject: {
+                        provider: identity.provider,
+                        subject: identity.subject
+                    }
+                }
+            })
+
+            if (owner) return "IDENTITY_IN_USE";
+
+            await prisma.credentials.create({
+                data: {
+                    id: userID,
+                    provider: identity.provider,
+                    subject: identity.subject
+                }
+            })
+        }
+
+        return true;
+
+    } catch (e) {
+        report(e)
+        return null;
+    }
+}
+
+/* Unlinks an identity, as long as the user is left with at least one way to sign in */
+async function unlinkIdentity(userID, provider) {
+    try {
+        const identities = await prisma.credentials.findMany({
+            where: {
+                id: userID
+            }
+        })
+
+        if (!identities.some((identity) => identity.provider == provider)) return "NOT_FOUND";
+        if (identities.length == 1) return "LAST_IDENTITY";
+
+        await prisma.credentials.delete({
+            where: {
+                id_provider: {
+                    id: userID,
+                    provider: provider
+                }
+            }
+        })
+
+        return true;
+
+    } catch (e) {
+        report(e)
+        return null;
+    }
+}
+
+/* Session Functions */
+
+/* Starts a session for a new login and returns its ID, or null if it could not be created.
+   Sessions whose refresh tokens have all expired or been revoked are purged along the way.
+*/
+async function createSession(userID, provider, device, ip) {
+    try {
+        await prisma.session.deleteMany({
+            where: {
+                user: userID,
+                Refresh_Token: {
+                    none: {
+                        revoked: false,
+                        expiration: {
+                            gt: new Date()
+                        }
+                    }
+                }
+            }
+        })
+
+        const session = await prisma.session.create({
+            data: {
+                id: nanoid(),
+                user: userID,
+                provider: provider,
+                device: device,
+                ip: ip,
+                created: new Date(),
+                last_active: new Date()
+            }
+        })
+
+        return session.id;
+
+    } catch (e) {
+        report(e)
+        return null;
+    }
+}
+
+/* Returns the user's sessions which can still be refreshed, most recently active first */
+async function getSessions(userID) {
+    try {
+        return await prisma.session.findMany({
+            where: {
+                user: userID,
+                Refresh_Token: {
+                    some: {
+                        revoked: false,
+                        expiration: {
+                            gt: new Date()
+                        }
+                    }
+                }
+            },
+            select: {
+                id: true,
+                provider: true,
+                device: true,
+                ip: true,
+                created: true,
+                last_active: true
+            },
+            orderBy: {
+                last_active: 'desc'
+            }
+        })
+
+    } catch (e) {
+        report(e)
+        return null;
+    }
+}
+
+/* Access tokens are only valid as long as the session they were issued within */
+async function isSessionActive(sessionID) {
+    const session = await prisma.session.findUnique({
+        where: {
+            id: sessionID
+        }
+    })
+
+    return session != null;
+}
+
+/* Ends one of the user's sessions, along with its refresh tokens */
+async function endSession(userID, sessionID) {
+    try {
+        const ended = await prisma.session.deleteMany({
+            where: {
+                id: sessionID,
+                user: userID
+            }
+        })
+
+        return ended.count > 0 ? true : "NOT_FOUND";
+
+    } catch (e) {
+        report(e)
+        return null;
+    }
+}
+
+/* Signs the user out everywhere */
+async function endAllSessions(userID) {
+    try {
+        await prisma.session.deleteMany({
+            where: {
+                user: userID
+            }
+        })
+
+        return true;
+
+    } catch (e) {
+        report(e)
+        return false;
+    }
+}
+
+/* Token Functions */
+
+/* Refresh and account tokens are handed out as "<id>.<secret>", and only a hash of the secret is kept */
+function parseToken(token) {
+    const [id, secret] = (token || "").split(".");
+    return id && secret ? {id, secret} : null;
+}
+
+/* Returns a new refresh token for the user's session, or null if it could not be created */
+async function createRefreshToken(userID, sessionID) {
+    try {
+        const secret = nanoid(48);
+        const lifetime = parseInt(process.env.REFRESH_TOKEN_EXPIRATION) || 30; // Days
+
+        const token = await prisma.refresh_Token.create({
+            data: {
+                id: nanoid(),
+                user: userID,
+                session: sessionID,
+                value: bcrypt.hashSync(secret, saltRounds),
+                issued: new Date(),
+                expiration: DateTime.now().plus({days: lifetime}).toJSDate()
+            }
+        })
+
+        return `${token.id}.${secret}`;
+
+    } catch (e) {
+        report(e)
+        return null;
+    }
+}
+
+/* Revokes the given refresh token and returns the IDs of its owner and session, for which a new one should be issued.
+   Presenting a refresh token which was already rotated means it has leaked,
+   so every session of that user is ended as a precaution.
+*/
+async function rotateRefreshToken(refreshToken, ip) {
+    try {
+        const parsed = parseToken(refreshToken);
+        if (!parsed) return "INVALID_TOKEN";
+
+        const token = await prisma.refresh_Token.findUnique({
+            where: {
+                id: parsed.id
+            }
+        })
+
+        if (!token || !(await bcrypt.compare(parsed.secret, token.value))) return "INVALID_TOKEN";
+
+        if (token.expiration < new Date() && !token.revoked) return "EXPIRED_TOKEN";
+
+        // Revoking the token only if it still isn't, in a single statement, so that of simultaneous refreshes with the
+        // same token only one succeeds, and the others count as reuse
+        const rotated = await prisma.refresh_Token.updateMany({
+            where: {
+                id: token.id,
+                revoked: false
+            },
+            data: {
+                revoked: true
+            }
+        })
+
+        if (rotated.count == 0) {
+            await endAllSessions(token.user);
+            return "REUSED_TOKEN";
+        }
+
+        await prisma.session.update({
+            where: {
+                id: token.session
+            },
+            data: {
+                ip: ip,
+                last_active: new Date()
+            }
+        })
+
+        return {user: token.user, session: token.session};
+
+    } catch (e) {
+        report(e)
+        return null;
+    }
+}
+
+/* Blacklists an access token until it expires. Expiration is the "exp" claim (in seconds) */
+async function revokeAccessToken(tokenID, expiration) {
+    try {
+        // Purging tokens which have expired in the meantime, as they no longer need to be blacklisted
+        await prisma.revoked_Token.deleteMany({
+            where: {
+                expiration: {
+                    lt: new Date()
+                }
+            }
+        })
+
+        await prisma.revoked_Token.upsert({
+            where: {
+                id: tokenID
+            },
+            update: {},
+            create: {
+                id: tokenID,
+                expiration: DateTime.fromSeconds(expiration).toJSDate()
+            }
+        })
+
+        return true;
+
+    } catch (e) {
+        report(e)
+        return false;
+    }
+}
+
+async function isAccessTokenRevoked(tokenID) {
+    const revoked = await prisma.revoked_Token.findUnique({
+        where: {
+            id: tokenID
+        }
+    })
+
+    return revoked != null;
+}
+
+/* Returns a new single-use token for the given purpose, replacing any previous one. Lifetime is in hours */
+async function createAccountToken(userID, purpose, lifetime) {
+    try {
+        const secret = nanoid(48);
+
+        await prisma.account_Token.deleteMany({
+            where: {
+                user: userID,
+                purpose: purpose
+            }
+        })
+
+        const token = await prisma.account_Token.create({
+            data: {
+                id: nanoid(),
+                user: userID,
+                purpose: purpose,
+                value: bcrypt.hashSync(secret, saltRounds),
+                expiration: DateTime.now().plus({hours: lifetime}).toJSDate()
+            }
+        })
+
+        return `${token.id}.${secret}`;
+
+    } catch (e) {
+        report(e)
+        return null;
+    }
+}
+
+/* Deletes the token and returns the ID of the user it was issued to */
+async function consumeAccountToken(accountToken, purpose) {
+    try {
+        const parsed = parseToken(accountToken);
+        if (!parsed) return "INVALID_TOKEN";
+
+        const token = await prisma.account_Token.findUnique({
+            where: {
+                id: parsed.id
+            }
+        })
+
+        if (!token || token.purpose != purpose || !bcrypt.compareSync(parsed.secret, token.value)) return "INVALID_TOKEN";
+
+        // Only one request may consume the token, should several arrive at the same time
+        const deleted = await prisma.account_Token.deleteMany({
+            where: {
+                id: token.id
+            }
+        })
+
+        if (deleted.count == 0) return "INVALID_TOKEN";
+        if (token.expiration < new Date()) return "EXPIRED_TOKEN";
+
+        return {user: token.user};
+
+    } catch (e) {
+        report(e)
+        return null;
+    }
+}
+
+/* Returns a password reset token, or "INVALID_USER" if the user doesn't sign in with a password */
+async function createPasswordResetToken(userID) {
+    try {
+        const credentials = await prisma.credentials.findUnique({
+            where: {
+                id_provider: {
+                    id: userID,
+                    provider: "local"
+                }
+            }
+        })
+
+        if (!credentials) return "INVALID_USER";
+
+        return await createAccountToken(userID, "PASSWORD_RESET", 1);
+
+    } catch (e) {
+        report(e)
+        return null;
+    }
+}
+
+async function resetPassword(resetToken, password) {
+    try {
+        const result = await consumeAccountToken(resetToken, "PASSWORD_RESET");
+        if (result == null || typeof result == "string") return result;
+
+        await prisma.credentials.updateMany({
+            where: {
+                id: result.user,
+                provider: "local"
+            },
+            data: {
+                value: bcrypt.hashSync(password, saltRounds)
+            }
+        })
+
+        // Whoever had access to the account until now is signed out
+        await endAllSessions(result.user);
+
+        return {user: result.user};
+
+    } catch (e) {
+        report(e)
+        return null;
+    }
+}
+
+/* Returns an e-mail verification token, or "ALREADY_VERIFIED" if there's nothing left to verify */
+async function createEmailVerificationToken(userID) {
+    try {
+        const user = await prisma.user.findUnique({
+            where: {
+                id: userID
+            }
+        })
+
+        if (!user) return "INVALID_USER";
+        if (user.verified) return "ALREADY_VERIFIED";
+
+        return await createAccountToken(userID, "EMAIL_VERIFICATION", 48);
+
+    } catch (e) {
+        report(e)
+        return null;
+    }
+}
+
+async function verifyEmail(verificationToken) {
+    try {
+        const result = await consumeAccountToken(verificationToken, "EMAIL_VERIFICATION");
+        if (result == null || typeof result == "string") return result;
+
+        await prisma.user.update({
+            where: {
+                id: result.user
+            },
+            data: {
+                verified: true
+            }
+        })
+
+        return {user: result.user};
+
+    } catch (e) {
+        report(e)
+        return null;
+    }
+}
+
+/* Two-Factor Authentication Functions */
+
+function isTwoFactorEnabled(user) {
+    return user.Two_Factor != null && user.Two_Factor.enabled;
+}
+
+/* Generates a new TOTP secret for the user, replacing any unconfirmed one */
+async function startTwoFactorEnrollment(userID) {
+    try {
+        const current = await prisma.two_Factor.findUnique({
+            where: {
+                user: userID
+            }
+        })
+
+        if (current && current.enabled) return "ALREADY_ENABLED";
+
+        const secret = authenticator.generateSecret();
+
+        await prisma.two_Factor.upsert({
+            where: {
+                user: userID
+            },
+            update: {
+                secret: secret
+            },
+            create: {
+                user: userID,
+                secret: secret
+            }
+        })
+
+        return {secret: secret};
+
+    } catch (e) {
+        report(e)
+        return null;
+    }
+}
+
+/* Enables 2FA once the user proves the secret was set up correctly. Returns the recovery codes, which are only shown once */
+async function confirmTwoFactorEnrollment(userID, code) {
+    try {
+        const current = await prisma.two_Factor.findUnique({
+            where: {
+                user: userID
+            }
+        })
+
+        if (!current) return "NOT_ENROLLING";
+        if (current.enabled) return "ALREADY_ENABLED";
+
+        const timeStep = acceptedTimeStep(code, current.secret)
+        if (timeStep === null) return "INVALID_CODE";
+
+        const recoveryCodes = [...Array(recoveryCodeCount)].map(() => generateRecoveryCode().replace(/^(.{5})/, "$1-"));
+
+        await prisma.$transaction([
+            prisma.recovery_Code.deleteMany({
+                where: {
+                    user: userID
+                }
+            }),
+            prisma.recovery_Code.createMany({
+                data: recoveryCodes.map((recoveryCode, index) => ({
+                    id: index + 1,
+                    user: userID,
+                    value: bcrypt.hashSync(recoveryCode, saltRounds)
+                }))
+            }),
+            prisma.two_Factor.update({
+                where: {
+                    user: userID
+                },
+                data: {
+                    enabled: true,
+                    last_used_step: timeStep
+                }
+            })
+        ])
+
+        return {recovery_codes: recoveryCodes};
+
+    } catch (e) {
+        report(e)
+        return null;
+    }
+}
+
+/* Returns the time step a TOTP code was generated in, if it is valid for the secret, or null otherwise */
+function acceptedTimeStep(code, secret) {
+    const delta = authenticator.checkDelta(code, secret)
+    if (delta === null) return null;
+
+    return Math.floor(Date.now() / 1000 / authenticator.allOptions().step) + delta
+}
+
+/* Returns true if the code is either a valid TOTP code or an unused recovery code, which is then spent.
+   TOTP codes are only accepted once, as are codes generated before the last one accepted.
+*/
+async function verifyTwoFactorCode(userID, code) {
+    try {
+        const current = await prisma.two_Factor.findUnique({
+            where: {
+                user: userID
+            },
+            include: {
+                Recovery_Code: true
+            }
+        })
+
+        if (!current || !current.enabled) return false;
+
+        const timeStep = acceptedTimeStep(code, current.secret)
+
+        if (timeStep !== null) {
+            // Conditional, so that of simultaneous attempts with the same code only one succeeds
+            const accepted = await prisma.two_Factor.updateMany({
+                where: {
+                    user: userID,
+                    OR: [
+                        { last_used_step: null },
+                        { last_used_step: { lt: timeStep } }
+                    ]
+                },
+                data: {
+                    last_used_step: timeStep
+                }
+            })
+
+            return accepted.count > 0;
+        }
+
+        let recoveryCode = null
+
+        for (const candidate of current.Recovery_Code) {
+            if (await bcrypt.compare(code.toLowerCase(), candidate.value)) {
+                recoveryCode = candidate
+                break
+            }
+        }
+
+        if (!recoveryCode) return false;
+
+        // As with TOTP codes, a recovery code is only spent by whichever attempt deletes it
+        const spent = await prisma.recovery_Code.deleteMany({
+            where: {
+                id: recoveryCode.id,
+                user: userID
+            }
+        })
+
+        return spent.count > 0;
+
+    } catch (e) {
+        report(e)
+        return false;
+    }
+}
+
+async function disableTwoFactor(userID, code) {
+    try {
+        const current = await prisma.two_Factor.findUnique({
+            where: {
+                user: userID
+            }
+        })
+
+        if (!current || !current.enabled) return "NOT_ENABLED";
+        if (!await verifyTwoFactorCode(userID, code)) return "INVALID_CODE";
+
+        // Recovery codes are deleted along with it
+        await prisma.two_Factor.delete({
+            where: {
+                user: userID
+            }
+        })
+
+        return true;
+
+    } catch (e) {
+        report(e)
+        return null;
+    }
+}
+
+/* Login Throttling Functions */
+
+async function getLoginThrottle(identifier) {
+    return await prisma.login_Throttle.findUnique({
+        where: {
+            identifier: identifier
+        }
+    })
+}
+
+/* Counts a failed login attempt. The count starts over if the last failure happened more than resetAfter minutes ago.
+   Once it reaches lockoutAfter, logins are refused for lockoutDuration minutes.
+   Returns the updated throttle, with locked set to true if this failure caused a lockout.
+*/
+async function recordLoginFailure(identifier, resetAfter, lockoutAfter, lockoutDuration) {
+    try {
+        const now = DateTime.now();
+
+        // The count is only ever changed atomically, so that simultaneous attempts can't all read the same count and
+        // get past the lockout. Stale counts start over first (fresh ones can't be, as they were just counted)
+        await prisma.login_Throttle.updateMany({
+            where: {
+                identifier: identifier,
+                last_failure: {
+                    lte: now.minus({minutes: resetAfter}).toJSDate()
+                }
+            },
+            data: {
+                failures: 0
+            }
+        })
+
+        const counted = {
+            failures: {
+                increment: 1
+            },
+            last_failure: now.toJSDate()
+        }
+
+        try {
+            await prisma.login_Throttle.upsert({
+                where: {
+                    identifier: identifier
+                },
+                update: counted,
+                create: {
+                    identifier: identifier,
+                    failures: 1,
+                    last_failure: now.toJSDate()
+                }
+            })
+        } catch (e) {
+            // A simultaneous attempt created the row first
+            if (e.code != "P2002") throw e;
+
+            await prisma.login_Throttle.update({
+                where: {
+                    identifier: identifier
+                },
+                data: counted
+            })
+        }
+
+        // Only the attempt which reaches lockoutAfter starts the lockout, and the count starts over
+        const locked = await prisma.login_Throttle.updateMany({
+            where: {
+                identifier: identifier,
+                failures: {
+                    gte: lockoutAfter
+                }
+            },
+            data: {
+                failures: 0,
+                locked_until: now.plus({minutes: lockoutDuration}).toJSDate()
+            }
+        })
+
+        const throttle = await getLoginThrottle(identifier);
+
+        return {...throttle, locked: locked.count > 0};
+
+    } catch (e) {
+        report(e)
+        return null;
+    }
+}
+
+async function clearLoginFailures(identifier) {
+    try {
+        await prisma.login_Throttle.deleteMany({
+            where: {
+                identifier: identifier
+            }
+        })
+
+        return true;
+
+    } catch (e) {
+        report(e)
+        return false;
+    }
+}
+
+/* API Key Functions */
+
+/* Keys are handed out as "gly_<id>.<secret>". Unlike passwords and account tokens, the secret is long and random,
+   so a plain SHA-256 is enough and keeps the per-request verification cheap.
+*/
+const apiKeyPrefix = "gly_";
+
+function hashApiKeySecret(secret) {
+    return crypto.createHash("sha256").update(secret).digest("hex");
+}
+
+function isApiKey(key) {
+    return typeof key == "string" && key.startsWith(apiKeyPrefix);
+}
+
+/* Returns the new key (the only time its secret is available), or null if it could not be created */
+async function createApiKey(userID, name, scopes) {
+    try {
+        const secret = nanoid(48);
+
+        const apiKey = await prisma.api_Key.create({
+            data: {
+                id: nanoid(),
+                user: userID,
+                name: name,
+                value: hashApiKeySecret(secret),
+                scopes: [...new Set(scopes)].join(","),
+                created: new Date()
+            }
+        })
+
+        return {
+            id: apiKey.id,
+            name: apiKey.name,
+            scopes: apiKey.scopes.split(","),
+            created: apiKey.created,
+            key: `${apiKeyPrefix}${apiKey.id}.${secret}`
+        };
+
+    } catch (e) {
+        report(e)
+        return null;
+    }
+}
+
+async function getApiKeys(userID) {
+    try {
+        const apiKeys = await prisma.api_Key.findMany({
+            where: {
+                user: userID
+            },
+            select: {
+                id: true,
+                name: true,
+                scopes: true,
+                created: true,
+                last_used: true
+            },
+            orderBy: {
+                created: 'desc'
+            }
+        })
+
+        return apiKeys.map((apiKey) => {
+            return {...apiKey, scopes: apiKey.scopes.split(",")}
+        })
+
+    } catch (e) {
+        report(e)
+        return null;
+    }
+}
+
+async function revokeApiKey(userID, keyID) {
+    try {
+        const deleted = await prisma.api_Key.deleteMany({
+            where: {
+                id: keyID,
+                user: userID
+            }
+        })
+
+        return deleted.count > 0 ? true : "NOT_FOUND";
+
+    } catch (e) {
+        report(e)
+        return null;
+    }
+}
+
+/* Returns the key's owner and scopes if the key is valid, or null otherwise */
+async function verifyApiKey(key) {
+    try {
+        if (!isApiKey(key)) return null;
+
+        const parsed = parseToken(key.slice(apiKeyPrefix.length));
+        if (!parsed) return null;
+
+        const apiKey = await prisma.api_Key.findUnique({
+            where: {
+                id: parsed.id
+            }
+        })
+
+        const hash = Buffer.from(hashApiKeySecret(parsed.secret));
+        if (!apiKey || !crypto.timingSafeEqual(hash, Buffer.from(apiKey.value))) return null;
+
+        await prisma.api_Key.update({
+            where: {
+                id: apiKey.id
+            },
+            data: {
+                last_used: new Date()
+            }
+        })
+
+        return {id: apiKey.id, user: apiKey.user, scopes: apiKey.scopes.split(",")};
+
+    } catch (e) {
+        report(e)
+        return null;
+    }
+}
+
+/* Company Team Functions */
+
+/* A company account is the supplier/transporter user whose company it is. Its warehouses, inventory,
+   distribution centers and vehicles are keyed by that user's ID, and team members act on them on its behalf.
+*/
+
+/* Returns the role of the member within the company of the given account, or null if they aren't related.
+   The account holder always owns its company, even without a membership (accounts from before teams existed).
+*/
+async function getCompanyRole(memberID, accountID) {
+    try {
+        const account = await prisma.user.findUnique({
+            where: {
+                id: accountID
+            },
+            select: {
+                company: true,
+                type: true
+            }
+        })
+
+        if (!account || !account.company || !["SUPPLIER", "TRANSPORTER"].includes(account.type)) return null;
+
+        if (memberID == accountID) return "OWNER";
+
+        const membership = await prisma.company_Member.findUnique({
+            where: {
+                company_user: {
+                    company: account.company,
+                    user: memberID
+                }
+            }
+        })
+
+        return membership ? membership.role : null;
+
+    } catch (e) {
+        report(e)
+        return null;
+    }
+}
+
+/* Lists the company accounts the user is a member of (other than their own) */
+async function getCompanyMemberships(userID) {
+    try {
+        const memberships = await prisma.company_Member.findMany({
+            where: {
+                user: userID,
+                Company: {
+                    User: {
+                        none: {
+                            id: userID
+                        }
+                    }
+                }
+            },
+            include: {
+                Company: {
+                    select: {
+                        id: true,
+                        name: true,
+                        User: {
+                            select: {
+                                id: true,
+                                type: true
+                            }
+                        }
+                    }
+                }
+            }
+        })
+
+        return memberships.map((membership) => {
+            return {
+                company: {
+                    id: membership.Company.id,
+                    name: membership.Company.name
+                },
+                account: membership.Company.User[0],
+                role: membership.role,
+                joined: membership.joined
+            }
+        })
+
+    } catch (e) {
+        report(e)
+        return null;
+    }
+}
+
+async function getCompanyMembers(companyID) {
+    try {
+        const members = await prisma.company_Member.findMany({
+            where: {
+                company: companyID
+            },
+            include: {
+                User: {
+                    select: {
+                        id: true,
+                        first_name: true,
+                        last_name: true,
+                        email: true
+                    }
+                }
+            },
+            orderBy: {
+                joined: 'asc'
+            }
+        })
+
+        return members.map((member) => {
+            return {
+                ...member.User,
+                role: member.role,
+                joined: member.joined
+            }
+        })
+
+    } catch (e) {
+        report(e)
+        return null;
+    }
+}
+
+/* Returns an invitation token to be e-mailed to the invitee, replacing any pending invitation to the same e-mail.
+   Lifetime is in days.
+*/
+async function createCompanyInvitation(companyID, email, role, lifetime=7) {
+    try {
+        const member = await prisma.company_Member.findFirst({
+            where: {
+                company: companyID,
+                User: {
+                    email: email
+                }
+            }
+        })
+
+        if (member) return "ALREADY_MEMBER";
+
+        await prisma.company_Invitation.deleteMany({
+            where: {
+                company: companyID,
+                email: email
+            }
+        })
+
+        const secret = nanoid(48);
+
+        const invitation = await prisma.company_Invitation.create({
+            data: {
+                id: nanoid(),
+                company: companyID,
+                email: email,
+                role: role,
+                value: bcrypt.hashSync(secret, saltRounds),
+                expiration: DateTime.now().plus({days: lifetime}).toJSDate()
+            }
+        })
+
+        return `${invitation.id}.${secret}`;
+
+    } catch (e) {
+        report(e)
+        return null;
+    }
+}
+
+async function getCompanyInvitations(companyID) {
+    try {
+        return await prisma.company_Invitation.findMany({
+            where: {
+                company: companyID
+            },
+            select: {
+                id: true,
+                email: true,
+                role: true,
+                expiration: true
+            },
+            orderBy: {
+                expiration: 'asc'
+            }
+        })
+    } catch (e) {
         report(e)
         return null;
     }
 }
 
-async function getUserByEmail(email, withPassword=false) {
+async function revokeCompanyInvitation(companyID, invitationID) {
     try {
-        return user = await prisma.user.findUnique({
+        const deleted = await prisma.company_Invitation.deleteMany({
             where: {
-                email: email
-            },
-            select: {
-                id: true,
-                first_name: true,
-                last_name: true,
-                email: true,
-                phone: true,
-                Credentials: withPassword ? {
-                    select: {
-                        provider: true,
-                        value: true
-                    }
-                } : withPassword,
-                type: true,
-                Address: {
-                    select: {
-                        id: true,
-                        street: true,
-                        city: true,
-                        country: true,
-                        postal_code: true,
-                        nif: true,
-                        latitude: true,
-                        longitude: true,
-                        is_shipping: true,
-                        is_billing: true,
-                    }
-                },
-                Company: {
-                    select: {
-                        id: true,
-                        name: true,
-                        bio: true,
-                    }
-                },
+                id: invitationID,
+                company: companyID
             }
         })
-    } catch (e){
+
+        return deleted.count > 0 ? true : "NOT_FOUND";
+
+    } catch (e) {
         report(e)
         return null;
     }
 }
 
-async function checkUserConflict(attribute, value) {
-    // Checks if a user attribute is already in use.
-    // Should be used for email and phone
-    // Returns boolean representing the existance of conflict.
+/* Adds the user to the company the invitation was issued for. The invitation is single-use and bound to the user's e-mail */
+async function acceptCompanyInvitation(user, invitationToken) {
+    try {
+        const parsed = parseToken(invitationToken);
+        if (!parsed) return "INVALID_TOKEN";
 
-    let result;
+        const invitation = await prisma.company_Invitation.findUnique({
+            where: {
+                id: parsed.id
+            }
+        })
 
-    try{
-        if (attribute == "id") {
-            result = await prisma.user.findUnique({
-                'where': {
-                    id: value
+        if (!invitation || !bcrypt.compareSync(parsed.secret, invitation.value)) return "INVALID_TOKEN";
+        if (invitation.expiration < new Date()) return "EXPIRED_TOKEN";
+        if (invitation.email.toLowerCase() != user.email.toLowerCase()) return "EMAIL_MISMATCH";
+
+        const existing = await prisma.company_Member.findUnique({
+            where: {
+                company_user: {
+                    company: invitation.company,
+                    user: user.id
                 }
-            })
-        } else if (attribute == "email") {
-            result = await prisma.user.findUnique({
-                'where': {
-                    email: value
+            }
+        })
+
+        if (existing) return "ALREADY_MEMBER";
+
+        await prisma.$transaction([
+            prisma.company_Invitation.delete({
+                where: {
+                    id: invitation.id
+                }
+            }),
+            prisma.company_Member.create({
+                data: {
+                    company: invitation.company,
+                    user: user.id,
+                    role: invitation.role,
+                    joined: new Date()
                 }
             })
-        }
-    
-        return result;
+        ])
+
+        return {company: invitation.company, role: invitation.role};
+
+    } catch (e) {
+        report(e)
+        return null;
+    }
+}
+
+/* The owner's role can't be changed, nor can anyone be made an owner */
+async function updateCompanyMemberRole(companyID, userID, role) {
+    try {
+        const member = await prisma.company_Member.findUnique({
+            where: {
+                company_user: {
+                    company: companyID,
+                    user: userID
+                }
+            }
+        })
+
+        if (!member) return "NOT_FOUND";
+        if (member.role == "OWNER" || role == "OWNER") return "OWNER_ROLE";
+
+        return await prisma.company_Member.update({
+            where: {
+                company_user: {
+                    company: companyID,
+                    user: userID
+                }
+            },
+            data: {
+                role: role
+            }
+        })
+
+    } catch (e) {
+        report(e)
+        return null;
+    }
+}
+
+/* Removes a member from the company. Owners can't be removed, as the company account is theirs */
+async function removeCompanyMember(companyID, userID) {
+    try {
+        const member = await prisma.company_Member.findUnique({
+            where: {
+                company_user: {
+                    company: companyID,
+                    user: userID
+                }
+            }
+        })
+
+        if (!member) return "NOT_FOUND";
+        if (member.role == "OWNER") return "OWNER_ROLE";
+
+        await prisma.company_Member.delete({
+            where: {
+                company_user: {
+                    company: companyID,
+                    user: userID
+                }
+            }
+        })
+
+        return true;
+
     } catch (e) {
+        report(e)
         return null;
     }
 }
@@ -695,6 +2524,208 @@ async function deleteAddress(id) {
  * @param {String[]} keywords
  * @returns An object composed of the total number of pages for the included filters and an array of product objects.
  */
+/* Product listing sort options: the column products are ordered by, if any besides their ID (which also breaks ties), and the direction */
+const productSorting = {
+    newest:     {key: null,             direction: "DESC"},
+    oldest:     {key: null,             direction: "ASC"},
+    name_asc:   {key: "name",           direction: "ASC"},
+    name_desc:  {key: "name",           direction: "DESC"},
+    price_asc:  {key: "lowest_price",   direction: "ASC"},
+    price_desc: {key: "highest_price",  direction: "DESC"},
+    relevance:  {key: "relevance",      direction: "DESC"},
+    rating:     {key: "rating",         direction: "DESC"},
+    eco:        {key: "eco_score",      direction: "DESC"}
+}
+
+/* Average rating and amount of visible reviews of products, their variants' reviews counting towards them, as an SQL query of
+   (product, rating, total_reviews). Only the given products are rated, if any are given
+*/
+function productRatingsSQL(productIDs = null) {
+    return Prisma.sql`
+        SELECT COALESCE(rp.parent, rp.id) AS product, ROUND(AVG(r.rating), 1) AS rating, COUNT(*) AS total_reviews
+        FROM Review r
+        INNER JOIN Order_Item oi ON oi.id = r.item AND oi.\`order\` = r.\`order\`
+        INNER JOIN Product rp ON rp.id = oi.product
+        WHERE NOT r.hidden ${productIDs ? Prisma.sql`AND COALESCE(rp.parent, rp.id) IN (${Prisma.join(productIDs)})` : Prisma.empty}
+        GROUP BY COALESCE(rp.parent, rp.id)`
+}
+
+/* Eco-score of products, that of their best graded supply or their variants', as an SQL query of (product, eco_score).
+   Only the given products are graded, if any are given
+*/
+function productEcoScoresSQL(productIDs = null) {
+    const variants = productIDs
+        ? Prisma.sql`SELECT id FROM Product WHERE id IN (${Prisma.join(productIDs)}) OR parent IN (${Prisma.join(productIDs)})`
+        : null
+
+    return Prisma.sql`
+        SELECT COALESCE(ep.parent, ep.id) AS product, MAX(se.eco_score) AS eco_score
+        FROM (${ecoscore.supplyEcoScoresSQL(variants)}) se
+        INNER JOIN Product ep ON ep.id = se.product
+        GROUP BY COALESCE(ep.parent, ep.id)`
+}
+
+/* Aggregates the product listing only includes when sorted by them (see getAllProducts), as the column to add and the join it comes from */
+const productSortAggregates = {
+    rating: {
+        column: Prisma.sql`, COALESCE(MAX(pr.rating), 0) AS rating`,
+        join: Prisma.sql`LEFT JOIN (${productRatingsSQL()}) pr ON pr.product = p.id`
+    },
+    eco_score: {
+        column: Prisma.sql`, COALESCE(MAX(pe.eco_score), 0) AS eco_score`,
+        join: Prisma.sql`LEFT JOIN (${productEcoScoresSQL()}) pe ON pe.product = p.id`
+    }
+}
+
+/* When ranking search results by relevance, keywords found in a product's name count the most, then those in its category's name,
+   and lastly those anywhere in its name or description
+*/
+const searchRelevanceWeights = {
+    name:       3,
+    category:   2,
+    text:       1
+}
+
+/* Transporters whose vehicles all run on one of the given fuel types (fuel_type) and, on average, emit at most the given
+   amount (max_emissions, CO₂ g/km/t), as an SQL query of (transporter). Returns null if neither is filtered on
+*/
+function sustainableTransportersSQL(filters) {
+    let fleetConditions = []
+
+    if (filters.fuel_type && filters.fuel_type.length) {
+        fleetConditions.push(Prisma.sql`SUM(fuel_type NOT IN (${Prisma.join(filters.fuel_type)})) = 0`)
+    }
+
+    if (filters.max_emissions !== undefined) {
+        fleetConditions.push(Prisma.sql`AVG(average_emissions) <= ${filters.max_emissions}`)
+    }
+
+    if (!fleetConditions.length) return null;
+
+    return Prisma.sql`SELECT transporter FROM Vehicle GROUP BY transporter HAVING ${Prisma.join(fleetConditions, " AND ")}`
+}
+
+/* Conditions on a supply (given its alias) meeting the sustainability filters: its warehouse uses at least the given share of
+   renewable resources (min_renewable, %), and at least one of its transporters meets the fleet filters (see sustainableTransportersSQL)
+*/
+function supplySustainabilityConditions(filters, alias) {
+    const supply = Prisma.raw(alias)
+    let conditions = []
+
+    if (filters.min_renewable !== undefined) {
+        conditions.push(Prisma.sql`EXISTS (SELECT 1 FROM Warehouse sw WHERE sw.id = ${supply}.warehouse AND sw.supplier = ${supply}.supplier AND sw.renewable_resources >= ${filters.min_renewable})`)
+    }
+
+    const transporters = sustainableTransportersSQL(filters)
+
+    if (transporters) {
+        conditions.push(Prisma.sql`EXISTS (
+            SELECT 1 FROM Supply_Transporter sst
+            WHERE sst.product = ${supply}.product AND sst.supplier = ${supply}.supplier AND sst.warehouse = ${supply}.warehouse
+                AND sst.transporter IN (${transporters}))`)
+    }
+
+    return conditions
+}
+
+/* Upper bounds of the price ranges products are counted into, the last range having no upper bound */
+const productPriceBuckets = [5, 10, 25, 50, 100]
+
+/* Counts the listed products per attribute value, category, supplier and price range, so that clients can offer them as filters.
+   Attributes the listing is filtered on are counted in their own listings instead, by title (see getAllProducts)
+*/
+async function getProductFacets(listing, priceFilters, attributeListings = {}) {
+    const productsOf = (listing) => Prisma.sql`SELECT id FROM (${listing}) AS listing WHERE ${Prisma.join(priceFilters, " AND ")}`
+    const products = productsOf(listing)
+
+    const attributeCounts = (products, condition) => Prisma.sql`(
+        SELECT pa.title, pa.content, COUNT(DISTINCT pa.product) AS total_products
+        FROM ProductAttribute pa
+        WHERE pa.product IN (${products}) AND ${condition}
+        GROUP BY pa.title, pa.content)`
+
+    const filteredTitles = Object.keys(attributeListings)
+
+    const attributeQueries = [
+        attributeCounts(products, filteredTitles.length ? Prisma.sql`pa.title NOT IN (${Prisma.join(filteredTitles)})` : Prisma.sql`TRUE`),
+        ...filteredTitles.map((title) => attributeCounts(productsOf(attributeListings[title]), Prisma.sql`pa.title = ${title}`))
+    ]
+
+    const [attributes, categories, suppliers, prices] = await Promise.all([
+        prisma.$queryRaw`
+            SELECT * FROM (${Prisma.join(attributeQueries, " UNION ALL ")}) AS facets
+            ORDER BY title, total_products DESC, content`,
+        prisma.$queryRaw`
+            SELECT c.id, c.name, COUNT(*) AS total_products
+            FROM Product p
+            INNER JOIN Category c ON c.id = p.category
+            WHERE p.id IN (${products})
+            GROUP BY c.id
+            ORDER BY total_products DESC, c.name`,
+        prisma.$queryRaw`
+            SELECT u.id, co.name, COUNT(DISTINCT COALESCE(sp.parent, sp.id)) AS total_products
+            FROM Supply s
+            INNER JOIN Product sp ON sp.id = s.product
+            INNER JOIN User u ON u.id = s.supplier
+            INNER JOIN Company co ON co.id = u.company
+            WHERE COALESCE(sp.parent, sp.id) IN (${products})
+            GROUP BY u.id
+            ORDER BY total_products DESC, co.name`,
+        // INTERVAL() gives the index of the first bound above the price, which is the index of its range
+        prisma.$queryRaw`
+            SELECT INTERVAL(lowest_price, ${Prisma.join(productPriceBuckets)}) AS bucket, COUNT(*) AS total_products
+            FROM (${listing}) AS listing
+            WHERE ${Prisma.join(priceFilters, " AND ")}
+            GROUP BY bucket`
+    ])
+
+    let attributeFacets = []
+    for (const {title, content, total_products} of attributes) {
+        let facet = attributeFacets.find((facet) => facet.title == title)
+        if (!facet) {
+            facet = {title, values: []}
+            attributeFacets.push(facet)
+        }
+        facet.values.push({content, total_products: Number(total_products)})
+    }
+
+    return {
+        attributes: attributeFacets,
+        categories: categories.map((category) => ({...category, total_products: Number(category.total_products)})),
+        suppliers: suppliers.map((supplier) => ({...supplier, total_products: Number(supplier.total_products)})),
+        price_ranges: [0, ...productPriceBuckets].map((min, bucket) => ({
+            min,
+            max: productPriceBuckets[bucket] || null,
+            total_products: Number(prices.find((price) => Number(price.bucket) == bucket)?.total_products || 0)
+        }))
+    }
+}
+
+/* Cursors point at the last product of a page, by its sort key and ID, and are opaque to clients */
+function encodeProductCursor(product, sorting) {
+    const value = sorting.key ? product[sorting.key] : null
+    return Buffer.from(JSON.stringify([value, product.id])).toString("base64url")
+}
+
+function decodeProductCursor(cursor) {
+    try {
+        const [value, id] = JSON.parse(Buffer.from(cursor, "base64url").toString())
+        return Number.isInteger(id) ? {value, id} : null
+    } catch (e) {
+        return null
+    }
+}
+
+/* Returns a page of products matching the filters, along with the total amount of matching products, a cursor to the next page
+   and the facets of the matching products (see getProductFacets).
+   Filtering, sorting and pagination all happen in the database. Pages are either numbered or, if a cursor is given, follow it.
+   Keywords match the product's name, description or category. Searches are sorted by relevance unless told otherwise, and every
+   product found is returned with its relevance score.
+   Attributes filter products by title, each with one or more accepted contents, e.g. {Origem: "Portugal", Bio: ["Sim"]}.
+   Sustainability filters ({fuel_type, max_emissions, min_renewable}, see supplySustainabilityConditions) only consider the
+   supplies which meet them, both to list products and to price them.
+   Returns "INVALID_CURSOR" if the cursor can't be decoded.
+*/
 async function getAllProducts(limit = 50,
                               page = 1, 
                               category, 
@@ -702,230 +2733,250 @@ async function getAllProducts(limit = 50,
                               sort,
                               price_range,
                               supplier,
-                              include_unbuyable) {
+                              include_unbuyable,
+                              cursor,
+                              attributes = {},
+                              sustainability = {}) {
 
+    const search = keywords ? fullTextSearch(keywords) : ""
+    const sorting = productSorting[sort || (search ? "relevance" : "newest")]
 
-    let filterSelection = {}
+    // Filters on the products themselves, applied before their prices are aggregated. Variants are listed within their parent product
+    let productFilters = [Prisma.sql`p.parent IS NULL`]
 
-    let sortingMethod = {}
+    if (category) {
+        productFilters.push(Prisma.sql`p.category IN (${Prisma.join(await getCategoryAndSubcategories(Number(category)))})`)
+    }
 
-    /* Sorting */
+    let relevance = Prisma.sql`0`
 
-    // If no sorting method was specified
-    if (!sort) {
-        sort = "newest"
-    }
+    if (search) {
+        productFilters.push(Prisma.sql`(MATCH (p.name, p.description) AGAINST (${search} IN BOOLEAN MODE) OR MATCH (c.name) AGAINST (${search} IN BOOLEAN MODE))`)
 
-    switch (sort) {
-        case "newest":
-            sortingMethod.id = "desc"
-            break;
-        case "oldest":
-            sortingMethod.id = "asc"
-            break;
-        case "name_asc":
-            sortingMethod.name = "asc"
-            break;
-        case "name_desc":
-            sortingMethod.name = "desc"
-            break;
+        relevance = Prisma.sql`
+            ${searchRelevanceWeights.name} * MATCH (p.name) AGAINST (${search} IN BOOLEAN MODE)
+            + ${searchRelevanceWeights.category} * COALESCE(MATCH (c.name) AGAINST (${search} IN BOOLEAN MODE), 0)
+            + ${searchRelevanceWeights.text} * MATCH (p.name, p.description) AGAINST (${search} IN BOOLEAN MODE)`
     }
 
-    if (category) {
-        // Initialize OR search between name, description and exact search for categories
-        filterSelection.AND = []
+    if (supplier) {
+        productFilters.push(Prisma.sql`EXISTS (SELECT 1 FROM Supply su INNER JOIN Product sp ON sp.id = su.product WHERE (sp.id = p.id OR sp.parent = p.id) AND su.supplier = ${Number(supplier)})`)
+    }
 
-        // Prisma doesn't support nested queries, this query is required to find all sub-categories of the mentioned category
-        let subCategories = await prisma.$queryRaw`WITH RECURSIVE CTE (id, name, parent_id) AS (SELECT id, name, parent_category FROM Category WHERE parent_category = ${category} UNION ALL SELECT p.id, p.name, p.parent_category FROM Category p INNER JOIN CTE ON p.parent_category = CTE.id) SELECT * FROM CTE;`
+    let attributeFilters = {}
 
-        // Adding all subcategory IDs to search
-        // This piece of code produces objects such as {OR:[category:x, category:y, ...]}, which allow us to obtain every product belonging to the requested
-        // category and its subcategories
-        filterSelection.AND.push({OR:[{category:category}, ...subCategories.map((subCategory) => ({category: subCategory.id}))]})
+    for (const [title, contents] of Object.entries(attributes)) {
+        attributeFilters[title] = Prisma.sql`EXISTS (SELECT 1 FROM ProductAttribute pa WHERE pa.product = p.id AND pa.title = ${title} AND pa.content IN (${Prisma.join([].concat(contents))}))`
+        productFilters.push(attributeFilters[title])
     }
 
-    if (keywords) {
-        // The following code searches the keywords on both name and description of the products
+    const supplyConditions = supplySustainabilityConditions(sustainability, "fs")
 
-        // Initialize OR for exact search of parent and child categories
-        filterSelection.OR = []
+    if (supplyConditions.length) {
+        productFilters.push(Prisma.sql`EXISTS (SELECT 1 FROM Supply fs INNER JOIN Product fp ON fp.id = fs.product WHERE (fp.id = p.id OR fp.parent = p.id) AND ${Prisma.join(supplyConditions, " AND ")})`)
+    }
 
-        // Initializing filter objects
-        nameKeywords = {"name":{}}
-        descriptionKeywords = {"description":{}}
+    // Filters on the aggregated prices. Products without supplies are priced at 0, so they're only listed when unbuyable products are included
+    let priceFilters = [
+        include_unbuyable
+            ? Prisma.sql`lowest_price >= ${price_range.min || 0}`
+            : Prisma.sql`lowest_price > ${price_range.min || 0}`
+    ]
 
-        // According to Prisma Full-Search API and MySQL Full-Text Search
-        if (Array.isArray(keywords)) {
-            nameKeywords.name.search = descriptionKeywords.description.search = keywords.join("* ")
-        } else {
-            nameKeywords.name.search = descriptionKeywords.description.search = keywords + "*"
-        }
-        
-        // Adding created filters to the filterSelection
-        filterSelection.OR.push(nameKeywords, descriptionKeywords)
+    if (price_range.max) {
+        priceFilters.push(Prisma.sql`lowest_price < ${price_range.max}`)
     }
 
-    let products;
+    // The listing is queried several times (page, total and facets), so ratings and eco-scores are only aggregated across the whole
+    // catalog when sorting by them. Otherwise, they're aggregated for the products in the page alone
+    const sortAggregate = productSortAggregates[sorting.key]
+
+    const listingOf = (filters, sortAggregate) => Prisma.sql`
+        SELECT p.id, p.name, COALESCE(MIN(s.price), 0) AS lowest_price, COALESCE(MAX(s.price), 0) AS highest_price, MAX(${relevance}) AS relevance
+            ${sortAggregate ? sortAggregate.column : Prisma.empty}
+        FROM Product p
+        LEFT JOIN Category c ON c.id = p.category
+        ${sortAggregate ? sortAggregate.join : Prisma.empty}
+        LEFT JOIN Product v ON v.id = p.id OR v.parent = p.id
+        LEFT JOIN Supply s ON ${Prisma.join([Prisma.sql`s.product = v.id`, ...supplySustainabilityConditions(sustainability, "s")], " AND ")}
+        WHERE ${Prisma.join(filters, " AND ")}
+        GROUP BY p.id`
+
+    const listing = listingOf(productFilters, sortAggregate)
+
+    // The facet of a filtered attribute counts the products matching every filter but its own, so that its other values can be offered too
+    const attributeListings = Object.fromEntries(Object.entries(attributeFilters).map(([title, attributeFilter]) =>
+        [title, listingOf(productFilters.filter((filter) => filter !== attributeFilter))]))
+
+    // Keyset pagination: products after the cursor, in sort order
+    let pageFilters = [...priceFilters]
+    let offset = (page - 1) * limit
+
+    if (cursor) {
+        const position = decodeProductCursor(cursor)
+        if (!position) return "INVALID_CURSOR";
+
+        const after = sorting.direction == "ASC" ? Prisma.sql`>` : Prisma.sql`<`
+
+        pageFilters.push(sorting.key
+            ? Prisma.sql`(${Prisma.raw(sorting.key)} ${after} ${position.value} OR (${Prisma.raw(sorting.key)} = ${position.value} AND id ${after} ${position.id}))`
+            : Prisma.sql`id ${after} ${position.id}`)
+        offset = 0
+    }
 
-    if (["price_asc", "price_desc"].includes(sort)) {
+    const order = sorting.key
+        ? Prisma.raw(`${sorting.key} ${sorting.direction}, id ${sorting.direction}`)
+        : Prisma.raw(`id ${sorting.direction}`)
 
-        // Special price sorting against Prisma limitations
-        // A Zeval banger -> day 1238987 of wishing JS had list comprehension.
-        /*
-           Please do not ever ask what this does or how it was created.
-        */
+    // One extra product is fetched to know whether there's a next page
+    const [[{total}], rows, facets] = await Promise.all([
+        prisma.$queryRaw`SELECT COUNT(*) AS total FROM (${listing}) AS listing WHERE ${Prisma.join(priceFilters, " AND ")}`,
+        prisma.$queryRaw`SELECT * FROM (${listing}) AS listing WHERE ${Prisma.join(pageFilters, " AND ")} ORDER BY ${order} LIMIT ${limit + 1} OFFSET ${offset}`,
+        getProductFacets(listing, priceFilters, attributeListings)
+    ])
 
-        let sortedProductIDs;
+    const pageRows = rows.slice(0, limit)
+    const pageIDs = pageRows.map((row) => row.id)
 
-        if (sort == "price_asc") {
-            // Sort by absolute minimum
-            sortedProductIDs = await prisma.supply.groupBy({
-                by: ['product'],
-                orderBy: {
-                  _min: {
-                    price: 'asc'
-                  }
-                }
-              })
-        } else if (sort == "price_desc") {
-            // Sort by absolute maximum
-            sortedProductIDs = await prisma.supply.groupBy({
-                by: ['product'],
+    const details = await prisma.product.findMany({
+        where: {
+            id: {
+                in: pageIDs
+            }
+        },
+        select: {
+            id: true,
+            name: true,
+            description: true,
+            complement_name: true,
+            complement_quantity: true,
+            variant: true,
+            other_Product: {
+                select: {
+                    id: true,
+                    variant: true
+                },
                 orderBy: {
-                  _max: {
-                    price: 'desc'
-                  }
+                    id: 'asc'
                 }
-              })
-        }
-
-        products = await Promise.all(
-            sortedProductIDs.map((currentProduct) => prisma.product.findMany({
-                where: {id:currentProduct.product, ...filterSelection},
-
+            },
+            Category: {
                 select: {
                     id: true,
-                    name: true,
-                    description: true,
-                    complement_name: true,
-                    complement_quantity: true,
-                    Category: {
-                        select: {
-                            id: true,
-                            name: true
-                        }
-                    },
-                    Supply: {
-                        select: {
-                            price: true
-                        }
-                    }
-                } }))
-            )
-
-        // Unpack from findMany nested structure
-        products = products.map((product) => product[0])
-
-        // Remove bad results
-        products = products.filter((product) => product != undefined)
-
-    } else {
-        // Get products based on provided filters
-        products = await prisma.product.findMany({
-            select: {
-                id: true,
-                name: true,
-                description: true,
-                complement_name: true,
-                complement_quantity: true,
-                Category: {
-                    select: {
-                        id: true,
-                        name: true
-                    }
-                },
-                Supply: {
-                    select: {
-                        price: true
-                    }
+                    name: true
                 }
             },
-            where: filterSelection,
-            orderBy: sortingMethod
-        });
-    }
+            // The first image is the product's thumbnail
+            ProductImage: {
+                where: {
+                    id: 1
+                },
+                select: {
+                    uri: true
+                }
+            }
+        }
+    })
 
-    // Filtering products based on selected supplier
-    if (supplier) {
+    const [ratings, ecoScores] = pageIDs.length
+        ? await Promise.all([prisma.$queryRaw(productRatingsSQL(pageIDs)), prisma.$queryRaw(productEcoScoresSQL(pageIDs))])
+        : [[], []]
 
-        // Checking what products the selected supplier sells
-        let supplierProducts = await prisma.supply.groupBy({
-            by: ['product'],
-            where: {
-                supplier: Number(supplier)
-            },
-        })
-        
-        // Cleaning data
-        supplierProducts = supplierProducts.map((product) => product.product)
+    const products = pageRows.map((row) => {
+        const {ProductImage, other_Product, ...product} = details.find((detail) => detail.id == row.id)
+        const rating = ratings.find((rating) => rating.product == row.id)
+        const ecoScore = ecoScores.find((ecoScore) => ecoScore.product == row.id)
+
+        return {
+            ...product,
+            variants: other_Product,
+            lowest_price: parseFloat(Number(row.lowest_price).toFixed(2)),
+            highest_price: parseFloat(Number(row.highest_price).toFixed(2)),
+            thumbnail: ProductImage.length ? composeImageURL(ProductImage[0].uri, "card") : "default",
+            thumbnail_srcset: ProductImage.length ? composeSrcset(ProductImage[0].uri) : null,
+            rating: rating ? Number(rating.rating) : null,
+            total_reviews: rating ? Number(rating.total_reviews) : 0,
+            // Products that can't be delivered aren't graded
+            eco_score: ecoscore.formatEcoScore(ecoScore ? ecoScore.eco_score : null),
+            ...(search && {score: Number(row.relevance)})
+        }
+    })
 
-        // Filtering products
-        products = products.filter((product) => supplierProducts.includes(product.id))
+    return {
+        total_products: Number(total),
+        products,
+        next_cursor: rows.length > limit ? encodeProductCursor(pageRows[pageRows.length - 1], sorting) : null,
+        facets
     }
+}
 
-    // Calculating and defining lowest and highest prices for each product
-    products = await Promise.all(products.map(async (product) => {
+/* Supply details shown on a product's page, for each of its variants */
+const productSupplySelection = {
+    product: true,
+    User: {
+        select: {
+            Company: {
+                select: {
+                    name: true
+                }
+            },
+            id: true,
+            first_name: true,
+            last_name: true,
+        }
+    },
+    warehouse: true,
+    quantity: true,
+    price: true,
+    production_date: true,
+    expiration_date: true,
+    Supply_Transporter: {
+        select: {
+            User: { // Display company name if available
+                select: {
+                    Company: {
+                        select: {
+                            name: true
+                        }
+                    },
+                    id: true,
+                    first_name: true,
+                    last_name: true,
 
-        if (product.Supply.length > 0) {
-            product.lowest_price = parseFloat(calcLowestPrice(product.Supply).toFixed(2))
-            product.highest_price = parseFloat(calcHighestPrice(product.Supply).toFixed(2))
-        } else {
-            product.lowest_price = 0
-            product.highest_price = 0
+                }
+            },
+            price: true,
+        }
+    },
+    Supply_History: {
+        select: {
+            moment: true,
+            quantity: true,
+            price: true
         }
+    }
+}
 
-        // Obtaining product thumbnail
-        let thumbnail = await prisma.productImage.findUnique({
+/* A product with its variants and their supplies. Sustainability filters ({fuel_type, max_emissions, min_renewable}, see
+   supplySustainabilityConditions) leave out the supplies which don't meet them, and the transporters which don't
+   meet the fleet filters
+*/
+async function getProductByID(id, sustainability = {}){
+    try {
+        // Variants are shown within their parent product
+        let specifiedProduct = await prisma.product.findUnique({
             where: {
-                id_product: {
-                    id: 1,
-                    product: product.id
-                }
+                id: id
+            },
+            select: {
+                parent: true
             }
         })
 
-        product.thumbnail = thumbnail ? composeURL(thumbnail.uri) : "default"
-
-        return product
-    }))
-
-    // Checking if price bounds have been set
-    const minPrice = price_range.min || 0;
-    const maxPrice = price_range.max || Number.POSITIVE_INFINITY;
-
-    if (include_unbuyable) {
-        // Filtering products based on price
-        products = products.filter((product) =>
-            product.lowest_price >= Number(minPrice) &&
-            product.lowest_price < Number(maxPrice))
-    } else {
-        // Filtering products based on price
-        products = products.filter((product) =>
-            product.lowest_price > Number(minPrice) &&
-            product.lowest_price < Number(maxPrice))
-    }
-        
-    // Get total product count
-    let totalProducts = products.length
+        if (!specifiedProduct) return null;
 
-    // Manual Pagination
-    products = manualPagination(products, limit, page)
+        id = specifiedProduct.parent ?? id
 
-    return {total_products: totalProducts, products}
-}
-
-async function getProductByID(id){
-    try {
         let result = await prisma.product.findUnique({
             where: {
                 id: id
@@ -942,6 +2993,8 @@ async function getProductByID(id){
                 } ,
                 complement_name: true,
                 complement_quantity: true,
+                variant: true,
+                weight: true,
                 ProductAttribute: {
                     select: {
                         id: true,
@@ -956,49 +3009,21 @@ async function getProductByID(id){
                     }
                 },
                 Supply: {
+                    select: productSupplySelection
+                },
+                other_Product: {
                     select: {
-                        User: {
-                            select: {
-                                Company: {
-                                    select: {
-                                        name: true
-                                    }
-                                },
-                                id: true,
-                                first_name: true,
-                                last_name: true,
-                            }
-                        },
-                        warehouse: true,
-                        quantity: true,
-                        price: true,
-                        production_date: true,
-                        expiration_date: true,
-                        Supply_Transporter: {
-                            select: {
-                                User: { // Display company name if available
-                                    select: {
-                                        Company: {
-                                            select: {
-                                                name: true
-                                            }
-                                        },
-                                        id: true,
-                                        first_name: true,
-                                        last_name: true,
-
-                                    }
-                                },
-                                price: true,
-                            }
-                        },
-                        Supply_History: {
-                            select: {
-                                moment: true,
-                                quantity: true,
-                                price: true
-                            }
+                        id: true,
+                        variant: true,
+                        complement_name: true,
+                        complement_quantity: true,
+                        weight: true,
+                        Supply: {
+                            select: productSupplySelection
                         }
+                    },
+                    orderBy: {
+                        id: 'asc'
                     }
                 }
                 },
@@ -1006,15 +3031,79 @@ async function getProductByID(id){
 
         if (result) { 
 
+            // Grouping supplies by variant. The parent product is a variant of its own when it's supplied, or when it has no other variants
+            const {other_Product, Supply, ...product} = result
+
+            let variants = other_Product
+            if (Supply.length || !variants.length) {
+                variants = [{
+                    id: product.id,
+                    variant: product.variant,
+                    complement_name: product.complement_name,
+                    complement_quantity: product.complement_quantity,
+                    weight: product.weight,
+                    Supply: Supply
+                }, ...variants]
+            }
+
+            const supplyConditions = supplySustainabilityConditions(sustainability, "s")
+
+            if (supplyConditions.length) {
+                const matchingSupplies = await prisma.$queryRaw`
+                    SELECT s.product, s.supplier, s.warehouse FROM Supply s
+                    WHERE s.product IN (${Prisma.join(variants.map((variant) => variant.id))}) AND ${Prisma.join(supplyConditions, " AND ")}`
+
+                const transportersSQL = sustainableTransportersSQL(sustainability)
+                const matchingTransporters = transportersSQL ? (await prisma.$queryRaw(transportersSQL)).map((row) => row.transporter) : null
+
+                variants = variants.map((variant) => ({
+                    ...variant,
+                    Supply: variant.Supply
+                        .filter((supply) => matchingSupplies.some((match) => match.product == supply.product && match.supplier == supply.User.id && match.warehouse == supply.warehouse))
+                        .map((supply) => !matchingTransporters ? supply : {
+                            ...supply,
+                            Supply_Transporter: supply.Supply_Transporter.filter((transport) => matchingTransporters.includes(transport.User.id))
+                        })
+                }))
+            }
+
+            // All supplies are still listed together, for clients which don't tell variants apart
+            result = {...product, Supply: variants.flatMap((variant) => variant.Supply), variants: variants}
+
             // Composing URLs out of stored image URIs
 
             result.ProductImage = result.ProductImage.map((image) => {
                 return {
                     id: image.id,
-                    url: composeURL(image.uri)
+                    url: composeURL(image.uri),
+                    srcset: composeSrcset(image.uri)
                 }
             })
 
+            // Ratings of the product and of each of its suppliers, from verified buyers' reviews
+
+            result.rating = await getProductRating(id)
+
+            let supplierRatings = await getRatings("supplier", [...new Set(result.Supply.map((supply) => supply.User.id))])
+
+            for (let supply of result.Supply) {
+                supply.User.rating = supplierRatings[supply.User.id] || {average: null, total: 0}
+            }
+
+            // Eco-scores of each supply, the product scoring as much as its best one (see lib/ecoscore.js)
+
+            let ecoScores = await prisma.$queryRaw`
+                SELECT * FROM (${ecoscore.supplyEcoScoresSQL()}) se
+                WHERE se.product IN (${Prisma.join(variants.map((variant) => variant.id))})`
+
+            for (let supply of result.Supply) {
+                let ecoScore = ecoScores.find((score) => score.product == supply.product && score.supplier == supply.User.id && score.warehouse == supply.warehouse)
+                supply.eco_score = ecoscore.formatEcoScore(ecoScore ? ecoScore.eco_score : null)
+            }
+
+            let bestEcoScore = Math.max(...result.Supply.filter((supply) => supply.eco_score).map((supply) => supply.eco_score.score))
+            result.eco_score = ecoscore.formatEcoScore(Number.isFinite(bestEcoScore) ? bestEcoScore : null)
+
             for (let i = 0; i < result.Supply.length; i++) {
                 // Gathering further warehouse info
                 let warehouse = await prisma.warehouse.findUnique({
@@ -1059,27 +3148,334 @@ async function getProductByID(id){
     }
 }
 
-/* Category Functions */
+/* Search Functions */
 
-async function getAllCategories() {
+/* MySQL Full-Text Search (boolean mode) over a product's name and description, matching words which start with any of the keywords.
+   Boolean mode operators are stripped from the keywords, as they'd otherwise break the search
+*/
+function fullTextSearch(keywords) {
+    return [].concat(keywords)
+        .join(" ")
+        .replace(/[+\-<>()~*"@]/g, " ")
+        .split(/\s+/)
+        .filter((word) => word)
+        .map((word) => word + "*")
+        .join(" ")
+}
+
+/* Lowercased words without diacritics, so that "Maçã" and "maca" compare equal */
+function searchWords(text) {
+    return text
+        .normalize("NFD")
+        .replace(/[\u0300-\u036f]/g, "")
+        .toLowerCase()
+        .split(/[^a-z0-9]+/)
+        .filter((word) => word)
+}
+
+/* Levenshtein distance between two words */
+function editDistance(a, b) {
+    let previous = Array.from({length: b.length + 1}, (_, i) => i)
+
+    for (let i = 1; i <= a.length; i++) {
+        let current = [i]
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] == b[j - 1] ? 0 : 1))
+        }
+        previous = current
+    }
+
+    return previous[b.length]
+}
+
+/* Typos tolerated in a word: none in short words, where a single typo already makes it a different word, and up to two in long ones */
+function typoTolerance(word) {
+    return word.length <= 3 ? 0 : word.length <= 6 ? 1 : 2
+}
+
+/* How far a name is from the searched words, or null if it doesn't match them.
+   Every searched word must match a word of the name, typos aside. As suggestions are given while typing,
+   the last searched word only has to match the start of a word.
+*/
+function suggestionDistance(name, words) {
+    const nameWords = searchWords(name)
+    let distance = 0
+
+    for (let i = 0; i < words.length; i++) {
+        const word = words[i]
+        const typing = i == words.length - 1
+
+        const best = Math.min(...nameWords.map((nameWord) =>
+            editDistance(word, typing ? nameWord.slice(0, word.length) : nameWord)))
+
+        if (best > typoTolerance(word)) return null;
+        distance += best
+    }
+
+    return distance
+}
+
+/* The best matching candidates, closest first and, among those, shortest first */
+function bestSuggestions(candidates, words, limit) {
+    return candidates
+        .map((candidate) => ({candidate, distance: suggestionDistance(candidate.name, words)}))
+        .filter((suggestion) => suggestion.distance != null)
+        .sort((a, b) => a.distance - b.distance || a.candidate.name.length - b.candidate.name.length)
+        .slice(0, limit)
+        .map((suggestion) => suggestion.candidate)
+}
+
+/* Suggestions are requested while typing, so the names they're drawn from are loaded once every suggestionCacheDuration (ms)
+   rather than on every request. Names added in the meantime are only suggested once it expires
+*/
+const suggestionCacheDuration = 60 * 1000
+
+let suggestionCandidates = {promise: null, expiration: 0}
+
+/* Returns the product, category and supplier names suggestions are drawn from, and the vocabulary of the catalog (the words in
+   product and category names), used to correct searches
+*/
+async function getSuggestionCandidates() {
+    if (Date.now() >= suggestionCandidates.expiration) {
+        const promise = loadSuggestionCandidates()
+        suggestionCandidates = {promise: promise, expiration: Date.now() + suggestionCacheDuration}
+
+        // Failures aren't cached
+        promise.catch(() => {
+            if (suggestionCandidates.promise == promise) suggestionCandidates.expiration = 0
+        })
+    }
+
+    return await suggestionCandidates.promise
+}
+
+async function loadSuggestionCandidates() {
+    const [products, categories, suppliers] = await Promise.all([
+        // Variants share their parent's name
+        prisma.product.findMany({
+            where: {
+                parent: null
+            },
+            select: {
+                id: true,
+                name: true
+            }
+        }),
+        prisma.category.findMany({
+            select: {
+                id: true,
+                name: true,
+                parent_category: true
+            }
+        }),
+        prisma.user.findMany({
+            where: {
+                type: "SUPPLIER"
+            },
+            select: {
+                id: true,
+                Company: {
+                    select: {
+                        name: true
+                    }
+                }
+            }
+        })
+    ])
+
+    return {
+        products: products,
+        categories: categories,
+        suppliers: suppliers.filter((supplier) => supplier.Company).map((supplier) => ({
+            id: supplier.id,
+            name: supplier.Company.name
+        })),
+        vocabulary: [...new Set([...products, ...categories].flatMap((candidate) => searchWords(candidate.name)))]
+    }
+}
+
+/* Returns product, category and supplier names matching what is being searched, tolerating typos.
+   If no product matches the search, also returns a corrected search ("did you mean") built from the words in the catalog, provided it has results.
+*/
+async function getSearchSuggestions(query, limit = 5) {
     try {
-        let categories = await prisma.category.findMany({orderBy: {name: 'asc'}})
+        const words = searchWords(query)
+
+        if (!words.length) {
+            return {products: [], categories: [], suppliers: [], did_you_mean: null}
+        }
+
+        const {products, categories, suppliers, vocabulary} = await getSuggestionCandidates()
 
+        // Categories are listed under their parents, so the path to a category is needed to link to it
+        const categoryPath = (category) => {
+            let path = [category.id]
+            let parent = categories.find((other) => other.id == category.parent_category)
+            while (parent && !path.includes(parent.id)) {
+                path.unshift(parent.id)
+                parent = categories.find((other) => other.id == parent.parent_category)
+            }
+            return path
+        }
 
-        for (category of categories) {
+        let didYouMean = null
+        const [{total}] = await prisma.$queryRaw`SELECT COUNT(*) AS total FROM Product WHERE MATCH (name, description) AGAINST (${fullTextSearch(query)} IN BOOLEAN MODE)`
 
-            // Finding subcategories of current category
-            let subCategories = await prisma.$queryRaw`WITH RECURSIVE CTE (id, name, parent_id) AS (SELECT id, name, parent_category FROM Category WHERE parent_category = ${category.id} UNION ALL SELECT p.id, p.name, p.parent_category FROM Category p INNER JOIN CTE ON p.parent_category = CTE.id) SELECT * FROM CTE;`
+        if (Number(total) == 0) {
+            // Each word is replaced with the closest word in the names of products and categories, if any is close enough
+            const corrected = words.map((word) => {
+                let closest = {word, distance: typoTolerance(word) + 1}
+                for (const known of vocabulary) {
+                    const distance = editDistance(word, known)
+                    if (distance < closest.distance) closest = {word: known, distance}
+                }
+                return closest.word
+            }).join(" ")
 
-            // Counting products in each category
-            let categorySelection = {OR:[{category:category.id}, ...subCategories.map((subCategory) => ({category: subCategory.id}))]}
+            if (corrected != words.join(" ")) {
+                const [{total}] = await prisma.$queryRaw`SELECT COUNT(*) AS total FROM Product WHERE MATCH (name, description) AGAINST (${fullTextSearch(corrected)} IN BOOLEAN MODE)`
+                if (Number(total) > 0) didYouMean = corrected
+            }
+        }
 
-            category.total_products = await prisma.product.count({
-                    where: categorySelection
-                    })
+        return {
+            products: bestSuggestions(products, words, limit),
+            categories: bestSuggestions(categories, words, limit).map((category) => ({
+                id: category.id,
+                name: category.name,
+                path: categoryPath(category)
+            })),
+            suppliers: bestSuggestions(suppliers, words, limit),
+            did_you_mean: didYouMean
+        }
+
+    } catch (e) {
+        report(e)
+        return null;
+    }
+}
+
+/* Category Functions */
+
+/* Builds the category hierarchy out of the flat category list, in two queries. Each category counts the products
+   directly in it (direct_products) and those in it or in any of its subcategories (total_products)
+*/
+async function buildCategoryTree() {
+    const [categories, counts] = await Promise.all([
+        prisma.category.findMany({orderBy: {name: 'asc'}}),
+        // Variants are counted within their parent product
+        prisma.product.groupBy({
+            by: ['category'],
+            where: {
+                parent: null
+            },
+            _count: {
+                _all: true
+            }
+        })
+    ])
+
+    const nodes = new Map(categories.map((category) => [category.id, {...category, direct_products: 0, total_products: 0, subcategories: []}]))
+
+    for (const count of counts) {
+        if (nodes.has(count.category)) nodes.get(count.category).direct_products = count._count._all
+    }
+
+    let roots = []
+    for (const node of nodes.values()) {
+        const parent = nodes.get(node.parent_category)
+        parent ? parent.subcategories.push(node) : roots.push(node)
+    }
+
+    const countProducts = (node) => node.total_products = node.subcategories.reduce((total, subcategory) => total + countProducts(subcategory), node.direct_products)
+    roots.forEach(countProducts)
+
+    return {roots, nodes}
+}
+
+/* Listing products by category includes those of its subcategories, so the hierarchy is loaded once every
+   categoryCacheDuration (ms) rather than on every request. Changes made through the functions below reload it right away
+*/
+const categoryCacheDuration = 5 * 60 * 1000
+
+let categoryHierarchy = {promise: null, expiration: 0}
+
+/* Returns the IDs of each category's direct subcategories, by category ID */
+async function getCategoryHierarchy() {
+    if (Date.now() >= categoryHierarchy.expiration) {
+        const promise = prisma.category.findMany({
+            select: {
+                id: true,
+                parent_category: true
             }
+        }).then((categories) => {
+            let subcategories = new Map()
+            for (const category of categories) {
+                subcategories.set(category.parent_category, [...(subcategories.get(category.parent_category) || []), category.id])
+            }
+            return subcategories
+        })
+
+        categoryHierarchy = {promise: promise, expiration: Date.now() + categoryCacheDuration}
+
+        // Failures aren't cached
+        promise.catch(() => {
+            if (categoryHierarchy.promise == promise) categoryHierarchy.expiration = 0
+        })
+    }
+
+    return await categoryHierarchy.promise
+}
+
+function invalidateCategoryHierarchy() {
+    categoryHierarchy = {promise: null, expiration: 0}
+}
+
+/* The ID of the category and those of all the categories under it */
+async function getCategoryAndSubcategories(categoryID) {
+    const subcategories = await getCategoryHierarchy()
+
+    let ids = [categoryID]
+    for (let i = 0; i < ids.length; i++) {
+        ids.push(...(subcategories.get(ids[i]) || []).filter((id) => !ids.includes(id)))
+    }
+
+    return ids
+}
+
+/* Whether a category is the given ancestor, or lies anywhere under it, in the given hierarchy ([{id, parent_category}]) */
+function isCategoryWithin(categories, categoryID, ancestorID) {
+    let visited = new Set()
+
+    for (let target = categoryID; target && !visited.has(target); target = categories.find((category) => category.id == target)?.parent_category) {
+        if (target == ancestorID) return true;
+        visited.add(target)
+    }
+
+    return false
+}
 
-        return categories
+async function getAllCategories() {
+    try {
+        const {nodes} = await buildCategoryTree()
+
+        return [...nodes.values()].map(({direct_products, subcategories, ...category}) => category)
+
+    } catch (e) {
+        report(e)
+        return null;
+    }
+}
+
+/* The nested category hierarchy, with the direct and recursive product counts of each category */
+async function getCategoryTree() {
+    try {
+        const {roots} = await buildCategoryTree()
+
+        return roots
 
     } catch (e) {
         report(e)
@@ -1087,7 +3483,7 @@ async function getAllCategories() {
     }
 }
 
-async function createCategory(name, parent_category) {
+async function createCategory(name, parent_category, audit) {
     try {
 
         let newCategory = await prisma.category.create({
@@ -1097,13 +3493,17 @@ async function createCategory(name, parent_category) {
             }
         })
 
+        invalidateCategoryHierarchy()
+
+        await recordAudit(audit, "CREATE", "CATEGORY", newCategory.id, null, newCategory)
+
         return newCategory.id;
     } catch (e) {
         return null;
     }
 }
 
-async function updateCategory(id, params) {
+async function updateCategory(id, params, audit) {
     let categoryKeyMap = {
         "name": "name",
         "parent_category": "parent_category"
@@ -1119,28 +3519,59 @@ async function updateCategory(id, params) {
     }
 
     try {
-        const updatedCategory = await prisma.category.update({
-            where: {
-                id: id
-            },
-            data: categoryDataSelection
+        const result = await prisma.$transaction(async (tx) => {
+            const before = await tx.category.findUnique({
+                where: {
+                    id: id
+                }
+            })
+
+            // A category can't be moved under itself or any of its subcategories. The hierarchy stays locked until the
+            // category is moved, so that simultaneous moves (e.g. A under B while B goes under A) can't make a cycle together
+
+            if (categoryDataSelection.parent_category) {
+                const categories = await tx.$queryRaw`SELECT id, parent_category FROM Category ORDER BY id FOR UPDATE`
+
+                if (isCategoryWithin(categories, categoryDataSelection.parent_category, id)) {
+                    return "CATEGORY_CYCLE"
+                }
+            }
+
+            const updatedCategory = await tx.category.update({
+                where: {
+                    id: id
+                },
+                data: categoryDataSelection
+            })
+
+            return {before, updatedCategory}
         })
 
-        return updatedCategory
+        if (result == "CATEGORY_CYCLE") return result;
+
+        invalidateCategoryHierarchy()
+
+        await recordAudit(audit, "UPDATE", "CATEGORY", id, result.before, result.updatedCategory)
+
+        return result.updatedCategory
     } catch (e) {
         return null;
     }
 
 }
 
-async function deleteCategory(id) {
+async function deleteCategory(id, audit) {
     try {
-        await prisma.category.delete({
+        const deletedCategory = await prisma.category.delete({
             where: {
                 id: id
             }
         })
 
+        invalidateCategoryHierarchy()
+
+        await recordAudit(audit, "DELETE", "CATEGORY", id, deletedCategory, null)
+
         return true;
     } catch (e) {
         // In case category can't be deleted
@@ -1188,6 +3619,8 @@ async function getAllSuppliers() {
             })
 
             supplier.products_sold = productCount.length
+
+            supplier.rating = (await getRatings("supplier", [supplier.id]))[supplier.id] || {average: null, total: 0}
             
             return supplier
 
@@ -1271,7 +3704,12 @@ async function getAllTransporters() {
 
 /* Cart Functions */
 
-async function getCart(userID) {
+/* The user's cart. Each item's carbon footprint is estimated for delivery to the given shipping address or, by default,
+   to the user's shipping address (it's null if the user has none, or if the transporter has no vehicles).
+   With withVehicles, each item also holds the vehicle which would deliver it (null if none can), as orders are assigned.
+   Returns "INVALID_SHIPPING_ADDRESS" if the given address isn't the user's
+*/
+async function getCart(userID, shippingAddressID, withVehicles = false) {
     try {
         // TODO: Check if cart-items are still valid, check if the corresponding supply stock is still larger than the order quantity, remove them from the cart if they've become out of stock
 
@@ -1294,14 +3732,34 @@ async function getCart(userID) {
             }
         })
 
+        let shippingAddress = await prisma.address.findFirst({
+            where: {
+                user: userID,
+                // The user's shipping address, unless another one of their addresses is given
+                ...(shippingAddressID ? {id: shippingAddressID} : {is_shipping: true})
+            },
+            select: {
+                id: true
+            }
+        })
+
+        if (shippingAddressID && !shippingAddress) {
+            return "INVALID_SHIPPING_ADDRESS"
+        }
+
+        shippingAddressID = shippingAddress ? shippingAddress.id : null
+
+        let deliveries = shippingAddressID ? await estimateDeliveries(cartItems, shippingAddressID) : null
+
         let totalPrice = 0;
         let totalSupplierResourceUsage = 0
         let totalSupplierRenewableResources = 0
         let totalTransporterResourceUsage = 0
         let totalTransporterEmissions = 0
+        let totalCarbonFootprint = 0
 
         // Update each cart item with calculated properties: (shipping price and product price)
-        cartItems = await Promise.all(cartItems.map(async (item) => {
+        cartItems = await Promise.all(cartItems.map(async (item, index) => {
 
             // Obtaining additional data regarding cart item
             let correspondingSupply = await prisma.supply.findUnique({
@@ -1401,11 +3859,19 @@ async function getCart(userID) {
             item.average_supplier_resource_usage = Number(warehouse.resource_usage)
             item.supplier_renewable_resources = warehouse.renewable_resources
 
+            // Carbon footprint of delivering the item to the shipping address
+            item.carbon_footprint = deliveries ? deliveries[index].footprint : null
+
+            if (withVehicles) {
+                item.vehicle = deliveries ? deliveries[index].vehicle : null
+            }
+
             // Additional product information
             item.product = {
                 id: item.product,
                 name: product.name,
-                thumbnail: thumbnail ? composeURL(thumbnail.uri) : "default"
+                thumbnail: thumbnail ? composeImageURL(thumbnail.uri, "thumb") : "default",
+                thumbnail_srcset: thumbnail ? composeSrcset(thumbnail.uri) : null
             }
 
             // Incrementing the total cart price
@@ -1416,6 +3882,7 @@ async function getCart(userID) {
             totalSupplierResourceUsage      += item.average_supplier_resource_usage
             totalTransporterResourceUsage   += item.average_transporter_resource_usage
             totalTransporterEmissions       += item.average_transporter_emissions
+            totalCarbonFootprint            += item.carbon_footprint ? item.carbon_footprint.total : 0
 
             return item
         }))
@@ -1429,7 +3896,8 @@ async function getCart(userID) {
             total_supplier_renewable_resources: parseFloat(totalSupplierRenewableResources.toFixed(2)),
             total_supplier_resource_usage:      parseFloat(totalSupplierResourceUsage.toFixed(2)),
             total_transporter_resource_usage:   parseFloat(totalTransporterResourceUsage.toFixed(2)),
-            total_transporter_emissions:        parseFloat(totalTransporterEmissions.toFixed(2))}
+            total_transporter_emissions:        parseFloat(totalTransporterEmissions.toFixed(2)),
+            total_carbon_footprint:             parseFloat(totalCarbonFootprint.toFixed(2))}
 
     } catch (e) {
         report(e)
@@ -1693,7 +4161,8 @@ async function getWishlist(userID) {
                 id: item.product,
                 name: correspondingProduct.name,
                 description: correspondingProduct.description,
-                thumbnail: thumbnail ? composeURL(thumbnail.uri) : "default",
+                thumbnail: thumbnail ? composeImageURL(thumbnail.uri, "card") : "default",
+                thumbnail_srcset: thumbnail ? composeSrcset(thumbnail.uri) : null,
                 category: {
                     id: correspondingProduct.Category.id,
                     name: correspondingProduct.Category.name
@@ -1981,7 +4450,8 @@ async function removeProductFromWishlist(userID, productID) {
                     }
                 })
 
-                item.product.thumbnail = productThumbnail ? composeURL(productThumbnail.uri) : "default"
+                item.product.thumbnail = productThumbnail ? composeImageURL(productThumbnail.uri, "thumb") : "default"
+                item.product.thumbnail_srcset = productThumbnail ? composeSrcset(productThumbnail.uri) : null
 
                 let supplier = await prisma.user.findUnique({
                     where: {
@@ -2013,6 +4483,20 @@ async function removeProductFromWishlist(userID, productID) {
                     name: transporter.Company ? transporter.Company.name : `${transporter.first_name} ${transporter.last_name}`
                 }
 
+                // The item's review, if it has been reviewed
+                item.review = await prisma.review.findUnique({
+                    where: {
+                        item_order: {
+                            item: item.id,
+                            order: item.order
+                        }
+                    },
+                    select: {
+                        id: true,
+                        rating: true
+                    }
+                })
+
                 return item
             }))
 
@@ -2045,8 +4529,9 @@ async function createOrder(userID, shippingAddressID, billingAddressID, observat
             return "INVALID_BILLING_ADDRESS";
         }
 
-        // Converting cartItems into order
-        let cartItems = (await getCart(userID)).items
+        // Converting cartItems into order. Each item comes with the vehicle which would deliver it and its carbon footprint,
+        // its transporter's own vehicle closest to the shipping address
+        let cartItems = (await getCart(userID, Number(shippingAddressID), true)).items
 
         // Checking if cart has items
         if (cartItems.length == 0) {
@@ -2076,6 +4561,10 @@ async function createOrder(userID, shippingAddressID, billingAddressID, observat
         if (stockInvalid.some((value) => value == true)) {
             return "NO_STOCK"
         }
+
+        if (cartItems.some((item) => item.vehicle === null)) {
+            return "NO_VEHICLE"
+        }
     
         // Creating order
         let newOrder = await prisma.order.create({
@@ -2092,10 +4581,6 @@ async function createOrder(userID, shippingAddressID, billingAddressID, observat
 
         await Promise.all(cartItems.map(async (item, index) => {
 
-            // Determine closest distribution center, and which vehicle to use
-
-            let vehicle = await determineOptimalVehicle(item.transporter, shippingAddressID) || 1
-
             let newOrderItem = await prisma.order_Item.create({
                 data: {
                     id: index + 1,
@@ -2104,7 +4589,7 @@ async function createOrder(userID, shippingAddressID, billingAddressID, observat
                     supplier: item.supplier.id,
                     transporter: item.transporter.id,
                     warehouse: item.warehouse,
-                    vehicle: vehicle,
+                    vehicle: item.vehicle,
                     quantity: item.quantity,
                     status: 'AWAITING_PAYMENT',
                     supply_price: item.price,
@@ -2113,6 +4598,8 @@ async function createOrder(userID, shippingAddressID, billingAddressID, observat
                     supplier_renewable_resources: item.supplier_renewable_resources,
                     transporter_resource_usage: item.average_transporter_resource_usage,
                     transporter_emissions: item.average_transporter_emissions,
+                    shipping_distance: item.carbon_footprint ? item.carbon_footprint.distance : null,
+                    carbon_footprint: item.carbon_footprint ? item.carbon_footprint.total : null,
                     arrival_date: null
                 }
             })
@@ -2316,7 +4803,8 @@ async function getFilteredOrderByID(user, orderID) {
             }
         })
 
-        product.thumbnail = thumbnail ? composeURL(thumbnail.uri) : "default"
+        product.thumbnail = thumbnail ? composeImageURL(thumbnail.uri, "thumb") : "default"
+        product.thumbnail_srcset = thumbnail ? composeSrcset(thumbnail.uri) : null
 
         let supplier = await prisma.user.findUnique({
             where: {
@@ -2528,7 +5016,7 @@ async function decrementSupplyStock(orderId) {
 }
 
 
-async function updateOrderItem(user, orderID, itemID, targetStatus) {
+async function updateOrderItem(user, orderID, itemID, targetStatus, audit) {
 
     // Obtaining specified order and orderItem
     let order = await getOrderByID(orderID);
@@ -2647,6 +5135,8 @@ async function updateOrderItem(user, orderID, itemID, targetStatus) {
         }
     })
 
+    await recordAudit(audit, "UPDATE", "ORDER_ITEM", `${orderID}/${itemID}`, {status: orderItem.status}, {status: targetStatus})
+
     // Gathering additional data
 
     let productInfo = await prisma.product.findUnique({
@@ -2916,6 +5406,11 @@ async function checkUserItemRelationship(user, orderID, itemID) {
         }
     })
 
+    // In case the item doesn't exist
+    if (!orderItem) {
+        return false;
+    }
+
     switch (user.type) {
         case "CONSUMER": {
             return orderItem.Order.consumer == user.id
@@ -3036,6 +5531,441 @@ async function dismissNotification(userID, notificationID) {
     
 }
 
+/* Review Functions */
+
+const reviewRatingRange = {min: 1, max: 5}
+
+/* Reviews only ever show the author's first name and last initial */
+function reviewAuthor(user) {
+    return `${user.first_name} ${user.last_name.charAt(0)}.`
+}
+
+const reviewSelection = {
+    id: true,
+    rating: true,
+    text: true,
+    created: true,
+    reply: true,
+    replied: true,
+    hidden: true,
+    ReviewImage: {
+        select: {
+            id: true,
+            uri: true
+        },
+        orderBy: {
+            id: 'asc'
+        }
+    },
+    Order_Item: {
+        select: {
+            id: true,
+            order: true,
+            Supply: {
+                select: {
+                    Product: {
+                        select: {
+                            id: true,
+                            name: true,
+                            variant: true
+                        }
+                    },
+                    User: {
+                        select: {
+                            id: true,
+                            Company: {
+                                select: {
+                                    name: true
+                                }
+                            }
+                        }
+                    }
+                }
+            },
+            Order: {
+                select: {
+                    User: {
+                        select: {
+                            first_name: true,
+                            last_name: true
+                        }
+                    }
+                }
+            }
+        }
+    }
+}
+
+/* Flattens a review selected with reviewSelection */
+function formatReview(review) {
+    const {ReviewImage, Order_Item, ...details} = review
+
+    return {
+        ...details,
+        author: reviewAuthor(Order_Item.Order.User),
+        images: ReviewImage.map((image) => ({id: image.id, url: composeURL(image.uri), srcset: composeSrcset(image.uri)})),
+        product: Order_Item.Supply.Product,
+        supplier: {
+            id: Order_Item.Supply.User.id,
+            name: Order_Item.Supply.User.Company?.name
+        },
+        item: {
+            id: Order_Item.id,
+            order: Order_Item.order
+        }
+    }
+}
+
+/* Average rating and amount of visible reviews of each of the products or suppliers (by = "product" or "supplier"), as {id: {average, total}} */
+async function getRatings(by, ids) {
+    if (!ids.length) return {};
+
+    const column = Prisma.raw(`oi.${by}`)
+
+    const rows = await prisma.$queryRaw`
+        SELECT ${column} AS id, AVG(r.rating) AS average, COUNT(*) AS total
+        FROM Review r
+        INNER JOIN Order_Item oi ON oi.id = r.item AND oi.\`order\` = r.\`order\`
+        WHERE NOT r.hidden AND ${column} IN (${Prisma.join(ids)})
+        GROUP BY ${column}`
+
+    return Object.fromEntries(rows.map((row) => [row.id, {
+        average: round(Number(row.average), 1),
+        total: Number(row.total)
+    }]))
+}
+
+/* IDs of a product and of its variants, which share their reviews */
+async function getProductVariantIDs(productID) {
+    const variants = await prisma.product.findMany({
+        where: {
+            OR: [{id: productID}, {parent: productID}]
+        },
+        select: {
+            id: true
+        }
+    })
+
+    return variants.map((variant) => variant.id)
+}
+
+/* A product's rating (including its variants'), with the amount of visible reviews given each number of stars */
+async function getProductRating(productID) {
+    const rows = await prisma.$queryRaw`
+        SELECT r.rating, COUNT(*) AS total
+        FROM Review r
+        INNER JOIN Order_Item oi ON oi.id = r.item AND oi.\`order\` = r.\`order\`
+        WHERE NOT r.hidden AND oi.product IN (${Prisma.join(await getProductVariantIDs(productID))})
+        GROUP BY r.rating`
+
+    let distribution = {}
+    for (let stars = reviewRatingRange.min; stars <= reviewRatingRange.max; stars++) {
+        distribution[stars] = Number(rows.find((row) => row.rating == stars)?.total || 0)
+    }
+
+    const total = Object.values(distribution).reduce((sum, count) => sum + count, 0)
+    const sum = Object.entries(distribution).reduce((sum, [stars, count]) => sum + stars * count, 0)
+
+    return {
+        average: total ? round(sum / total, 1) : null,
+        total: total,
+        distribution: distribution
+    }
+}
+
+/* Returns a page of a product's visible reviews (most recent first, from any of its variants), along with its rating */
+async function getProductReviews(productID, page = 1, pageSize = 10) {
+    try {
+        const product = await prisma.product.findUnique({
+            where: {
+                id: productID
+            }
+        })
+
+        if (!product) return "INVALID_PRODUCT";
+
+        productID = product.parent ?? productID
+
+        const where = {
+            hidden: false,
+            Order_Item: {
+                product: {
+                    in: await getProductVariantIDs(productID)
+                }
+            }
+        }
+
+        const [total, reviews] = await prisma.$transaction([
+            prisma.review.count({
+                where: where
+            }),
+            prisma.review.findMany({
+                where: where,
+                select: reviewSelection,
+                orderBy: {
+                    created: 'desc'
+                },
+                skip: (page - 1) * pageSize,
+                take: pageSize
+            })
+        ])
+
+        return {
+            rating: await getProductRating(productID),
+            total: total,
+            page: page,
+            pages: Math.ceil(total / pageSize),
+            reviews: reviews.map(formatReview)
+        }
+
+    } catch (e) {
+        report(e)
+        return null;
+    }
+}
+
+/* Reviews a completed order item on behalf of the consumer who ordered it, with optional photos.
+   Returns "NOT_FOUND" if the item isn't one of the consumer's, "NOT_COMPLETE" if it hasn't been delivered yet,
+   "ALREADY_REVIEWED" if it has already been reviewed and "INVALID_FILE" if any of the photos isn't a supported image.
+*/
+async function createReview(userID, orderID, itemID, rating, text, files = []) {
+    let processedImages = []
+
+    try {
+        const item = await prisma.order_Item.findUnique({
+            where: {
+                id_order: {
+                    id: itemID,
+                    order: orderID
+                }
+            },
+            include: {
+                Order: true,
+                Review: true
+            }
+        })
+
+        if (!item || item.Order.consumer != userID) return "NOT_FOUND";
+        if (item.status != "COMPLETE") return "NOT_COMPLETE";
+        if (item.Review) return "ALREADY_REVIEWED";
+
+        // Images are processed one at a time, as generating renditions is memory-intensive
+
+        for (const file of files) {
+            const image = await images.processImage(file)
+            if (typeof image == "string") return image;
+
+            processedImages.push(image)
+        }
+
+        const uris = await Promise.all(processedImages.map(uploadImage))
+
+        const review = await prisma.review.create({
+            data: {
+                item: itemID,
+                order: orderID,
+                rating: rating,
+                text: text || null,
+                created: new Date(),
+                ReviewImage: {
+                    create: uris.map((uri, index) => ({id: index + 1, uri: uri}))
+                }
+            },
+            select: reviewSelection
+        })
+
+        return formatReview(review)
+
+    } catch (e) {
+        // Photos uploaded for a review that wasn't created would be left behind (images that weren't uploaded are ignored)
+        await Promise.all(processedImages.map((image) => deleteImage(image.identifier))).catch(report)
+
+        // A simultaneous request reviewed the item first
+        if (e.code == "P2002") return "ALREADY_REVIEWED";
+
+        report(e)
+        return null;
+    }
+}
+
+/* Returns all reviews of the items sold by a supplier (most recent first), including hidden ones, so that the supplier can reply */
+async function getSupplierReviews(supplierID) {
+    try {
+        const reviews = await prisma.review.findMany({
+            where: {
+                Order_Item: {
+                    supplier: supplierID
+                }
+            },
+            select: reviewSelection,
+            orderBy: {
+                created: 'desc'
+            }
+        })
+
+        return {
+            rating: (await getRatings("supplier", [supplierID]))[supplierID] || {average: null, total: 0},
+            reviews: reviews.map(formatReview)
+        }
+
+    } catch (e) {
+        report(e)
+        return null;
+    }
+}
+
+/* Replies to a review of an item sold by the supplier, replacing any previous reply. An empty reply removes it.
+   Returns "NOT_FOUND" if the review isn't about one of the supplier's items.
+*/
+async function replyToReview(supplierID, reviewID, reply) {
+    try {
+        const review = await prisma.review.findUnique({
+            where: {
+                id: reviewID
+            },
+            include: {
+                Order_Item: true
+            }
+        })
+
+        if (!review || review.Order_Item.supplier != supplierID) return "NOT_FOUND";
+
+        const updatedReview = await prisma.review.update({
+            where: {
+                id: reviewID
+            },
+            data: {
+                reply: reply || null,
+                replied: reply ? new Date() : null
+            },
+            select: reviewSelection
+        })
+
+        return formatReview(updatedReview)
+
+    } catch (e) {
+        report(e)
+        return null;
+    }
+}
+
+/* Returns a page of all reviews (most recent first) for administrators to moderate, optionally only the hidden or visible ones */
+async function getReviews(filters = {}, page = 1, pageSize = 50) {
+    try {
+        const where = {
+            hidden: filters.hidden,
+            Order_Item: {
+                product: filters.product,
+                supplier: filters.supplier
+            }
+        }
+
+        const [total, reviews] = await prisma.$transaction([
+            prisma.review.count({
+                where: where
+            }),
+            prisma.review.findMany({
+                where: where,
+                select: reviewSelection,
+                orderBy: {
+                    created: 'desc'
+                },
+                skip: (page - 1) * pageSize,
+                take: pageSize
+            })
+        ])
+
+        return {
+            total: total,
+            page: page,
+            pages: Math.ceil(total / pageSize),
+            reviews: reviews.map(formatReview)
+        }
+
+    } catch (e) {
+        report(e)
+        return null;
+    }
+}
+
+/* Hides or shows a review, and/or removes the supplier's reply. Returns "NOT_FOUND" if the review doesn't exist */
+async function moderateReview(reviewID, changes, audit) {
+    try {
+        const review = await prisma.review.findUnique({
+            where: {
+                id: reviewID
+            },
+            select: {
+                hidden: true,
+                reply: true
+            }
+        })
+
+        if (!review) return "NOT_FOUND";
+
+        let data = {}
+
+        if (changes.hidden != undefined) {
+            data.hidden = changes.hidden
+        }
+
+        if (changes.remove_reply) {
+            data.reply = null
+            data.replied = null
+        }
+
+        const updatedReview = await prisma.review.update({
+            where: {
+                id: reviewID
+            },
+            data: data,
+            select: reviewSelection
+        })
+
+        await recordAudit(audit, "UPDATE", "REVIEW", reviewID, review, {hidden: updatedReview.hidden, reply: updatedReview.reply})
+
+        return formatReview(updatedReview)
+
+    } catch (e) {
+        report(e)
+        return null;
+    }
+}
+
+/* Deletes a review and its photos. Returns "NOT_FOUND" if the review doesn't exist */
+async function deleteReview(reviewID, audit) {
+    try {
+        const review = await prisma.review.findUnique({
+            where: {
+                id: reviewID
+            },
+            include: {
+                ReviewImage: true
+            }
+        })
+
+        if (!review) return "NOT_FOUND";
+
+        await prisma.review.delete({
+            where: {
+                id: reviewID
+            }
+        })
+
+        // Stored photos are only deleted once the review no longer refers to them. The review is deleted even if they can't be
+        await Promise.all(review.ReviewImage.map((image) => deleteImage(image.uri))).catch(report)
+
+        const {ReviewImage, ...deletedReview} = review
+        await recordAudit(audit, "DELETE", "REVIEW", reviewID, deletedReview, null)
+
+        return true
+
+    } catch (e) {
+        report(e)
+        return null;
+    }
+}
+
 /* Warehouse Functions */
 
 async function getWarehouses(userID) {
@@ -4095,6 +7025,7 @@ async function getInventory(
                 }, select: {
                     id: true,
                     name: true,
+                    variant: true,
                     category: true
                 }
             })
@@ -4640,7 +7571,9 @@ async function createProduct(
     categoryID,
     complementName,
     complementAmount,
-    attributes
+    weight,
+    attributes,
+    audit
 ) {
 
 
@@ -4668,6 +7601,7 @@ async function createProduct(
                 // These are "logical nullish assignements": complement info. will be set as null if not provided
                 complement_name: complementName ??= null,
                 complement_quantity: complementAmount ??= null,
+                weight: weight
             }
         })
 
@@ -4690,6 +7624,8 @@ async function createProduct(
             }
         }
 
+        await recordAudit(audit, "CREATE", "PRODUCT", newProduct.id, null, {...newProduct, attributes: attributes ?? []})
+
         return newProduct.id
 
     } catch (e) {
@@ -4699,7 +7635,7 @@ async function createProduct(
 
 }
 
-async function updateProduct(productID, params) {
+async function updateProduct(productID, params, audit) {
 
     try {
 
@@ -4715,6 +7651,12 @@ async function updateProduct(productID, params) {
             return "INVALID_PRODUCT"
         }
 
+        // Variants share their parent's details, which can only be updated through the parent
+
+        if (specifiedProduct.parent && productVariantSharedKeys.some((key) => key in params)) {
+            return "SHARED_DETAILS"
+        }
+
         // Checking new category if specified
 
         if (params.category) {
@@ -4735,11 +7677,11 @@ async function updateProduct(productID, params) {
         let updatedProductData = {}
 
         let productKeyMap = [
-            "name",
-            "description",
-            "category",
+            ...productVariantSharedKeys,
             "complement_name",
-            "complement_quantity"
+            "complement_quantity",
+            "weight",
+            "variant"
         ]
 
         for (const [key, value] of Object.entries(params)) {
@@ -4757,6 +7699,21 @@ async function updateProduct(productID, params) {
             data: updatedProductData
         })
 
+        // Keeping the product's variants in sync
+
+        let sharedData = Object.fromEntries(Object.entries(updatedProductData).filter(([key]) => productVariantSharedKeys.includes(key)))
+
+        if (Object.keys(sharedData).length) {
+            await prisma.product.updateMany({
+                where: {
+                    parent: productID
+                },
+                data: sharedData
+            })
+        }
+
+        await recordAudit(audit, "UPDATE", "PRODUCT", productID, specifiedProduct, updatedProduct)
+
     } catch (e) {
         report(e)
         return null
@@ -4764,7 +7721,7 @@ async function updateProduct(productID, params) {
 
 }
 
-async function deleteProduct(productID) {
+async function deleteProduct(productID, audit) {
 
     try {
         
@@ -4780,7 +7737,7 @@ async function deleteProduct(productID) {
             return "INVALID_PRODUCT"
         }
 
-        // Also delete all images in bucket relative to this product
+        // Also delete all images in storage relative to this product
 
         let productImages = await prisma.productImage.findMany({
             where: {
@@ -4799,11 +7756,11 @@ async function deleteProduct(productID) {
             }
         })
 
+        await recordAudit(audit, "DELETE", "PRODUCT", productID, specifiedProduct, null)
+
         let deletedImages = Promise.all(
             productImages.map(async (image) => {
-                await bucket.file(image.uri).delete({
-                    ignoreNotFound: true
-                });
+                await deleteImage(image.uri)
             })
         )
 
@@ -4814,12 +7771,75 @@ async function deleteProduct(productID) {
 
 }
 
+/* Product variant functions */
+
+// Details which variants share with their parent product
+const productVariantSharedKeys = ["name", "description", "category"]
+
+async function createProductVariant(productID, variant, complementName, complementAmount, weight, audit) {
+
+    try {
+
+        // Proofing
+
+        let parentProduct = await prisma.product.findUnique({
+            where: {
+                id: productID
+            }
+        })
+
+        if (!parentProduct) {
+            return "INVALID_PRODUCT"
+        }
+
+        // Variants can't have variants of their own
+
+        if (parentProduct.parent) {
+            return "NESTED_VARIANT"
+        }
+
+        let existingVariant = await prisma.product.findFirst({
+            where: {
+                OR: [{id: productID}, {parent: productID}],
+                variant: variant
+            }
+        })
+
+        if (existingVariant) {
+            return "DUPLICATE_VARIANT"
+        }
+
+        let newVariant = await prisma.product.create({
+            data: {
+                name: parentProduct.name,
+                description: parentProduct.description,
+                category: parentProduct.category,
+                complement_name: complementName ??= null,
+                complement_quantity: complementAmount ??= null,
+                weight: weight,
+                parent: productID,
+                variant: variant
+            }
+        })
+
+        await recordAudit(audit, "CREATE", "PRODUCT", newVariant.id, null, newVariant)
+
+        return newVariant.id
+
+    } catch (e) {
+        report(e)
+        return null
+    }
+
+}
+
 /* Product attribute functions */
 
 async function createProductAttribute(
     productID,
     title,
-    content) {
+    content,
+    audit) {
 
     try {
         
@@ -4857,6 +7877,8 @@ async function createProductAttribute(
             }
         })
 
+        await recordAudit(audit, "CREATE", "PRODUCT_ATTRIBUTE", `${productID}/${newAttribute.id}`, null, newAttribute)
+
         return newAttribute.id
 
     } catch (e) {
@@ -4868,7 +7890,8 @@ async function createProductAttribute(
 
 async function deleteProductAttribute(
     productID,
-    attributeID
+    attributeID,
+    audit
 ) {
 
     try {
@@ -4909,6 +7932,8 @@ async function deleteProductAttribute(
             }
         })
 
+        await recordAudit(audit, "DELETE", "PRODUCT_ATTRIBUTE", `${productID}/${attributeID}`, deletedAttribute, null)
+
         // Updating all affected indexes
         await prisma.productAttribute.updateMany({
             where: {
@@ -4932,7 +7957,7 @@ async function deleteProductAttribute(
 
 }
 
-async function addProductImages(productID, file) {
+async function addProductImages(productID, file, audit) {
     try {
 
         // Proofing
@@ -4947,43 +7972,24 @@ async function addProductImages(productID, file) {
             return "INVALID_PRODUCT"
         }
 
-        let whitelist = [
-            'image/png',
-            'image/jpeg',
-            'image/jpg',
-        ]
-
         if (!file) {
             return "NO_FILE"
         }
 
-        // Checking if files are valid
+        // Checking if files are valid, and generating their renditions
 
-        if (!whitelist.includes(file.mimetype)) {
-            return "INVALID_FILE"
+        let image = await images.processImage(file)
+
+        if (typeof image == "string") {
+            return image
         }
 
-        // Create a new blob in the bucket and upload the file to Google Cloud Storage
+        // Upload the renditions to storage
         
-        let hostedFileName = `${nanoid()}.${file.mimetype.replace("image/", "")}`
-
-        let blob = bucket.file(hostedFileName);
-        let blobStream = blob.createWriteStream();
-
-        let publicURL = await new Promise(function(resolve, reject) {
-
-            blobStream.on('error', reject);
+        let hostedFileName = await uploadImage(image)
 
-            blobStream.on('finish', () => {
-                // The public URL can be used to directly access the file via HTTP.
-                let publicURL = composeURL(blob.name)
-    
-                resolve(publicURL)
-            });
-
-            blobStream.end(file.buffer);
-
-        });
+        // The public URL can be used to directly access the file via HTTP.
+        let publicURL = composeURL(hostedFileName)
 
         // Add the image to the collection of product images
 
@@ -5006,9 +8012,12 @@ async function addProductImages(productID, file) {
             }
         })
 
+        await recordAudit(audit, "CREATE", "PRODUCT_IMAGE", `${productID}/${newImage.id}`, null, newImage)
+
         return {
             id: newImage.id,
-            url: publicURL
+            url: publicURL,
+            srcset: composeSrcset(hostedFileName)
         }
 
         
@@ -5018,7 +8027,7 @@ async function addProductImages(productID, file) {
     }
 }
 
-async function deleteProductImage(productID, imageID) {
+async function deleteProductImage(productID, imageID, audit) {
 
     try {
 
@@ -5048,11 +8057,9 @@ async function deleteProductImage(productID, imageID) {
         }
 
         // If everything checks out, delete the image
-        // First from the bucket
+        // First from storage
 
-        await bucket.file(specifiedImage.uri).delete({
-            ignoreNotFound: true
-        });
+        await deleteImage(specifiedImage.uri)
 
         // Then from the database
 
@@ -5065,6 +8072,8 @@ async function deleteProductImage(productID, imageID) {
             }
         })
 
+        await recordAudit(audit, "DELETE", "PRODUCT_IMAGE", `${productID}/${imageID}`, deletedImage, null)
+
         // And alter all affected indexes
 
         await prisma.productImage.updateMany({
@@ -5090,7 +8099,8 @@ async function deleteProductImage(productID, imageID) {
 async function updateProductImagePosition(
     productID,
     imageID,
-    newPosition
+    newPosition,
+    audit
 ) {
 
     try {
@@ -5214,7 +8224,7 @@ async function updateProductImagePosition(
             }
         })
 
-        await prisma.productImage.create({
+        let movedImage = await prisma.productImage.create({
             data: {
                 id: newPosition > highestIndex.id ? highestIndex.id + 1 : newPosition,
                 product: temp.product,
@@ -5222,6 +8232,441 @@ async function updateProductImagePosition(
             }
         })
 
+        await recordAudit(audit, "UPDATE", "PRODUCT_IMAGE", `${productID}/${imageID}`, {position: oldPosition}, {position: movedImage.id})
+
+    } catch (e) {
+        report(e)
+        return null
+    }
+
+}
+
+/* Catalog Import/Export Functions */
+
+// Category paths list a category's ancestors first, e.g. "Alimentação > Azeites"
+const categoryPathSeparator = ">"
+
+function categoryPathNames(path) {
+    return path.split(categoryPathSeparator).map((name) => name.trim()).filter((name) => name.length)
+}
+
+/* Downloads and processes (see lib/images.js) an image listed in a catalog. Returns an error message if it can't be used */
+async function downloadCatalogImage(url) {
+    try {
+        const download = await images.downloadImage(url)
+
+        switch (download) {
+            case "FORBIDDEN_ADDRESS":
+                return `Image ${url} is not on a public address.`
+            case "OVERSIZED_IMAGE":
+                return `Image ${url} is larger than 5MB.`
+            case "DOWNLOAD_FAILED":
+                return `Image ${url} could not be downloaded.`
+        }
+
+        const image = await images.processImage({
+            buffer: download
+        })
+
+        switch (image) {
+            case "INVALID_FILE":
+                return `Image ${url} is not a valid PNG or JPEG image.`
+            case "OVERSIZED_IMAGE":
+                return `Image ${url} is larger than 5MB or 40 megapixels.`
+            default:
+                return image
+        }
+
+    } catch (e) {
+        report(e)
+        return `Image ${url} could not be downloaded.`
+    }
+}
+
+/* Imports the (already validated) rows of a catalog file as one batch. Rows with an ID update that product, the others
+   create a new one. Categories are given by their path and created if missing, listed image URLs the product doesn't
+   have yet are downloaded and added, and listed variants it doesn't have yet are created. Attributes, when listed,
+   replace the product's. If any row can't be imported nothing is changed, and dry runs only report what would be
+*/
+async function importCatalog(rows, dryRun, audit) {
+
+    let uploadedImages = []
+
+    try {
+
+        // Proofing
+
+        const categories = await prisma.category.findMany()
+
+        const productIDs = rows.filter((row) => row.id).map((row) => row.id)
+
+        const existingProducts = await prisma.product.findMany({
+            where: {
+                id: {
+                    in: productIDs
+                }
+            },
+            include: {
+                ProductImage: true,
+                ProductAttribute: true,
+                other_Product: {
+                    select: {
+                        id: true,
+                        variant: true
+                    }
+                }
+            }
+        })
+
+        const productsByID = new Map(existingProducts.map((product) => [product.id, product]))
+
+        const productDetails = ({ProductImage, ProductAttribute, other_Product, ...product}) => ({
+            ...product,
+            attributes: ProductAttribute.map(({title, content}) => ({title, content}))
+        })
+
+        // Categories to create, by path. Parents are always planned before their subcategories
+
+        let newCategories = new Map()
+
+        function resolveCategory(names) {
+            let parent = null
+            let path = []
+
+            for (const name of names) {
+                path.push(name)
+                const key = path.join(` ${categoryPathSeparator} `)
+
+                if (typeof parent != "string") {
+                    const existing = categories.find((category) => category.parent_category === parent && category.name.toLowerCase() == name.toLowerCase())
+
+                    if (existing) {
+                        parent = existing.id
+                        continue
+                    }
+                }
+
+                // Categories yet to be created are referred to by their path
+                if (!newCategories.has(key)) {
+                    newCategories.set(key, {name: name, parent: parent})
+                }
+
+                parent = key
+            }
+
+            return parent
+        }
+
+        let errors = []
+        let plan = []
+        let seenIDs = new Set()
+
+        for (const [index, row] of rows.entries()) {
+            let rowErrors = []
+
+            if (row.id) {
+                const product = productsByID.get(row.id)
+
+                if (!product) {
+                    rowErrors.push({param: "id", msg: "Product not found."})
+                } else if (product.parent) {
+                    rowErrors.push({param: "id", msg: "Variants share their parent's details, which can only be imported through the parent."})
+                }
+
+                if (seenIDs.has(row.id)) {
+                    rowErrors.push({param: "id", msg: "The product is listed more than once."})
+                }
+
+                seenIDs.add(row.id)
+            }
+
+            const names = categoryPathNames(row.category)
+
+            if (!names.length) {
+                rowErrors.push({param: "category", msg: "Category paths must name at least one category."})
+            } else if (names.some((name) => name.length > 50)) {
+                rowErrors.push({param: "category", msg: "Category names can't be longer than 50 characters."})
+            }
+
+            if (rowErrors.length) {
+                errors.push({row: index + 1, errors: rowErrors})
+                continue
+            }
+
+            const product = row.id ? productsByID.get(row.id) : null
+            const currentImages = product ? product.ProductImage.map((image) => composeURL(image.uri)) : []
+            const currentVariants = product ? product.other_Product.map((variant) => variant.variant) : []
+
+            plan.push({
+                row: index + 1,
+                action: product ? "UPDATE" : "CREATE",
+                id: product ? product.id : null,
+                name: row.name,
+                category: resolveCategory(names),
+                new_images: [...new Set(row.images ?? [])].filter((url) => !currentImages.includes(url)),
+                new_variants: [...new Set(row.variants ?? [])].filter((variant) => !currentVariants.includes(variant)),
+                data: row
+            })
+        }
+
+        const importReport = (applied) => ({
+            dry_run: dryRun,
+            applied: applied,
+            summary: applied || dryRun ? {
+                created: plan.filter((entry) => entry.action == "CREATE").length,
+                updated: plan.filter((entry) => entry.action == "UPDATE").length,
+                categories: [...newCategories.keys()],
+                images: plan.reduce((total, entry) => total + entry.new_images.length, 0),
+                variants: plan.reduce((total, entry) => total + entry.new_variants.length, 0)
+            } : null,
+            rows: applied || dryRun ? plan.map(({data, ...entry}) => ({
+                ...entry,
+                // Categories yet to be created are only known by their path
+                category: typeof entry.category == "string" ? null : entry.category
+            })) : [],
+            errors: errors
+        })
+
+        if (errors.length || dryRun) {
+            return importReport(false)
+        }
+
+        // Images are downloaded and uploaded before any change is made, as they can't be part of the transaction
+
+        for (const entry of plan) {
+            entry.uploaded_images = []
+
+            for (const url of entry.new_images) {
+                const image = await downloadCatalogImage(url)
+
+                if (typeof image == "string") {
+                    errors.push({row: entry.row, errors: [{param: "images", value: url, msg: image}]})
+                    continue
+                }
+
+                const identifier = await uploadImage(image)
+                uploadedImages.push(identifier)
+                entry.uploaded_images.push(identifier)
+            }
+        }
+
+        if (errors.length) {
+            await Promise.all(uploadedImages.map(deleteImage))
+            return importReport(false)
+        }
+
+        // Applying every change as one batch
+
+        const changes = await prisma.$transaction(async (tx) => {
+            let createdCategories = []
+            let categoryIDs = new Map()
+
+            for (const [path, category] of newCategories) {
+                const newCategory = await tx.category.create({
+                    data: {
+                        name: category.name,
+                        parent_category: typeof category.parent == "string" ? categoryIDs.get(category.parent) : category.parent
+                    }
+                })
+
+                categoryIDs.set(path, newCategory.id)
+                createdCategories.push(newCategory)
+            }
+
+            let productChanges = []
+
+            for (const entry of plan) {
+                const row = entry.data
+
+                const productData = {
+                    name: row.name,
+                    description: row.description,
+                    category: typeof entry.category == "string" ? categoryIDs.get(entry.category) : entry.category,
+                    complement_name: row.complement_name ?? null,
+                    complement_quantity: row.complement_quantity ?? null,
+                    weight: row.weight
+                }
+
+                let product
+
+                if (entry.action == "UPDATE") {
+                    product = await tx.product.update({
+                        where: {
+                            id: entry.id
+                        },
+                        data: productData
+                    })
+
+                    // Keeping the product's variants in sync
+
+                    await tx.product.updateMany({
+                        where: {
+                            parent: entry.id
+                        },
+                        data: Object.fromEntries(productVariantSharedKeys.map((key) => [key, productData[key]]))
+                    })
+                } else {
+                    product = await tx.product.create({
+                        data: productData
+                    })
+                }
+
+                if (row.attributes) {
+                    await tx.productAttribute.deleteMany({
+                        where: {
+                            product: product.id
+                        }
+                    })
+
+                    await tx.productAttribute.createMany({
+                        data: row.attributes.map((attribute, index) => ({
+                            id: index + 1,
+                            product: product.id,
+                            title: attribute.title,
+                            content: attribute.content
+                        }))
+                    })
+                }
+
+                if (entry.uploaded_images.length) {
+                    const latestImage = await tx.productImage.findFirst({
+                        where: {
+                            product: product.id
+                        },
+                        orderBy: {
+                            id: 'desc'
+                        }
+                    })
+
+                    const firstImageID = latestImage ? latestImage.id + 1 : 1
+
+                    await tx.productImage.createMany({
+                        data: entry.uploaded_images.map((identifier, index) => ({
+                            id: firstImageID + index,
+                            uri: identifier,
+                            product: product.id
+                        }))
+                    })
+                }
+
+                // Catalog files only name variants, so they're taken to weigh as much as the product until given their own weight
+                for (const variant of entry.new_variants) {
+                    await tx.product.create({
+                        data: {
+                            name: product.name,
+                            description: product.description,
+                            category: product.category,
+                            parent: product.id,
+                            variant: variant,
+                            weight: product.weight
+                        }
+                    })
+                }
+
+                entry.id = product.id
+                entry.category = product.category
+
+                productChanges.push({
+                    action: entry.action,
+                    before: entry.action == "UPDATE" ? productDetails(productsByID.get(product.id)) : null,
+                    after: {...product, attributes: row.attributes ?? []}
+                })
+            }
+
+            return {
+                categories: createdCategories,
+                products: productChanges
+            }
+        }, {
+            timeout: 60000
+        })
+
+        if (changes.categories.length) invalidateCategoryHierarchy()
+
+        for (const category of changes.categories) {
+            await recordAudit(audit, "CREATE", "CATEGORY", category.id, null, category)
+        }
+
+        for (const change of changes.products) {
+            await recordAudit(audit, change.action, "PRODUCT", change.after.id, change.before, change.after)
+        }
+
+        return importReport(true)
+
+    } catch (e) {
+        report(e)
+
+        // Nothing was imported, so the images uploaded for it are removed
+        await Promise.all(uploadedImages.map(deleteImage)).catch(report)
+
+        return null
+    }
+
+}
+
+/* Every product (variants are listed under their parent) in the shape of a catalog import row */
+async function exportCatalog() {
+
+    try {
+
+        const categories = await prisma.category.findMany()
+        const categoriesByID = new Map(categories.map((category) => [category.id, category]))
+
+        const categoryPath = (categoryID) => {
+            let names = []
+
+            for (let category = categoriesByID.get(categoryID); category; category = categoriesByID.get(category.parent_category)) {
+                names.unshift(category.name)
+            }
+
+            return names.join(` ${categoryPathSeparator} `)
+        }
+
+        const products = await prisma.product.findMany({
+            where: {
+                parent: null
+            },
+            orderBy: {
+                id: 'asc'
+            },
+            include: {
+                ProductAttribute: {
+                    orderBy: {
+                        id: 'asc'
+                    }
+                },
+                ProductImage: {
+                    orderBy: {
+                        id: 'asc'
+                    }
+                },
+                other_Product: {
+                    select: {
+                        variant: true
+                    },
+                    orderBy: {
+                        id: 'asc'
+                    }
+                }
+            }
+        })
+
+        return products.map((product) => ({
+            id: product.id,
+            name: product.name,
+            description: product.description,
+            category: categoryPath(product.category),
+            complement_name: product.complement_name,
+            complement_quantity: product.complement_quantity === null ? null : Number(product.complement_quantity),
+            weight: product.weight === null ? null : Number(product.weight),
+            attributes: product.ProductAttribute.map((attribute) => ({
+                title: attribute.title,
+                content: attribute.content
+            })),
+            images: product.ProductImage.map((image) => composeURL(image.uri)),
+            variants: product.other_Product.map((variant) => variant.variant)
+        }))
+
     } catch (e) {
         report(e)
         return null
@@ -5450,6 +8895,47 @@ module.exports = {
     getUserByEmail,
     getAllUsers,
     checkUserConflict,
+    getPersonalData,
+
+    // Login Throttling Functions
+    getLoginThrottle,
+    recordLoginFailure,
+    clearLoginFailures,
+
+    // Identity Functions
+    hashSubject,
+    getLocalCredentials,
+    getUserByIdentity,
+    claimLegacyIdentity,
+    getIdentities,
+    linkIdentity,
+    unlinkIdentity,
+
+    // Session Functions
+    createSession,
+    getSessions,
+    isSessionActive,
+    endSession,
+    endAllSessions,
+
+    // Token Functions
+    createRefreshToken,
+    rotateRefreshToken,
+    revokeAccessToken,
+    isAccessTokenRevoked,
+    createAccountToken,
+    consumeAccountToken,
+    createPasswordResetToken,
+    resetPassword,
+    createEmailVerificationToken,
+    verifyEmail,
+
+    // Two-Factor Authentication Functions
+    isTwoFactorEnabled,
+    startTwoFactorEnrollment,
+    confirmTwoFactorEnrollment,
+    verifyTwoFactorCode,
+    disableTwoFactor,
 
     // Address Functions
     createAddress,
@@ -5461,6 +8947,7 @@ module.exports = {
     getProductByID,
     createProduct,
     updateProduct,
+    createProductVariant,
     deleteProduct,
     createProductAttribute,
     deleteProductAttribute,
@@ -5468,8 +8955,16 @@ module.exports = {
     deleteProductImage,
     updateProductImagePosition,
 
+    // Catalog Functions
+    importCatalog,
+    exportCatalog,
+
+    // Search Functions
+    getSearchSuggestions,
+
     // Category Functions
     getAllCategories,
+    getCategoryTree,
     createCategory,
     updateCategory,
     deleteCategory,
@@ -5504,11 +8999,42 @@ module.exports = {
     updateOrderItem,
     checkUserItemRelationship,
 
+    // API Key Functions
+    isApiKey,
+    createApiKey,
+    getApiKeys,
+    revokeApiKey,
+    verifyApiKey,
+
+    // Company Team Functions
+    getCompanyRole,
+    getCompanyMemberships,
+    getCompanyMembers,
+    createCompanyInvitation,
+    getCompanyInvitations,
+    revokeCompanyInvitation,
+    acceptCompanyInvitation,
+    updateCompanyMemberRole,
+    removeCompanyMember,
+
+    // Audit Log Functions
+    getAuditLog,
+
     // Notification Functions
+    createNotification,
     getNotificationsByUser,
     dismissNotification,
     dismissAllNotifications,
 
+    // Review Functions
+    getProductReviews,
+    createReview,
+    getSupplierReviews,
+    replyToReview,
+    getReviews,
+    moderateReview,
+    deleteReview,
+
     // Warehouse Functions
     getWarehouses,
     getWarehouse,
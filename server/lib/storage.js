@@ -0,0 +1,102 @@
+/*  Greenly Storage Library
+    Functions included pertain to storing uploaded files (product and review images), either in Google Cloud Storage
+    or on the local disk, as selected by the STORAGE_DRIVER environment variable ("gcs", the default, or "local").
+
+    Every driver stores files under an identifier (their file name) and provides:
+        save(identifier, buffer, mimetype)  Stores a file
+        remove(identifier)                  Deletes a file (files that don't exist are ignored)
+        url(identifier)                     The public URL a file can be accessed at
+*/
+
+const fs    = require("fs");
+const path  = require("path");
+
+/* Google Cloud Storage */
+
+// The key file and bucket can be set with GCS_KEY_FILE and GCS_BUCKET
+function gcsDriver() {
+    const {Storage} = require('@google-cloud/storage');
+
+    const storage = new Storage({
+        keyFilename: process.env.GCS_KEY_FILE || ".google-key.json"
+    });
+
+    const bucket = storage.bucket(process.env.GCS_BUCKET || "greenly.pt");
+
+    return {
+        name: "gcs",
+
+        save: async (identifier, buffer, mimetype) => {
+            let blobStream = bucket.file(identifier).createWriteStream({
+                contentType: mimetype
+            });
+
+            await new Promise(function(resolve, reject) {
+                blobStream.on('error', reject);
+                blobStream.on('finish', resolve);
+                blobStream.end(buffer);
+            });
+        },
+
+        remove: async (identifier) => {
+            await bucket.file(identifier).delete({
+                ignoreNotFound: true
+            });
+        },
+
+        url: (identifier) => `https://storage.googleapis.com/${bucket.name}/${identifier}`
+    }
+}
+
+/* Local Disk */
+
+// Path under which the server itself serves locally stored files
+const localMountPath = "/uploads"
+
+// Files are kept in STORAGE_DIRECTORY (server/uploads by default), and served at STORAGE_PUBLIC_URL, which should
+// point to this server's /uploads path (http://localhost:<PORT>/uploads by default)
+function localDriver() {
+    const directory = path.resolve(__dirname, "..", process.env.STORAGE_DIRECTORY || "uploads")
+    const publicURL = (process.env.STORAGE_PUBLIC_URL || `http://localhost:${process.env.PORT || 4000}${localMountPath}`).replace(/\/$/, "")
+
+    fs.mkdirSync(directory, {recursive: true})
+
+    // Identifiers are plain file names, so that they can never point outside the directory
+    const filePath = (identifier) => path.join(directory, path.basename(identifier))
+
+    return {
+        name: "local",
+        directory: directory,
+
+        save: async (identifier, buffer, mimetype) => {
+            await fs.promises.writeFile(filePath(identifier), buffer)
+        },
+
+        remove: async (identifier) => {
+            await fs.promises.rm(filePath(identifier), {force: true})
+        },
+
+        url: (identifier) => `${publicURL}/${encodeURIComponent(identifier)}`
+    }
+}
+
+/* Driver Selection */
+
+const drivers = {
+    gcs: gcsDriver,
+    local: localDriver
+}
+
+const driverName = process.env.STORAGE_DRIVER || "gcs"
+
+if (!(driverName in drivers)) {
+    console.log(`❌ Unknown storage driver "${driverName}". Set STORAGE_DRIVER to "gcs" or "local".`);
+    process.exit(0);
+}
+
+const driver = drivers[driverName]()
+
+module.exports = {
+    driver,
+    localMountPath
+}
@@ -4,8 +4,9 @@
 
 /* Parameter Validation Package */
 const { body, param, query, validationResult, matchedData } = require('express-validator');
-const { checkUserConflict, getUserByID, getAllCategories } = require('./persistence');
+const { checkUserConflict, getUserByID, getAllCategories, getLocalCredentials } = require('./persistence');
 const bcrypt = require('bcrypt');
+const { apiKeyScopeList } = require('./authentication');
 
 /* User Validation Functions */
 
@@ -107,7 +108,7 @@ function updateUserValidator() {
             .if(body("new_password").exists()).notEmpty().withMessage("new_password and old_password both have to be included.")
             .custom( (old_password, { req }) => {
                 return user = getUserByID(req.params.userId, true).then((user) => { 
-                    if (user.Credentials.provider != "local") {
+                    if (!getLocalCredentials(user)) {
                         return Promise.reject("Password changing is only available to locally registered users (i.e. non-Google/Facebook).")
                     }
                     return true;
@@ -116,7 +117,7 @@ function updateUserValidator() {
             .custom( (old_password, { req }) => {
                 // Check if old_password matches current user password using bcrypt.compareSync
                 return user = getUserByID(req.params.userId, true).then((user) => {
-                    if (!bcrypt.compareSync(old_password, user.Credentials.value)) {
+                    if (!bcrypt.compareSync(old_password, getLocalCredentials(user).value)) {
                         return Promise.reject("old_password doesn't match user password.")
                     }
                     return true
@@ -172,6 +173,35 @@ function updateUserValidator() {
     ]
 }
 
+function deleteUserValidator() {
+    return [
+        query("anonymize")
+            .optional()
+            .isBoolean()
+            .toBoolean(),
+        (req, res, next) => {
+            const errors = validationResult(req);
+            if (!errors.isEmpty())
+                return res.status(400).json({errors: errors.array()});
+            next();
+            },
+    ]
+}
+
+function exportPersonalDataValidator() {
+    return [
+        query("format")
+            .optional()
+            .isIn(["json", "zip"]),
+        (req, res, next) => {
+            const errors = validationResult(req);
+            if (!errors.isEmpty())
+                return res.status(400).json({errors: errors.array()});
+            next();
+            },
+    ]
+}
+
 /* Address Validation Functions */
 
 function createAddressValidator() {
@@ -238,11 +268,70 @@ function updateAddressValidator() {
 
 /* Product Validation Functions */
 
+function getAuditLogValidator() {
+    return [
+        query("actor")
+            .optional()
+            .isInt({min: 1})
+            .toInt(),
+        query("action")
+            .optional()
+            .isIn(["CREATE", "UPDATE", "DELETE"]),
+        query("entity")
+            .optional()
+            .isIn(["USER", "CATEGORY", "PRODUCT", "PRODUCT_ATTRIBUTE", "PRODUCT_IMAGE", "ORDER_ITEM", "REVIEW"]),
+        query("entity_id")
+            .optional()
+            .isString()
+            .isLength({max: 50}),
+        query("from")
+            .optional()
+            .isISO8601()
+            .toDate(),
+        query("to")
+            .optional()
+            .isISO8601()
+            .toDate(),
+        query("page")
+            .optional()
+            .isInt({min: 1})
+            .toInt(),
+        (req, res, next) => {
+            const errors = validationResult(req);
+            if (!errors.isEmpty())
+                return res.status(400).json({errors: errors.array()});
+            next();
+            },
+    ]
+}
+
+/* Sustainability filters on supplies, shared by the product listing and product pages */
+function sustainabilityFilterRules() {
+    return [
+        query("fuel_type")
+            .optional()
+            .toArray()
+            .custom((types) => types.every((type) => ["ELECTRICITY", "DIESEL", "PETROL"].includes(type)))
+            .withMessage("Fuel types must be 'ELECTRICITY', 'DIESEL' or 'PETROL'."),
+        query("max_emissions")
+            .optional()
+            .notEmpty()
+            .isFloat({min: 0})
+            .toFloat(),
+        query("min_renewable")
+            .optional()
+            .notEmpty()
+            .isInt({min: 0, max: 100})
+            .toInt(),
+    ]
+}
+
 function getProductsValidator() {
     return [
+        ...sustainabilityFilterRules(),
         query("sort")
             .optional()
-            .isIn(["newest", "oldest", "price_asc", "price_desc", "name_asc", "name_desc"]),
+            .isIn(["newest", "oldest", "price_asc", "price_desc", "name_asc", "name_desc", "relevance", "rating", "eco"]),
         query("limit")
             .optional()
             .isInt({min: 0, max: 250})
@@ -291,7 +380,49 @@ function getProductsValidator() {
         query("include_unbuyable")
             .optional()
             .notEmpty()
-            .isBoolean(),
+            .isBoolean()
+            .toBoolean(),
+        query("cursor")
+            .optional()
+            .isString()
+            .isLength({max: 500}),
+        query("attr")
+            .optional()
+            .isObject(),
+        query("attr.*")
+            .custom((value) => [].concat(value).every((content) => typeof content == "string" && content.length && content.length <= 500))
+            .withMessage("Attribute filters must be non-empty strings."),
+        (req, res, next) => {
+            const errors = validationResult(req);
+            if (!errors.isEmpty())
+                return res.status(400).json({errors: errors.array()});
+            next();
+            },
+    ]
+}
+
+function getProductValidator() {
+    return [
+        ...sustainabilityFilterRules(),
+        (req, res, next) => {
+            const errors = validationResult(req);
+            if (!errors.isEmpty())
+                return res.status(400).json({errors: errors.array()});
+            next();
+            },
+    ]
+}
+
+function getSearchSuggestionsValidator() {
+    return [
+        query("query")
+            .isString()
+            .trim()
+            .isLength({min: 1, max: 100}),
+        query("limit")
+            .optional()
+            .isInt({min: 1, max: 10})
+            .toInt(),
         (req, res, next) => {
             const errors = validationResult(req);
             if (!errors.isEmpty())
@@ -339,8 +470,9 @@ function updateCategoryValidator() {
             .optional()
             .notEmpty()
             .isString(),
+        // A null parent category moves the category to the top of the hierarchy
         body("parent_category")
-            .optional()
+            .optional({nullable: true})
             .notEmpty()
             .toInt()
             .custom(async value => {
@@ -384,6 +516,232 @@ function loginValidator() {
     ]
 }
 
+function twoFactorLoginValidator() {
+    return [
+        body("two_factor_token")
+            .notEmpty()
+            .isString()
+            .withMessage("A two-factor token is required."),
+        body("code")
+            .notEmpty()
+            .isString()
+            .trim()
+            .withMessage("A two-factor authentication code is required."),
+        (req, res, next) => {
+            const errors = validationResult(req);
+            if (!errors.isEmpty())
+                return res.status(400).json({errors: errors.array()});
+            next();
+            },
+    ]
+}
+
+function twoFactorCodeValidator() {
+    return [
+        body("code")
+            .notEmpty()
+            .isString()
+            .trim()
+            .withMessage("A two-factor authentication code is required."),
+        (req, res, next) => {
+            const errors = validationResult(req);
+            if (!errors.isEmpty())
+                return res.status(400).json({errors: errors.array()});
+            next();
+            },
+    ]
+}
+
+function linkIdentityValidator() {
+    return [
+        body("provider")
+            .isIn(["local", "google", "facebook"])
+            .withMessage("Provider must be one of: local, google, facebook."),
+        body("password")
+            .if(body("provider").equals("local"))
+            .isLength({min: 5})
+            .withMessage("Minimum password length is 5."),
+        body("code")
+            .if(body("provider").equals("google"))
+            .notEmpty()
+            .withMessage("A Google authorization code is required."),
+        body("access_token")
+            .if(body("provider").equals("facebook"))
+            .notEmpty()
+            .withMessage("A Facebook access token is required."),
+        (req, res, next) => {
+            const errors = validationResult(req);
+            if (!errors.isEmpty())
+                return res.status(400).json({errors: errors.array()});
+            next();
+            },
+    ]
+}
+
+function linkTokenValidator() {
+    return [
+        body("link_token")
+            .notEmpty()
+            .isString()
+            .withMessage("A link token is required."),
+        (req, res, next) => {
+            const errors = validationResult(req);
+            if (!errors.isEmpty())
+                return res.status(400).json({errors: errors.array()});
+            next();
+            },
+    ]
+}
+
+function refreshTokenValidator() {
+    return [
+        body("refresh_token")
+            .notEmpty()
+            .isString()
+            .withMessage("A refresh token is required."),
+        (req, res, next) => {
+            const errors = validationResult(req);
+            if (!errors.isEmpty())
+                return res.status(400).json({errors: errors.array()});
+            next();
+            },
+    ]
+}
+
+function forgotPasswordValidator() {
+    return [
+        body("email")
+            .notEmpty()
+            .isEmail()
+            .toLowerCase()
+            .withMessage("A valid e-mail is required."),
+        (req, res, next) => {
+            const errors = validationResult(req);
+            if (!errors.isEmpty())
+                return res.status(400).json({errors: errors.array()});
+            next();
+            },
+    ]
+}
+
+function resetPasswordValidator() {
+    return [
+        body("token")
+            .notEmpty()
+            .isString()
+            .withMessage("A password reset token is required."),
+        body("password")
+            .isLength({min: 5})
+            .withMessage("Minimum password length is 5."),
+        (req, res, next) => {
+            const errors = validationResult(req);
+            if (!errors.isEmpty())
+                return res.status(400).json({errors: errors.array()});
+            next();
+            },
+    ]
+}
+
+function verifyEmailValidator() {
+    return [
+        body("token")
+            .notEmpty()
+            .isString()
+            .withMessage("A verification token is required."),
+        (req, res, next) => {
+            const errors = validationResult(req);
+            if (!errors.isEmpty())
+                return res.status(400).json({errors: errors.array()});
+            next();
+            },
+    ]
+}
+
+function createApiKeyValidator() {
+    return [
+        body("name")
+            .notEmpty()
+            .isString()
+            .isLength({max: 50})
+            .withMessage("A name of up to 50 characters is required."),
+        body("scopes")
+            .isArray({min: 1})
+            .withMessage("Scopes must be a non-empty array."),
+        body("scopes.*")
+            .isIn(apiKeyScopeList)
+            .withMessage(`Scopes must be any of ${apiKeyScopeList.join(", ")}.`),
+        (req, res, next) => {
+            const errors = validationResult(req);
+            if (!errors.isEmpty())
+                return res.status(400).json({errors: errors.array()});
+            next();
+            },
+    ]
+}
+
+function createCompanyInvitationValidator() {
+    return [
+        body("email")
+            .notEmpty()
+            .isEmail()
+            .toLowerCase()
+            .withMessage("A valid e-mail is required."),
+        body("role")
+            .isIn(["MANAGER", "OPERATOR", "READ_ONLY"])
+            .withMessage("Role must be one of MANAGER, OPERATOR or READ_ONLY."),
+        (req, res, next) => {
+            const errors = validationResult(req);
+            if (!errors.isEmpty())
+                return res.status(400).json({errors: errors.array()});
+            next();
+            },
+    ]
+}
+
+function updateCompanyMemberValidator() {
+    return [
+        body("role")
+            .isIn(["MANAGER", "OPERATOR", "READ_ONLY"])
+            .withMessage("Role must be one of MANAGER, OPERATOR or READ_ONLY."),
+        (req, res, next) => {
+            const errors = validationResult(req);
+            if (!errors.isEmpty())
+                return res.status(400).json({errors: errors.array()});
+            next();
+            },
+    ]
+}
+
+function acceptCompanyInvitationValidator() {
+    return [
+        body("token")
+            .notEmpty()
+            .isString()
+            .withMessage("An invitation token is required."),
+        (req, res, next) => {
+            const errors = validationResult(req);
+            if (!errors.isEmpty())
+                return res.status(400).json({errors: errors.array()});
+            next();
+            },
+    ]
+}
+
+function getCartValidator() {
+    return [
+        query("shipping_address")
+            .optional()
+            .isInt({min: 1})
+            .toInt(),
+        (req, res, next) => {
+            const errors = validationResult(req);
+            if (!errors.isEmpty())
+                return res.status(400).json({errors: errors.array()});
+            next();
+            },
+    ]
+}
+
 function addToCartValidator() {
     return [
         body("product")
@@ -508,6 +866,120 @@ function updateOrderValidator() {
     ]
 }
 
+/* Review Validators */
+
+function getProductReviewsValidator() {
+    return [
+        param('productId').isInt().toInt(),
+        query("page")
+            .optional()
+            .isInt({min: 1})
+            .toInt(),
+        (req, res, next) => {
+            const errors = validationResult(req);
+            if (!errors.isEmpty())
+                return res.status(400).json({errors: errors.array()});
+            next();
+            },
+    ]
+}
+
+/* The item being reviewed, checked before its photos are uploaded */
+function reviewedItemValidator() {
+    return [
+        param('orderId').isInt().toInt(),
+        param('itemId').isInt().toInt(),
+        (req, res, next) => {
+            const errors = validationResult(req);
+            if (!errors.isEmpty())
+                return res.status(400).json({errors: errors.array()});
+            next();
+            },
+    ]
+}
+
+function createReviewValidator() {
+    return [
+        body("rating")
+            .notEmpty()
+            .isInt({min: 1, max: 5})
+            .withMessage("Rating must be between 1 and 5 stars.")
+            .toInt(),
+        body("text")
+            .optional()
+            .isString()
+            .isLength({max: 2000}),
+        (req, res, next) => {
+            const errors = validationResult(req);
+            if (!errors.isEmpty())
+                return res.status(400).json({errors: errors.array()});
+            next();
+            },
+    ]
+}
+
+function replyToReviewValidator() {
+    return [
+        param('reviewId').isInt().toInt(),
+        body("reply")
+            .isString()
+            .isLength({max: 2000}),
+        (req, res, next) => {
+            const errors = validationResult(req);
+            if (!errors.isEmpty())
+                return res.status(400).json({errors: errors.array()});
+            next();
+            },
+    ]
+}
+
+function getReviewsValidator() {
+    return [
+        query("hidden")
+            .optional()
+            .isBoolean()
+            .toBoolean(),
+        query("product")
+            .optional()
+            .isInt({min: 1})
+            .toInt(),
+        query("supplier")
+            .optional()
+            .isInt({min: 1})
+            .toInt(),
+        query("page")
+            .optional()
+            .isInt({min: 1})
+            .toInt(),
+        (req, res, next) => {
+            const errors = validationResult(req);
+            if (!errors.isEmpty())
+                return res.status(400).json({errors: errors.array()});
+            next();
+            },
+    ]
+}
+
+function moderateReviewValidator() {
+    return [
+        param('reviewId').isInt().toInt(),
+        body("hidden")
+            .optional()
+            .isBoolean()
+            .toBoolean(),
+        body("remove_reply")
+            .optional()
+            .isBoolean()
+            .toBoolean(),
+        (req, res, next) => {
+            const errors = validationResult(req);
+            if (!errors.isEmpty())
+                return res.status(400).json({errors: errors.array()});
+            next();
+            },
+    ]
+}
+
 /* Warehouse Validators */
 
 function createWarehouseValidator() {
@@ -842,7 +1314,8 @@ function updateSupplyTransportValidator() {
     ]
 }
 
-function createProductValidator() {
+/* Rules on the details of a new product, shared by product creation and catalog imports */
+function newProductRules() {
     return [
         body('name')
             .notEmpty().bail()
@@ -852,10 +1325,6 @@ function createProductValidator() {
             .notEmpty().bail()
             .isString().bail()
             .isLength({max:1000}),
-        body('category')
-            .notEmpty().bail()
-            .isInt().bail()
-            .toInt(),
         body('complement_name')
             .optional()
             .notEmpty().bail()
@@ -866,6 +1335,10 @@ function createProductValidator() {
             .notEmpty().bail()
             .isInt({min: 1}).bail()
             .toInt(),
+        body('weight')
+            .notEmpty().bail()
+            .isFloat({gt: 0, max: 1000000}).withMessage("Weights must be given in kg, per unit.").bail()
+            .toFloat(),
         body('attributes')
             .optional()
             .isArray().withMessage("Attributes must be an array of attributes.")
@@ -892,6 +1365,16 @@ function createProductValidator() {
 
                 return true
             }),
+    ]
+}
+
+function createProductValidator() {
+    return [
+        ...newProductRules(),
+        body('category')
+            .notEmpty().bail()
+            .isInt().bail()
+            .toInt(),
         
         (req, res, next) => {
             const errors = validationResult(req);
@@ -929,6 +1412,16 @@ function updateProductValidator() {
             .notEmpty().bail()
             .isInt({min: 1}).bail()
             .toInt(),
+        body('weight')
+            .optional()
+            .notEmpty().bail()
+            .isFloat({gt: 0, max: 1000000}).withMessage("Weights must be given in kg, per unit.").bail()
+            .toFloat(),
+        body('variant')
+            .optional()
+            .notEmpty().bail()
+            .isString().bail()
+            .isLength({max: 50}),
         
         (req, res, next) => {
             const errors = validationResult(req);
@@ -939,16 +1432,134 @@ function updateProductValidator() {
     ]
 }
 
+function createProductVariantValidator() {
+    return [
+        body('variant')
+            .notEmpty().bail()
+            .isString().bail()
+            .isLength({max: 50}),
+        body('complement_name')
+            .optional()
+            .notEmpty().bail()
+            .isString().bail()
+            .isLength({max: 50}),
+        body('complement_quantity')
+            .optional()
+            .notEmpty().bail()
+            .isInt({min: 1}).bail()
+            .toInt(),
+        body('weight')
+            .notEmpty().bail()
+            .isFloat({gt: 0, max: 1000000}).withMessage("Weights must be given in kg, per unit.").bail()
+            .toFloat(),
+        (req, res, next) => {
+            const errors = validationResult(req);
+            if (!errors.isEmpty())
+                return res.status(400).json({errors: errors.array()});
+            next();
+            },
+    ]
+}
+
+/* Catalog imports */
+
+function importCatalogValidator() {
+    return [
+        query('dry_run')
+            .optional()
+            .isBoolean().bail()
+            .toBoolean(),
+        (req, res, next) => {
+            const errors = validationResult(req);
+            if (!errors.isEmpty())
+                return res.status(400).json({errors: errors.array()});
+            next();
+            },
+    ]
+}
+
+function exportCatalogValidator() {
+    return [
+        query('format')
+            .optional()
+            .isIn(["csv", "json"]).withMessage("Catalogs can be exported as 'csv' or 'json'."),
+        (req, res, next) => {
+            const errors = validationResult(req);
+            if (!errors.isEmpty())
+                return res.status(400).json({errors: errors.array()});
+            next();
+            },
+    ]
+}
+
+/* Each row of an imported catalog is validated as if it were the body of a product creation request, except that
+   its category is given by its path (e.g. "Alimentação > Azeites"), and that it may list image URLs and variants.
+   Rows with an ID update that product instead. Returns the errors of every invalid row, by row number
+*/
+async function validateCatalogRows(rows) {
+    const rules = [
+        body('id')
+            .optional()
+            .isInt({min: 1}).withMessage("Product IDs must be positive integers.").bail()
+            .toInt(),
+        ...newProductRules(),
+        body('category')
+            .notEmpty().bail()
+            .isString().bail()
+            .isLength({max: 500}),
+        body('images')
+            .optional()
+            .isArray({max: 10}).withMessage("Images must be a list of up to 10 URLs."),
+        body('images.*')
+            .isURL({protocols: ['http', 'https'], require_protocol: true}).withMessage("Images must be http(s) URLs."),
+        body('variants')
+            .optional()
+            .isArray().withMessage("Variants must be a list of variant names."),
+        body('variants.*')
+            .notEmpty().bail()
+            .isString().bail()
+            .isLength({max: 50}),
+        // Attributes are checked as when they're added one at a time (cells without a colon have no content)
+        body('attributes.*')
+            .isObject().withMessage("Attributes must be given as 'title: content'."),
+        ...productAttributeRules("attributes.*."),
+    ]
+
+    let rowErrors = []
+
+    for (const [index, row] of rows.entries()) {
+        const request = {body: row}
+
+        for (const rule of rules) {
+            await rule.run(request)
+        }
+
+        const errors = validationResult(request)
+        if (!errors.isEmpty()) {
+            rowErrors.push({row: index + 1, errors: errors.array()})
+        }
+    }
+
+    return rowErrors
+}
+
+/* Rules for a product attribute, given as the body itself or under the path (e.g. "attributes.*.") */
+function productAttributeRules(path = "") {
+    return [
+        body(`${path}title`)
+            .notEmpty().bail()
+            .isString().bail()
+            .isLength({max: 50}),
+        body(`${path}content`)
+            .notEmpty().bail()
+            .isString().bail()
+            .isLength({max:255}),
+    ]
+}
+
 function createProductAttributeValidator() {
     return [
-            body('title')
-                .notEmpty().bail()
-                .isString().bail()
-                .isLength({max: 50}),
-            body('content')
-                .notEmpty().bail()
-                .isString().bail()
-                .isLength({max:255}),
+            ...productAttributeRules(),
             (req, res, next) => {
                 const errors = validationResult(req);
                 if (!errors.isEmpty())
@@ -977,6 +1588,8 @@ module.exports = {
     // User validators
     createUserValidator,
     updateUserValidator,
+    deleteUserValidator,
+    exportPersonalDataValidator,
 
     // Address validators
     createAddressValidator,
@@ -984,19 +1597,53 @@ module.exports = {
 
     // Authentication validators
     loginValidator,
+    twoFactorLoginValidator,
+    twoFactorCodeValidator,
+    refreshTokenValidator,
+    linkIdentityValidator,
+    linkTokenValidator,
+    forgotPasswordValidator,
+    resetPasswordValidator,
+    verifyEmailValidator,
+
+    // API key validators
+    createApiKeyValidator,
+
+    // Company team validators
+    createCompanyInvitationValidator,
+    updateCompanyMemberValidator,
+    acceptCompanyInvitationValidator,
+
+    // Audit log validators
+    getAuditLogValidator,
 
     // Product validators
     getProductsValidator,
+    getProductValidator,
+    getSearchSuggestionsValidator,
     createProductValidator,
     updateProductValidator,
+    createProductVariantValidator,
     createProductAttributeValidator,
+    importCatalogValidator,
+    exportCatalogValidator,
+    validateCatalogRows,
     updateProductImageValidator,
 
+    // Review validators
+    getProductReviewsValidator,
+    reviewedItemValidator,
+    createReviewValidator,
+    replyToReviewValidator,
+    getReviewsValidator,
+    moderateReviewValidator,
+
     // Category validators,
     createCategoryValidator,
     updateCategoryValidator,
 
     // Cart validators
+    getCartValidator,
     addToCartValidator,
     updateCartItemValidator,
 
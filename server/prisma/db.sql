@@ -16,7 +16,9 @@ CREATE TABLE Category (
 
     FOREIGN KEY (parent_category)
         REFERENCES Category(id)
-        ON DELETE CASCADE
+        ON DELETE CASCADE,
+
+    FULLTEXT (name)
 );
 
 CREATE TABLE Product (
@@ -31,11 +33,23 @@ CREATE TABLE Product (
     # required product is deleted?)
     complement_name     VARCHAR(50),
     complement_quantity   NUMERIC(2),
+    # Variants (e.g. 0.5L and 1L) are products under a parent product, whose name, description,
+    # category, images and attributes they share. Each variant has its own supplies.
+    parent          INT UNSIGNED,
+    variant         VARCHAR(50), # Tells the variants of a product apart (e.g. "0.5L")
+    # Weight of a unit (kg), its share of a vehicle's load when estimating the carbon footprint of delivering it.
+    # Unknown for products registered before it was recorded
+    weight          NUMERIC(10, 3) UNSIGNED,
 
     FOREIGN KEY (category)
          REFERENCES Category(id),
+
+    FOREIGN KEY (parent)
+        REFERENCES Product(id)
+        ON DELETE CASCADE,
         
-    FULLTEXT (name, description)
+    FULLTEXT (name, description),
+    FULLTEXT product_name (name) # Name matches weigh more when ranking search results
 );
 
 CREATE TABLE ProductAttribute (
@@ -81,21 +95,148 @@ CREATE TABLE User (
     company     INT UNSIGNED,
     type        ENUM('ADMINISTRATOR', 'CONSUMER', 'SUPPLIER', 'TRANSPORTER') NOT NULL,
     registration_date   DATETIME NOT NULL,
+    verified    BOOL NOT NULL DEFAULT 0, # Whether the user has confirmed ownership of the e-mail address
 
 
     FOREIGN KEY (company)
         REFERENCES Company(id)
 );
 
-CREATE TABLE Credentials (
-    id          INT UNSIGNED PRIMARY KEY,
+CREATE TABLE Credentials ( # One row per sign-in method (identity) linked to the user
+    id          INT UNSIGNED, # User
     provider    VARCHAR(8)      NOT NULL,  # Local, Facebook or Google
-    value       VARCHAR(60)     NOT NULL,    
+    value       VARCHAR(60), # Hashed password (local identities only)
+    subject     CHAR(64), # SHA-256 of the user's identifier within Facebook or Google, used to find the identity on login
+
+    PRIMARY KEY (id, provider),
+    UNIQUE (provider, subject),
 
     FOREIGN KEY (id)
         REFERENCES User(id)
 );
 
+CREATE TABLE Session ( # One row per login, kept alive by rotating its refresh tokens
+    id          VARCHAR(21)     PRIMARY KEY, # Also carried by the access tokens issued within the session
+    user        INT UNSIGNED    NOT NULL,
+    provider    VARCHAR(8)      NOT NULL, # Sign-in method used, as in Credentials
+    device      VARCHAR(100), # Browser and operating system, as told by the User-Agent header
+    ip          VARCHAR(45)     NOT NULL, # Updated whenever the session is refreshed
+    created     DATETIME        NOT NULL,
+    last_active DATETIME        NOT NULL,
+
+    FOREIGN KEY (user)
+        REFERENCES User(id)
+        ON DELETE CASCADE
+);
+
+CREATE TABLE Refresh_Token (
+    id          VARCHAR(21)     PRIMARY KEY, # Public identifier, sent to the client alongside the secret
+    user        INT UNSIGNED    NOT NULL,
+    session     VARCHAR(21)     NOT NULL,
+    value       VARCHAR(60)     NOT NULL, # Hashed secret, same format as Credentials
+    issued      DATETIME        NOT NULL,
+    expiration  DATETIME        NOT NULL,
+    revoked     BOOL            NOT NULL DEFAULT 0, # Kept after rotation so that reuse of an old token can be detected
+
+    FOREIGN KEY (user)
+        REFERENCES User(id)
+        ON DELETE CASCADE,
+    FOREIGN KEY (session)
+        REFERENCES Session(id)
+        ON DELETE CASCADE # Ending a session invalidates its refresh tokens
+);
+
+CREATE TABLE Revoked_Token (
+    id          VARCHAR(21)     PRIMARY KEY, # Identifier (jti) of a revoked JWT access token
+    expiration  DATETIME        NOT NULL # Past this date the token is invalid anyway, so the row can be purged
+);
+
+CREATE TABLE Account_Token (
+    id          VARCHAR(21)     PRIMARY KEY, # Public identifier, sent to the user alongside the secret
+    user        INT UNSIGNED    NOT NULL,
+    purpose     ENUM('PASSWORD_RESET', 'EMAIL_VERIFICATION') NOT NULL,
+    value       VARCHAR(60)     NOT NULL, # Hashed secret
+    expiration  DATETIME        NOT NULL, # Tokens are single-use, so they're deleted once consumed
+
+    FOREIGN KEY (user)
+        REFERENCES User(id)
+        ON DELETE CASCADE
+);
+
+CREATE TABLE Two_Factor (
+    user        INT UNSIGNED    PRIMARY KEY,
+    secret      VARCHAR(32)     NOT NULL, # Base32 TOTP secret, shared with the user's authenticator app
+    enabled     BOOL            NOT NULL DEFAULT 0, # Only enabled once the user confirms a code generated from the secret
+    last_used_step  INT UNSIGNED, # TOTP time step of the last code accepted. Codes from it or earlier ones are refused (replays)
+
+    FOREIGN KEY (user)
+        REFERENCES User(id)
+        ON DELETE CASCADE
+);
+
+CREATE TABLE Recovery_Code (
+    id          INT UNSIGNED,
+    user        INT UNSIGNED,
+    value       VARCHAR(60)     NOT NULL, # Hashed code, deleted once used
+
+    PRIMARY KEY (id, user),
+
+    FOREIGN KEY (user)
+        REFERENCES Two_Factor(user)
+        ON DELETE CASCADE
+);
+
+CREATE TABLE Login_Throttle (
+    identifier      VARCHAR(320)    PRIMARY KEY, # "account:<e-mail>" or "ip:<address>"
+    failures        INT UNSIGNED    NOT NULL DEFAULT 0, # Failed login attempts since the last success or lockout
+    last_failure    DATETIME        NOT NULL,
+    locked_until    DATETIME # Login attempts are refused until then
+);
+
+CREATE TABLE Api_Key ( # Revocable keys for programmatic access, limited to the routes their scopes allow
+    id          VARCHAR(21)     PRIMARY KEY, # Public identifier, part of the key itself
+    user        INT UNSIGNED    NOT NULL, # Requests made with the key act on behalf of this user
+    name        VARCHAR(50)     NOT NULL,
+    value       CHAR(64)        NOT NULL, # SHA-256 of the secret
+    scopes      VARCHAR(255)    NOT NULL, # Comma-separated (e.g. "inventory:write,orders:update")
+    created     DATETIME        NOT NULL,
+    last_used   DATETIME,
+
+    FOREIGN KEY (user)
+        REFERENCES User(id)
+        ON DELETE CASCADE
+);
+
+CREATE TABLE Company_Member ( # Users who act on behalf of a company account (the supplier/transporter user whose company it is)
+    company     INT UNSIGNED,
+    user        INT UNSIGNED,
+    role        ENUM('OWNER', 'MANAGER', 'OPERATOR', 'READ_ONLY') NOT NULL,
+    joined      DATETIME        NOT NULL,
+
+    PRIMARY KEY (company, user),
+
+    FOREIGN KEY (company)
+        REFERENCES Company(id)
+        ON DELETE CASCADE,
+
+    FOREIGN KEY (user)
+        REFERENCES User(id)
+        ON DELETE CASCADE
+);
+
+CREATE TABLE Company_Invitation (
+    id          VARCHAR(21)     PRIMARY KEY, # Public identifier, sent to the invitee alongside the secret
+    company     INT UNSIGNED    NOT NULL,
+    email       VARCHAR(255)    NOT NULL, # Only the user registered with this e-mail can accept the invitation
+    role        ENUM('MANAGER', 'OPERATOR', 'READ_ONLY') NOT NULL,
+    value       VARCHAR(60)     NOT NULL, # Hashed secret
+    expiration  DATETIME        NOT NULL,
+
+    FOREIGN KEY (company)
+        REFERENCES Company(id)
+        ON DELETE CASCADE
+);
+
 CREATE TABLE Address (
     id              INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
     street          VARCHAR(255)    NOT NULL,
@@ -246,6 +387,10 @@ CREATE TABLE Order_Item (
     supplier_renewable_resources    NUMERIC(10, 2) UNSIGNED NOT NULL,
     transporter_resource_usage      NUMERIC(10, 2) UNSIGNED NOT NULL,
     transporter_emissions           NUMERIC(10, 2) UNSIGNED NOT NULL,
+    # Distance (km) from the distribution center to the shipping address, and the item's share of the vehicle's
+    # emissions over it (CO₂ g, see lib/footprint.js). Unknown for orders made before they were recorded
+    shipping_distance               NUMERIC(10, 2) UNSIGNED,
+    carbon_footprint                NUMERIC(10, 2) UNSIGNED,
 
     # Supply identifiers
     product     INT UNSIGNED NOT NULL,
@@ -268,6 +413,37 @@ CREATE TABLE Order_Item (
         REFERENCES Vehicle(transporter, id)
 );
 
+CREATE TABLE Review (
+    # Reviews are tied to a completed order item, so that only those who bought the product can review it, once per purchase.
+    # The product and supplier being reviewed are the item's.
+    id          INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    item        INT UNSIGNED NOT NULL,
+    `order`     INT UNSIGNED NOT NULL,
+    rating      TINYINT UNSIGNED NOT NULL, # 1 to 5 stars
+    text        VARCHAR(2000),
+    created     DATETIME NOT NULL,
+    reply       VARCHAR(2000), # The supplier's reply
+    replied     DATETIME,
+    hidden      BOOL NOT NULL DEFAULT 0, # Hidden by an administrator when moderating. Hidden reviews don't count towards ratings
+
+    UNIQUE (item, `order`),
+
+    FOREIGN KEY (item, `order`)
+        REFERENCES Order_Item(id, `order`)
+);
+
+CREATE TABLE ReviewImage (
+    id              INT UNSIGNED NOT NULL,
+    review          INT UNSIGNED NOT NULL,
+    uri             VARCHAR (1000) NOT NULL,
+
+    FOREIGN KEY (review)
+        REFERENCES Review(id)
+        ON DELETE CASCADE,
+
+    PRIMARY KEY (id, review)
+);
+
 CREATE TABLE Supply_History (
     # Referencing Supply and using date as moment allows all history data
     # regarding the same supply to be kept in the same table.
@@ -395,7 +571,8 @@ CREATE TABLE Notification (
                     'LAST_MILE',
                     'COMPLETE',
                     'FAILURE',
-                    'CANCELED')
+                    'CANCELED',
+                    'SECURITY') # Account security events (e.g. lockouts), unrelated to orders
                     NOT NULL,
 
 
@@ -407,4 +584,29 @@ CREATE TABLE Notification (
 
     FOREIGN KEY (`order`, order_item)
         REFERENCES Order_Item(`order`, id)
-)
\ No newline at end of file
+);
+
+# ADMINISTRATION TABLES
+
+CREATE TABLE Audit_Log ( # Append-only record of changes made by administrators
+    id          INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    actor       INT UNSIGNED    NOT NULL, # Administrator who made the change. No foreign key, so entries outlive the account
+    action      ENUM('CREATE', 'UPDATE', 'DELETE') NOT NULL,
+    entity      ENUM('USER', 'CATEGORY', 'PRODUCT', 'PRODUCT_ATTRIBUTE', 'PRODUCT_IMAGE', 'ORDER_ITEM', 'REVIEW') NOT NULL,
+    entity_id   VARCHAR(50)     NOT NULL, # Composite identifiers are joined with "/" (e.g. "<order>/<item>")
+    diff        JSON            NOT NULL, # Changed fields, as {"field": {"before": ..., "after": ...}}
+    ip          VARCHAR(45), # IPv4 or IPv6 address the change was requested from
+    timestamp   DATETIME        NOT NULL,
+
+    INDEX (entity, entity_id),
+    INDEX (actor)
+);
+
+CREATE TRIGGER Audit_Log_no_update BEFORE UPDATE ON Audit_Log
+    FOR EACH ROW SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'Audit_Log is append-only';
+
+CREATE TRIGGER Audit_Log_no_delete BEFORE DELETE ON Audit_Log
+    FOR EACH ROW SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'Audit_Log is append-only';
+
+# UPGRADING EXISTING DATABASES
+# Databases created with an earlier version of this file are brought up to date by running upgrade.sql once.
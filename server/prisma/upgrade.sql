@@ -0,0 +1,246 @@
+# MYSQL DB UPGRADE. BRINGS A DATABASE CREATED WITH AN EARLIER DB.SQL UP TO DATE WITH THE CURRENT ONE
+# Notes:
+# - Run once, as a whole, against a database created before sessions, two-factor authentication, linked identities,
+#   company teams, API keys, reviews, variants, the audit log and carbon footprints were added:
+#       mysql -u <user> -p <database> < prisma/upgrade.sql
+# - New databases are created from db.sql alone.
+# - Tables are created as in db.sql, which holds the comments on each of their columns.
+
+# SIGN-IN AND ACCOUNTS
+
+# E-mail verification (User.verified). Accounts registered before it are taken as verified, so they can keep ordering
+# and publishing inventory. The column is added with a default of 1 to backfill them, which then goes back to 0.
+ALTER TABLE User ADD COLUMN verified BOOL NOT NULL DEFAULT 1;
+ALTER TABLE User ALTER COLUMN verified SET DEFAULT 0;
+
+# Linked sign-in identities. Users can have one identity per provider, and Facebook and Google identities are found by
+# the SHA-256 of their identifier (subject). Existing ones only hold a bcrypt hash of it (value), and are given their
+# subject the next time they're used to sign in.
+ALTER TABLE Credentials
+    DROP PRIMARY KEY,
+    ADD PRIMARY KEY (id, provider),
+    MODIFY value VARCHAR(60),
+    ADD COLUMN subject CHAR(64) AFTER value,
+    ADD UNIQUE (provider, subject);
+
+# Sessions, rotating refresh tokens and revoked access tokens. Users signed in before are asked to sign in again, as
+# their access tokens don't belong to any session.
+CREATE TABLE Session (
+    id          VARCHAR(21)     PRIMARY KEY,
+    user        INT UNSIGNED    NOT NULL,
+    provider    VARCHAR(8)      NOT NULL,
+    device      VARCHAR(100),
+    ip          VARCHAR(45)     NOT NULL,
+    created     DATETIME        NOT NULL,
+    last_active DATETIME        NOT NULL,
+
+    FOREIGN KEY (user)
+        REFERENCES User(id)
+        ON DELETE CASCADE
+);
+
+CREATE TABLE Refresh_Token (
+    id          VARCHAR(21)     PRIMARY KEY,
+    user        INT UNSIGNED    NOT NULL,
+    session     VARCHAR(21)     NOT NULL,
+    value       VARCHAR(60)     NOT NULL,
+    issued      DATETIME        NOT NULL,
+    expiration  DATETIME        NOT NULL,
+    revoked     BOOL            NOT NULL DEFAULT 0,
+
+    FOREIGN KEY (user)
+        REFERENCES User(id)
+        ON DELETE CASCADE,
+    FOREIGN KEY (session)
+        REFERENCES Session(id)
+        ON DELETE CASCADE
+);
+
+CREATE TABLE Revoked_Token (
+    id          VARCHAR(21)     PRIMARY KEY,
+    expiration  DATETIME        NOT NULL
+);
+
+# Password reset and e-mail verification tokens
+CREATE TABLE Account_Token (
+    id          VARCHAR(21)     PRIMARY KEY,
+    user        INT UNSIGNED    NOT NULL,
+    purpose     ENUM('PASSWORD_RESET', 'EMAIL_VERIFICATION') NOT NULL,
+    value       VARCHAR(60)     NOT NULL,
+    expiration  DATETIME        NOT NULL,
+
+    FOREIGN KEY (user)
+        REFERENCES User(id)
+        ON DELETE CASCADE
+);
+
+# Two-factor authentication
+CREATE TABLE Two_Factor (
+    user        INT UNSIGNED    PRIMARY KEY,
+    secret      VARCHAR(32)     NOT NULL,
+    enabled     BOOL            NOT NULL DEFAULT 0,
+    last_used_step  INT UNSIGNED,
+
+    FOREIGN KEY (user)
+        REFERENCES User(id)
+        ON DELETE CASCADE
+);
+
+CREATE TABLE Recovery_Code (
+    id          INT UNSIGNED,
+    user        INT UNSIGNED,
+    value       VARCHAR(60)     NOT NULL,
+
+    PRIMARY KEY (id, user),
+
+    FOREIGN KEY (user)
+        REFERENCES Two_Factor(user)
+        ON DELETE CASCADE
+);
+
+# Login throttling, whose lockouts are notified to the account owner (Notification.scope SECURITY)
+CREATE TABLE Login_Throttle (
+    identifier      VARCHAR(320)    PRIMARY KEY,
+    failures        INT UNSIGNED    NOT NULL DEFAULT 0,
+    last_failure    DATETIME        NOT NULL,
+    locked_until    DATETIME
+);
+
+ALTER TABLE Notification MODIFY scope ENUM('AWAITING_PAYMENT',
+                                           'PROCESSING',
+                                           'AWAITING_TRANSPORT',
+                                           'TRANSPORT_IMMINENT',
+                                           'IN_TRANSIT',
+                                           'LAST_MILE',
+                                           'COMPLETE',
+                                           'FAILURE',
+                                           'CANCELED',
+                                           'SECURITY')
+                                           NOT NULL;
+
+# API keys
+CREATE TABLE Api_Key (
+    id          VARCHAR(21)     PRIMARY KEY,
+    user        INT UNSIGNED    NOT NULL,
+    name        VARCHAR(50)     NOT NULL,
+    value       CHAR(64)        NOT NULL,
+    scopes      VARCHAR(255)    NOT NULL,
+    created     DATETIME        NOT NULL,
+    last_used   DATETIME,
+
+    FOREIGN KEY (user)
+        REFERENCES User(id)
+        ON DELETE CASCADE
+);
+
+# COMPANY TEAMS
+
+CREATE TABLE Company_Member (
+    company     INT UNSIGNED,
+    user        INT UNSIGNED,
+    role        ENUM('OWNER', 'MANAGER', 'OPERATOR', 'READ_ONLY') NOT NULL,
+    joined      DATETIME        NOT NULL,
+
+    PRIMARY KEY (company, user),
+
+    FOREIGN KEY (company)
+        REFERENCES Company(id)
+        ON DELETE CASCADE,
+
+    FOREIGN KEY (user)
+        REFERENCES User(id)
+        ON DELETE CASCADE
+);
+
+CREATE TABLE Company_Invitation (
+    id          VARCHAR(21)     PRIMARY KEY,
+    company     INT UNSIGNED    NOT NULL,
+    email       VARCHAR(255)    NOT NULL,
+    role        ENUM('MANAGER', 'OPERATOR', 'READ_ONLY') NOT NULL,
+    value       VARCHAR(60)     NOT NULL,
+    expiration  DATETIME        NOT NULL,
+
+    FOREIGN KEY (company)
+        REFERENCES Company(id)
+        ON DELETE CASCADE
+);
+
+# Each existing supplier/transporter account becomes the owner of its company
+INSERT INTO Company_Member (company, user, role, joined)
+    SELECT company, id, 'OWNER', registration_date FROM User
+    WHERE company IS NOT NULL AND type IN ('SUPPLIER', 'TRANSPORTER');
+
+# CATALOG
+
+# Full-text search over category names, and name matches weighing more when ranking product search results
+ALTER TABLE Category ADD FULLTEXT (name);
+ALTER TABLE Product ADD FULLTEXT product_name (name);
+
+# Product variants, and the weight of a unit of each product. Existing products are left without a weight, so their
+# deliveries have no carbon footprint until it's given.
+ALTER TABLE Product
+    ADD COLUMN parent INT UNSIGNED AFTER complement_quantity,
+    ADD COLUMN variant VARCHAR(50) AFTER parent,
+    ADD COLUMN weight NUMERIC(10, 3) UNSIGNED AFTER variant,
+    ADD FOREIGN KEY (parent)
+        REFERENCES Product(id)
+        ON DELETE CASCADE;
+
+# ORDERS
+
+# Carbon footprint of delivering each order item. Unknown for orders made before it was recorded.
+ALTER TABLE Order_Item
+    ADD COLUMN shipping_distance NUMERIC(10, 2) UNSIGNED AFTER transporter_emissions,
+    ADD COLUMN carbon_footprint NUMERIC(10, 2) UNSIGNED AFTER shipping_distance;
+
+# Reviews of completed order items
+CREATE TABLE Review (
+    id          INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    item        INT UNSIGNED NOT NULL,
+    `order`     INT UNSIGNED NOT NULL,
+    rating      TINYINT UNSIGNED NOT NULL,
+    text        VARCHAR(2000),
+    created     DATETIME NOT NULL,
+    reply       VARCHAR(2000),
+    replied     DATETIME,
+    hidden      BOOL NOT NULL DEFAULT 0,
+
+    UNIQUE (item, `order`),
+
+    FOREIGN KEY (item, `order`)
+        REFERENCES Order_Item(id, `order`)
+);
+
+CREATE TABLE ReviewImage (
+    id              INT UNSIGNED NOT NULL,
+    review          INT UNSIGNED NOT NULL,
+    uri             VARCHAR (1000) NOT NULL,
+
+    FOREIGN KEY (review)
+        REFERENCES Review(id)
+        ON DELETE CASCADE,
+
+    PRIMARY KEY (id, review)
+);
+
+# ADMINISTRATION TABLES
+
+CREATE TABLE Audit_Log (
+    id          INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    actor       INT UNSIGNED    NOT NULL,
+    action      ENUM('CREATE', 'UPDATE', 'DELETE') NOT NULL,
+    entity      ENUM('USER', 'CATEGORY', 'PRODUCT', 'PRODUCT_ATTRIBUTE', 'PRODUCT_IMAGE', 'ORDER_ITEM', 'REVIEW') NOT NULL,
+    entity_id   VARCHAR(50)     NOT NULL,
+    diff        JSON            NOT NULL,
+    ip          VARCHAR(45),
+    timestamp   DATETIME        NOT NULL,
+
+    INDEX (entity, entity_id),
+    INDEX (actor)
+);
+
+CREATE TRIGGER Audit_Log_no_update BEFORE UPDATE ON Audit_Log
+    FOR EACH ROW SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'Audit_Log is append-only';
+
+CREATE TRIGGER Audit_Log_no_delete BEFORE DELETE ON Audit_Log
+    FOR EACH ROW SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'Audit_Log is append-only';
@@ -71,7 +71,8 @@ if (argv.l) {
 
 app.use(cors({
     origin: true,
-    credentials: true
+    credentials: true,
+    exposedHeaders: ['Retry-After']
 })) // Enable cross-origin resource sharing
 app.use(express.json({ // Enable parsing for received JSON payloads
     strict: false
@@ -108,6 +109,16 @@ if (argv.SSL != "False") {
     });
 }
 
+/* Serving locally stored images (only when STORAGE_DRIVER=local, see lib/storage.js) */
+
+const storage = require('./lib/storage');
+
+if (storage.driver.name == "local") {
+    app.use(storage.localMountPath, express.static(storage.driver.directory, {
+        index: false
+    }));
+}
+
 /* Importing all API routes */
 
 const auth = require('./api/auth')
@@ -0,0 +1,59 @@
+const test    = require("node:test");
+const assert  = require("node:assert");
+
+const { loadPersistence } = require("./setup");
+
+const { persistence, db } = loadPersistence({
+    credentials: [], session: [], account_Token: [], two_Factor: [], api_Key: [], company_Invitation: [], login_Throttle: [],
+    notification: [], wishlist: [], cart: [], order: [], review: [], reviewImage: [], address: [], audit_Log: []
+}, {
+    user: {
+        Company: {model: "company", on: {company: "id"}},
+        Credentials: {model: "credentials", on: {id: "id"}, many: true},
+        Company_Member: {model: "company_Member", on: {id: "user"}, many: true}
+    },
+    company: {},
+    company_Member: {}
+})
+
+const audit = {actor: 100, ip: "127.0.0.1"}
+
+// Everything that identifies the user or their company
+const personalData = ["Maria", "Silva", "maria@example.com", "912345678", "Quinta da Maria", "Fruta biológica", "quinta@example.com",
+    "Mariana", "mariana@example.com"]
+
+test.beforeEach(() => {
+    db.tables.user = []
+    db.tables.company = []
+    db.tables.company_Member = []
+    db.tables.credentials = []
+    db.tables.audit_Log = []
+})
+
+test("no personal data is left in the user's audit log entries once they're anonymized", async () => {
+    const {id} = await persistence.createUser({
+        first_name: "Maria",
+        last_name: "Silva",
+        email: "maria@example.com",
+        phone: "912345678",
+        type: "SUPPLIER",
+        password: "password",
+        company: {name: "Quinta da Maria", bio: "Fruta biológica", email: "quinta@example.com"}
+    }, audit)
+
+    await persistence.updateUser(id, {first_name: "Mariana", email: "mariana@example.com", new_password: "new password"}, audit)
+
+    assert.strictEqual(await persistence.deleteUser(id, audit, true), true)
+
+    const entries = JSON.stringify(db.tables.audit_Log)
+    assert.strictEqual(db.tables.audit_Log.length, 3)
+    assert.deepStrictEqual(personalData.filter((value) => entries.includes(value)), [])
+
+    // Only the fact that they changed is recorded
+    const [, update] = db.tables.audit_Log
+    assert.deepStrictEqual(Object.keys(update.diff).sort(), ["email", "first_name", "password"])
+    assert.deepStrictEqual(update.diff.first_name, {before: "[REDACTED]", after: "[REDACTED]"})
+
+    const user = JSON.stringify([db.tables.user, db.tables.company])
+    assert.deepStrictEqual(personalData.filter((value) => user.includes(value)), [])
+})
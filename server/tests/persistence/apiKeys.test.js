@@ -0,0 +1,73 @@
+const test    = require("node:test");
+const assert  = require("node:assert");
+
+const { loadPersistence } = require("./setup");
+
+const { persistence, db } = loadPersistence({api_Key: [], credentials: [], two_Factor: [], address: [], company: []}, {
+    user: {
+        Credentials: {model: "credentials", on: {id: "id"}, many: true},
+        Two_Factor: {model: "two_Factor", on: {id: "user"}},
+        Address: {model: "address", on: {id: "user"}, many: true},
+        Company: {model: "company", on: {company: "id"}}
+    }
+})
+
+const authentication = require("../../lib/authentication")
+
+const supplierID = 1
+
+/* Authenticates a request to the route (e.g. "GET /supplier/:userId/inventory") made with the key, returning the response
+   status, or "NEXT" if the request was let through
+*/
+function authenticate(key, route, params = {userId: String(supplierID)}) {
+    const [method, path] = route.split(" ")
+    const [, baseUrl, routePath] = path.match(/^(\/[^/]+)(.*)$/)
+    const req = {method, baseUrl, params, route: {path: routePath}, headers: {authorization: `Bearer ${key}`}}
+
+    return new Promise((resolve) => {
+        const res = {
+            status: (status) => ({json: () => resolve({status}), send: () => resolve({status})})
+        }
+
+        authentication.check(req, res, () => resolve({status: "NEXT", req}))
+    })
+}
+
+test.beforeEach(() => {
+    db.tables.user = [{id: supplierID, first_name: "Fornecedor", last_name: "Greenly", type: "SUPPLIER", company: null}]
+    db.tables.api_Key = []
+})
+
+test("keys are only let through the routes within their scopes, on behalf of their owner", async () => {
+    const {key, scopes} = await persistence.createApiKey(supplierID, "ERP", ["inventory:read", "orders:read", "inventory:read"])
+    assert.deepStrictEqual(scopes, ["inventory:read", "orders:read"])
+
+    const {status, req} = await authenticate(key, "GET /supplier/:userId/inventory")
+    assert.strictEqual(status, "NEXT")
+    assert.strictEqual(req.user.id, supplierID)
+    assert.deepStrictEqual(req.apiKey.scopes, ["inventory:read", "orders:read"])
+    assert.ok(db.tables.api_Key[0].last_used instanceof Date)
+
+    assert.strictEqual((await authenticate(key, "GET /store/orders", {})).status, "NEXT")
+
+    // Outside of its scopes
+    assert.strictEqual((await authenticate(key, "POST /supplier/:userId/inventory")).status, 403)
+    assert.strictEqual((await authenticate(key, "PUT /store/orders/:orderId/:itemId", {orderId: "1", itemId: "1"})).status, 403)
+
+    // Account management is never done with keys
+    assert.strictEqual((await authenticate(key, "GET /user/:userId")).status, 403)
+    assert.strictEqual((await authenticate(key, "POST /user/:userId/api-keys")).status, 403)
+})
+
+test("keys which are revoked, or whose secret doesn't match, are refused", async () => {
+    const {id, key} = await persistence.createApiKey(supplierID, "ERP", ["inventory:read"])
+
+    assert.strictEqual((await authenticate(key.slice(0, -1) + (key.endsWith("a") ? "b" : "a"), "GET /supplier/:userId/inventory")).status, 401)
+    assert.strictEqual((await authenticate("gly_invalid", "GET /supplier/:userId/inventory")).status, 401)
+
+    // Only by their owner
+    assert.strictEqual(await persistence.revokeApiKey(supplierID + 1, id), "NOT_FOUND")
+    assert.strictEqual(await persistence.revokeApiKey(supplierID, id), true)
+
+    assert.strictEqual((await authenticate(key, "GET /supplier/:userId/inventory")).status, 401)
+})
@@ -0,0 +1,61 @@
+const test    = require("node:test");
+const assert  = require("node:assert");
+
+const { loadPersistence } = require("./setup");
+
+const { persistence, db } = loadPersistence({user: [], category: [], audit_Log: []})
+
+const adminID = 100
+const audit = {actor: adminID, ip: "127.0.0.1"}
+
+// Moving a category locks the hierarchy (see categories.test.js)
+db.onRawQuery(/FOR UPDATE/, () => db.tables.category.map(({id, parent_category}) => ({id, parent_category})))
+
+test.beforeEach(() => {
+    db.tables.user = [{id: adminID, first_name: "Ana", last_name: "Costa", email: "ana@greenly.pt", type: "ADMINISTRATOR"}]
+    db.tables.category = []
+    db.tables.audit_Log = []
+})
+
+test("entries record what changed, from the values before to those after", async () => {
+    const id = await persistence.createCategory("Frutas", null, audit)
+    await persistence.createCategory("Legumes", null, audit)
+    await persistence.updateCategory(id, {name: "Fruta", parent_category: 2}, audit)
+    await persistence.updateCategory(id, {name: "Fruta"}, audit)
+    await persistence.deleteCategory(id, audit)
+
+    const [created, , updated, unchanged, deleted] = db.tables.audit_Log
+
+    assert.deepStrictEqual([created.action, created.entity, created.entity_id], ["CREATE", "CATEGORY", String(id)])
+    assert.deepStrictEqual(created.diff, {id: {before: null, after: id}, name: {before: null, after: "Frutas"}})
+
+    // Fields which didn't change are left out
+    assert.deepStrictEqual(updated.diff, {name: {before: "Frutas", after: "Fruta"}, parent_category: {before: null, after: 2}})
+    assert.deepStrictEqual(unchanged.diff, {})
+
+    assert.deepStrictEqual(deleted.diff, {id: {before: id, after: null}, name: {before: "Fruta", after: null}, parent_category: {before: 2, after: null}})
+
+    assert.ok(db.tables.audit_Log.every((entry) => entry.actor == adminID && entry.ip == "127.0.0.1" && entry.timestamp instanceof Date))
+})
+
+test("changes made outside of administration aren't recorded", async () => {
+    await persistence.createCategory("Frutas", null)
+
+    assert.strictEqual(db.tables.audit_Log.length, 0)
+})
+
+test("entries are listed most recent first, filtered, along with their actor", async () => {
+    await persistence.createCategory("Frutas", null, audit)
+    await persistence.updateCategory(1, {name: "Fruta"}, audit)
+    await persistence.createCategory("Legumes", null, {actor: 101, ip: "127.0.0.1"})
+
+    const log = await persistence.getAuditLog({entity: "CATEGORY", entity_id: "1"})
+
+    assert.deepStrictEqual([log.total, log.pages], [2, 1])
+    assert.deepStrictEqual(log.entries.map((entry) => entry.action), ["UPDATE", "CREATE"])
+    assert.deepStrictEqual(log.entries[0].actor, {id: adminID, first_name: "Ana", last_name: "Costa", email: "ana@greenly.pt"})
+
+    // Entries outlive their actors' accounts
+    const [entry] = (await persistence.getAuditLog({actor: 101})).entries
+    assert.deepStrictEqual(entry.actor, {id: 101})
+})
@@ -0,0 +1,113 @@
+const test    = require("node:test");
+const assert  = require("node:assert");
+
+const { loadPersistence } = require("./setup");
+
+const { db } = loadPersistence({category: [], productAttribute: [], productImage: [], audit_Log: []}, {
+    product: {
+        ProductImage: {model: "productImage", on: {id: "product"}, many: true},
+        ProductAttribute: {model: "productAttribute", on: {id: "product"}, many: true},
+        other_Product: {model: "product", on: {id: "parent"}, many: true}
+    }
+})
+
+const catalog = require("../../lib/catalog")
+
+const audit = {actor: 100, ip: "127.0.0.1"}
+
+const csv = (lines) => ({buffer: Buffer.from(lines.join("\r\n")), mimetype: "text/csv", originalname: "catalogo.csv"})
+const json = (rows) => ({buffer: Buffer.from(JSON.stringify(rows)), mimetype: "application/json", originalname: "catalogo.json"})
+
+const header = "id,name,description,category,weight,attributes,variants"
+
+test.beforeEach(() => {
+    db.tables.category = [{id: 1, name: "Alimentação", parent_category: null}]
+    db.tables.product = [{id: 1, name: "Azeite", description: "Azeite virgem", category: 1, parent: null, variant: null, weight: 1}]
+    db.tables.productAttribute = []
+    db.tables.productImage = []
+    db.tables.audit_Log = []
+})
+
+test("catalog files which can't be read are refused", async () => {
+    assert.strictEqual(await catalog.importCatalog(undefined, false, audit), "NO_FILE")
+    assert.strictEqual(await catalog.importCatalog(csv(["nome,descricao", "Mel,Mel de urze"]), false, audit), "INVALID_FILE")
+    assert.strictEqual(await catalog.importCatalog(csv([header, '1,"Azeite,Azeite virgem']), false, audit), "INVALID_FILE")
+    assert.strictEqual(await catalog.importCatalog(json({name: "Mel"}), false, audit), "INVALID_FILE")
+    assert.strictEqual(await catalog.importCatalog(csv([header]), false, audit), "EMPTY_FILE")
+    assert.strictEqual(await catalog.importCatalog(json(Array.from({length: 1001}, () => ({name: "Mel"}))), false, audit), "TOO_MANY_ROWS")
+})
+
+test("every invalid row is reported, and nothing is imported if any row is invalid", async () => {
+    const result = await catalog.importCatalog(csv([
+        header,
+        ",Mel,Mel de urze,Alimentação > Mel,0.5,,",
+        ",Queijo,,Alimentação,1,,",
+        "7,Pão,Pão de centeio,Alimentação,-1,,",
+        "1,Azeite,Azeite virgem,,1,,"
+    ]), false, audit)
+
+    assert.strictEqual(result.applied, false)
+    assert.deepStrictEqual(result.errors.map(({row, errors}) => [row, errors.map((error) => error.param)]), [
+        [2, ["description"]],
+        [3, ["weight"]],
+        [4, ["category"]]
+    ])
+
+    // Rows which are valid on their own are checked against the catalog too
+    const notFound = await catalog.importCatalog(csv([header, "7,Pão,Pão de centeio,Alimentação,1,,"]), false, audit)
+    assert.deepStrictEqual(notFound.errors, [{row: 1, errors: [{param: "id", msg: "Product not found."}]}])
+
+    assert.strictEqual(db.tables.product.length, 1)
+    assert.strictEqual(db.tables.category.length, 1)
+    assert.strictEqual(db.tables.audit_Log.length, 0)
+})
+
+const rows = [
+    header,
+    '1,Azeite,Azeite virgem extra,Alimentação > Azeites,1,"Origem: Portugal",0.5L|1L',
+    ",Mel,Mel de urze,Alimentação > Mel,0.5,Origem: Portugal|Bio: Sim,"
+]
+
+test("dry runs report what would be imported without changing the catalog", async () => {
+    const result = await catalog.importCatalog(csv(rows), true, audit)
+
+    assert.strictEqual(result.dry_run, true)
+    assert.strictEqual(result.applied, false)
+    assert.deepStrictEqual(result.errors, [])
+    assert.deepStrictEqual(result.summary, {
+        created: 1,
+        updated: 1,
+        categories: ["Alimentação > Azeites", "Alimentação > Mel"],
+        images: 0,
+        variants: 2
+    })
+    assert.deepStrictEqual(result.rows.map(({row, action, id, name, category}) => ({row, action, id, name, category})), [
+        {row: 1, action: "UPDATE", id: 1, name: "Azeite", category: null},
+        {row: 2, action: "CREATE", id: null, name: "Mel", category: null}
+    ])
+
+    assert.deepStrictEqual(db.tables.product, [{id: 1, name: "Azeite", description: "Azeite virgem", category: 1, parent: null, variant: null, weight: 1}])
+    assert.strictEqual(db.tables.category.length, 1)
+    assert.strictEqual(db.tables.audit_Log.length, 0)
+})
+
+test("imports create the missing categories and products, and update the listed ones", async () => {
+    const result = await catalog.importCatalog(csv(rows), false, audit)
+
+    assert.strictEqual(result.applied, true)
+    assert.deepStrictEqual(db.tables.category.map(({name, parent_category}) => [name, parent_category]), [
+        ["Alimentação", null], ["Azeites", 1], ["Mel", 1]
+    ])
+
+    const [azeite, , , mel] = db.tables.product
+    assert.deepStrictEqual([azeite.description, azeite.category, azeite.weight], ["Azeite virgem extra", 2, 1])
+    assert.deepStrictEqual([mel.name, mel.category, mel.weight], ["Mel", 3, 0.5])
+    assert.deepStrictEqual(db.tables.product.filter((product) => product.parent == 1).map(({variant, weight}) => [variant, weight]),
+        [["0.5L", 1], ["1L", 1]])
+    assert.deepStrictEqual(db.tables.productAttribute.map(({product, title, content}) => [product, title, content]), [
+        [1, "Origem", "Portugal"], [mel.id, "Origem", "Portugal"], [mel.id, "Bio", "Sim"]
+    ])
+
+    assert.deepStrictEqual(db.tables.audit_Log.map(({action, entity}) => `${action} ${entity}`),
+        ["CREATE CATEGORY", "CREATE CATEGORY", "UPDATE PRODUCT", "CREATE PRODUCT"])
+})
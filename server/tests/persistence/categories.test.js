@@ -0,0 +1,56 @@
+const test    = require("node:test");
+const assert  = require("node:assert");
+
+const { loadPersistence } = require("./setup");
+
+const { persistence, db } = loadPersistence({category: [], product: [], audit_Log: []})
+
+const audit = {actor: 100, ip: "127.0.0.1"}
+
+// The categories whose products are listed, by query
+let listedCategories = []
+
+db.onRawQuery(/FOR UPDATE/, () => db.tables.category.map(({id, parent_category}) => ({id, parent_category})))
+db.onRawQuery(/^SELECT COUNT\(\*\) AS total/, (sql) => {
+    listedCategories.push(JSON.parse(`[${sql.match(/p\.category IN \(([^)]*)\)/)[1]}]`))
+    return [{total: 0}]
+})
+db.onRawQuery(/./, () => [])
+
+// Frutas > Citrinos > Laranjas, and Legumes
+test.beforeEach(async () => {
+    db.tables.category = []
+    db.tables.audit_Log = []
+    listedCategories = []
+
+    await persistence.createCategory("Frutas", null, audit)
+    await persistence.createCategory("Citrinos", 1, audit)
+    await persistence.createCategory("Laranjas", 2, audit)
+    await persistence.createCategory("Legumes", null, audit)
+})
+
+test("a category can't be moved under itself or any of its subcategories", async () => {
+    assert.strictEqual(await persistence.updateCategory(1, {parent_category: 1}, audit), "CATEGORY_CYCLE")
+    assert.strictEqual(await persistence.updateCategory(1, {parent_category: 3}, audit), "CATEGORY_CYCLE")
+
+    assert.deepStrictEqual(db.tables.category.map((category) => category.parent_category), [null, 1, 2, null])
+    assert.strictEqual(db.tables.audit_Log.filter((entry) => entry.action == "UPDATE").length, 0)
+
+    // Anywhere else
+    assert.strictEqual((await persistence.updateCategory(2, {parent_category: 4}, audit)).parent_category, 4)
+    assert.strictEqual((await persistence.updateCategory(1, {parent_category: 3}, audit)).parent_category, 3)
+})
+
+test("listing a category lists the products of all its subcategories, as they are after being moved", async () => {
+    await persistence.getAllProducts(50, 1, 1, undefined, undefined, {})
+    assert.deepStrictEqual(listedCategories.pop(), [1, 2, 3])
+
+    await persistence.updateCategory(3, {parent_category: 4}, audit)
+    await persistence.createCategory("Limões", 2, audit)
+
+    await persistence.getAllProducts(50, 1, 1, undefined, undefined, {})
+    assert.deepStrictEqual(listedCategories.pop(), [1, 2, 5])
+
+    await persistence.getAllProducts(50, 1, 4, undefined, undefined, {})
+    assert.deepStrictEqual(listedCategories.pop(), [4, 3])
+})
@@ -0,0 +1,131 @@
+const test    = require("node:test");
+const assert  = require("node:assert");
+
+const { loadPersistence } = require("./setup");
+
+// Distances are estimated offline, with the haversine provider (see setup.js)
+const { persistence, db } = loadPersistence({}, {
+    user: {
+        Credentials: {model: "credentials", on: {id: "id"}, many: true},
+        Two_Factor: {model: "two_Factor", on: {id: "user"}},
+        Address: {model: "address", on: {id: "user"}, many: true},
+        Company: {model: "company", on: {company: "id"}}
+    },
+    supply: {
+        Supply_Transporter: {model: "supply_Transporter", on: {product: "product", supplier: "supplier", warehouse: "warehouse"}, many: true}
+    },
+    supply_Transporter: {
+        Supply: {model: "supply", on: {product: "product", supplier: "supplier", warehouse: "warehouse"}}
+    },
+    distribution_Center: {
+        Address: {model: "address", on: {address: "id"}},
+        Vehicle: {model: "vehicle", on: {id: "distribution_center"}, many: true}
+    },
+    credentials: {}, two_Factor: {}, company: {}, address: {}, cart: {}, warehouse: {}, product: {}, productImage: {},
+    vehicle: {}, order: {}, order_Item: {}
+})
+
+const consumerID = 1
+const supplierID = 2
+const transporterID = 10        // Ships from Porto
+const nearbyTransporterID = 11  // Ships from Lisbon, next to the consumer, but doesn't carry the item
+const fleetlessTransporterID = 12
+
+const lisbon = {latitude: 38.7223, longitude: -9.1393}
+const porto = {latitude: 41.1579, longitude: -8.6291}
+
+test.beforeEach(() => {
+    db.tables.user = [
+        {id: consumerID, first_name: "Consumidor", last_name: "Greenly", type: "CONSUMER", company: null},
+        {id: supplierID, first_name: "Fornecedor", last_name: "Greenly", type: "SUPPLIER", company: null},
+        ...[transporterID, nearbyTransporterID, fleetlessTransporterID].map((id) =>
+            ({id: id, first_name: "Transportador", last_name: "Greenly", type: "TRANSPORTER", company: null}))
+    ]
+    db.tables.credentials = []
+    db.tables.two_Factor = []
+    db.tables.company = []
+    db.tables.address = [
+        {id: 1, user: consumerID, is_shipping: true, ...lisbon},
+        {id: 2, user: supplierID, ...porto},
+        {id: 3, user: transporterID, ...porto},
+        {id: 4, user: nearbyTransporterID, latitude: 38.7, longitude: -9.14}
+    ]
+    db.tables.product = [
+        {id: 1, name: "Azeite", parent: null, variant: "1L", weight: 1},
+        {id: 2, name: "Azeite", parent: 1, variant: "0.5L", weight: 0.5},
+        {id: 3, name: "Maçãs", parent: null, variant: null, weight: null}
+    ]
+    db.tables.productImage = []
+    db.tables.warehouse = [{id: 1, supplier: supplierID, address: 2, resource_usage: 10, renewable_resources: 50}]
+    db.tables.supply = [1, 2, 3].map((product) => ({product: product, supplier: supplierID, warehouse: 1, quantity: 100, price: 2}))
+    db.tables.supply_Transporter = [1, 2, 3].flatMap((product) => [transporterID, fleetlessTransporterID].map((transporter) =>
+        ({product: product, supplier: supplierID, warehouse: 1, transporter: transporter, price: 5})))
+    db.tables.distribution_Center = [
+        {id: 1, transporter: transporterID, address: 3},
+        {id: 2, transporter: nearbyTransporterID, address: 4}
+    ]
+    db.tables.vehicle = [
+        {id: 1, transporter: transporterID, distribution_center: 1, fuel_type: "DIESEL", average_emissions: 60, payload_capacity: 10, resource_usage: 5},
+        {id: 2, transporter: nearbyTransporterID, distribution_center: 2, fuel_type: "ELECTRICITY", average_emissions: 20, payload_capacity: 10, resource_usage: 5}
+    ]
+    db.tables.order = []
+    db.tables.order_Item = []
+})
+
+const cartItem = (transporter, product = 1, index = 1) =>
+    ({index: index, consumer: consumerID, product: product, supplier: supplierID, warehouse: 1, transporter: transporter, quantity: 3})
+
+test("items are assigned a vehicle of their own transporter, with the carbon footprint of the distance it travels", async () => {
+    db.tables.cart = [cartItem(transporterID)]
+
+    const orderID = await persistence.createOrder(consumerID, 1, 1, null)
+
+    assert.strictEqual(typeof orderID, "number")
+    assert.strictEqual(db.tables.order_Item.length, 1)
+
+    const [item] = db.tables.order_Item
+    const vehicle = db.tables.vehicle.find((vehicle) => vehicle.id == item.vehicle && vehicle.transporter == item.transporter)
+
+    assert.strictEqual(item.transporter, transporterID)
+    assert.ok(vehicle, "the vehicle belongs to the item's transporter")
+
+    // Porto to Lisbon is about 274 km in a straight line, and roads are taken as 1.3 times longer
+    assert.ok(item.shipping_distance > 340 && item.shipping_distance < 370)
+    assert.ok(item.carbon_footprint > 0)
+})
+
+test("items bear their share, by weight, of the emissions of the vehicle's load", async () => {
+    db.tables.cart = [cartItem(transporterID, 1, 1), cartItem(transporterID, 2, 2), cartItem(transporterID, 3, 3)]
+
+    const [bottle, halfBottle, unweighed] = (await persistence.getCart(consumerID, 1)).items.map((item) => item.carbon_footprint)
+
+    // 3 kg of the vehicle's 10 t payload, which emits 60 g/km/t × 10 t × 1.24 (diesel) when full
+    assert.strictEqual(bottle.payload_share, 0.0003)
+    assert.ok(Math.abs(bottle.total - bottle.distance * 60 * 10 * 1.24 * 0.0003) < 0.01)
+
+    assert.strictEqual(halfBottle.payload_share, bottle.payload_share / 2)
+    assert.ok(Math.abs(halfBottle.total - bottle.total / 2) < 0.01)
+
+    // Products whose weight is unknown have no footprint
+    assert.strictEqual(unweighed, null)
+})
+
+test("the cart is estimated for the chosen shipping address, which has to be one of the user's", async () => {
+    db.tables.cart = [cartItem(transporterID)]
+    db.tables.address.push({id: 5, user: consumerID, is_shipping: false, ...porto})
+
+    const [toShippingAddress] = (await persistence.getCart(consumerID)).items
+    const [toPorto] = (await persistence.getCart(consumerID, 5)).items
+
+    assert.ok(toShippingAddress.carbon_footprint.distance > 340)
+    assert.ok(toPorto.carbon_footprint.distance < 1)
+
+    assert.strictEqual(await persistence.getCart(consumerID, 2), "INVALID_SHIPPING_ADDRESS")
+})
+
+test("orders can't be created if a transporter has no vehicles", async () => {
+    db.tables.cart = [cartItem(fleetlessTransporterID)]
+
+    assert.strictEqual(await persistence.createOrder(consumerID, 1, 1, null), "NO_VEHICLE")
+    assert.strictEqual(db.tables.order.length, 0)
+})
@@ -0,0 +1,117 @@
+const test    = require("node:test");
+const assert  = require("node:assert");
+
+const { loadPersistence } = require("./setup");
+
+const { persistence, db } = loadPersistence({
+    session: [], refresh_Token: [], api_Key: [], notification: [], wishlist: [], cart: [], reviewImage: []
+}, {
+    user: {
+        Company: {model: "company", on: {company: "id"}},
+        Credentials: {model: "credentials", on: {id: "id"}, many: true},
+        Address: {model: "address", on: {id: "user"}, many: true}
+    },
+    order: {
+        Order_Item: {model: "order_Item", on: {id: "order"}, many: true},
+        User: {model: "user", on: {consumer: "id"}}
+    },
+    order_Item: {
+        Order: {model: "order", on: {order: "id"}},
+        Supply: {model: "supply", on: {product: "product", supplier: "supplier", warehouse: "warehouse"}}
+    },
+    supply: {
+        Product: {model: "product", on: {product: "id"}},
+        User: {model: "user", on: {supplier: "id"}}
+    },
+    review: {
+        ReviewImage: {model: "reviewImage", on: {id: "review"}, many: true},
+        Order_Item: {model: "order_Item", on: {item: "id", order: "order"}}
+    },
+    company_Member: {
+        Company: {model: "company", on: {company: "id"}}
+    },
+    company: {
+        User: {model: "user", on: {id: "company"}, many: true}
+    },
+    credentials: {}, address: {}, product: {}
+})
+
+const consumerID = 1
+const otherConsumerID = 2
+const supplierID = 3
+
+// Secrets kept for the user, which are never exported
+const passwordHash = "$2b$10$Vx1DyhXsiQ9Yv8z0Q7bUe.2pNYSRSo2D6yVvYkT5mKjW1l0V8h6Ku"
+const refreshTokenHash = "$2b$10$1nQ9m7oGkYbH3s2a8Lr0iOeX6nJq0cV7tP5wZ4uR2yS1dF3gH8kLm"
+
+test.beforeEach(() => {
+    const date = new Date("2026-10-01T10:00:00Z")
+
+    db.tables.user = [
+        {id: consumerID, first_name: "Maria", last_name: "Silva", email: "maria@example.com", phone: "912345678", type: "CONSUMER",
+            registration_date: date, verified: true, company: null},
+        {id: otherConsumerID, first_name: "João", last_name: "Santos", email: "joao@example.com", phone: null, type: "CONSUMER",
+            registration_date: date, verified: true, company: null},
+        {id: supplierID, first_name: "Fornecedor", last_name: "Greenly", email: "quinta@example.com", phone: null, type: "SUPPLIER",
+            registration_date: date, verified: true, company: 1}
+    ]
+    db.tables.company = [{id: 1, name: "Quinta da Serra", bio: null, email: "quinta@example.com"}]
+    db.tables.company_Member = []
+    db.tables.credentials = [{id: consumerID, provider: "local", value: passwordHash, subject: null}]
+    db.tables.address = [
+        {id: 1, user: consumerID, street: "Rua das Flores, 1", city: "Lisboa", country: "Portugal", postal_code: "1000-001", is_shipping: false},
+        {id: 2, user: otherConsumerID, street: "Rua do Sol, 2", city: "Porto", country: "Portugal", postal_code: "4000-002", is_shipping: false}
+    ]
+    db.tables.product = [{id: 1, name: "Azeite", variant: null}]
+    db.tables.supply = [{product: 1, supplier: supplierID, warehouse: 1}]
+    db.tables.order = [
+        {id: 1, consumer: consumerID, date: date, shipping_address: 1},
+        {id: 2, consumer: otherConsumerID, date: date, shipping_address: 2}
+    ]
+    db.tables.order_Item = [
+        {id: 1, order: 1, product: 1, supplier: supplierID, warehouse: 1, status: "COMPLETE"},
+        {id: 1, order: 2, product: 1, supplier: supplierID, warehouse: 1, status: "COMPLETE"}
+    ]
+    db.tables.review = [
+        {id: 1, item: 1, order: 1, rating: 5, text: "Excelente", created: date, reply: null, replied: null, hidden: false},
+        {id: 2, item: 1, order: 2, rating: 1, text: "Mau", created: date, reply: null, replied: null, hidden: false}
+    ]
+    db.tables.session = [{id: "s1", user: consumerID, provider: "local", device: "Firefox", ip: "127.0.0.1", created: date, last_active: date}]
+    db.tables.refresh_Token = [{id: "r1", user: consumerID, session: "s1", value: refreshTokenHash, issued: date, expiration: date}]
+    db.tables.api_Key = []
+    db.tables.notification = [
+        {id: 1, user: consumerID, title: "Encomenda entregue", timestamp: date},
+        {id: 1, user: otherConsumerID, title: "Encomenda entregue", timestamp: date}
+    ]
+})
+
+test("the export holds the user's own data, and none of other users'", async () => {
+    const data = await persistence.getPersonalData(consumerID)
+
+    assert.deepStrictEqual(data.profile.email, "maria@example.com")
+    assert.deepStrictEqual(data.profile.identities, ["local"])
+    assert.deepStrictEqual(data.addresses.map((address) => address.id), [1])
+    assert.deepStrictEqual(data.orders.map((order) => [order.id, order.items.length]), [[1, 1]])
+    assert.deepStrictEqual(data.reviews.map((review) => review.text), ["Excelente"])
+    assert.deepStrictEqual(data.sessions.map((session) => session.device), ["Firefox"])
+    assert.deepStrictEqual(data.notifications.map((notification) => notification.user), [consumerID])
+    assert.deepStrictEqual(data.cart.items, [])
+
+    const exported = JSON.stringify(data)
+    assert.ok(!exported.includes("joao@example.com") && !exported.includes("Rua do Sol") && !exported.includes("Mau"))
+})
+
+test("secrets kept for the user aren't exported", async () => {
+    await persistence.createApiKey(consumerID, "Integração", ["orders:read"])
+    const apiKeyHash = db.tables.api_Key[0].value
+
+    const data = await persistence.getPersonalData(consumerID)
+    assert.deepStrictEqual(data.api_keys.map((apiKey) => apiKey.name), ["Integração"])
+
+    const exported = JSON.stringify(data)
+    assert.deepStrictEqual([passwordHash, apiKeyHash, refreshTokenHash].filter((secret) => exported.includes(secret)), [])
+})
+
+test("users who don't exist have nothing to export", async () => {
+    assert.strictEqual(await persistence.getPersonalData(4), "NOT_FOUND")
+})
@@ -0,0 +1,334 @@
+/*  In-memory stand-in for the Prisma client, so that persistence functions can be tested without a database.
+    Only the parts of the query API the tested functions use are implemented: equality and comparison filters,
+    compound keys, relation filters (some/none) and selections, nested writes (create, update and updateMany),
+    increments, counts and averages.
+
+    Tables are plain arrays of rows, by model (e.g. {vehicle: [...]}). Relations are declared per model:
+        {vehicle: {Distribution_Center: {model: "distribution_Center", on: {distribution_center: "id"}}}}
+    where on maps the model's fields to the related model's, and many tells one-to-many relations apart.
+    Column defaults are given per model as well (e.g. {refresh_Token: {revoked: false}}), and autoincremented IDs are
+    assigned to rows created without one.
+    Raw queries aren't interpreted: tests answer the ones they expect with onRawQuery, matching their SQL with the values
+    written in (e.g. "WHERE p.category IN (1, 2)").
+*/
+
+const operators = ["equals", "in", "notIn", "lt", "lte", "gt", "gte", "not", "contains"]
+
+function isOperatorObject(value) {
+    return value && typeof value == "object" && !(value instanceof Date) && !Array.isArray(value)
+        && Object.keys(value).length > 0 && Object.keys(value).every((key) => operators.includes(key))
+}
+
+// Dates and numbers compare by value
+const comparable = (value) => value instanceof Date ? value.getTime() : value
+
+class FakePrisma {
+    constructor(tables = {}, relations = {}, defaults = {}) {
+        this.tables = tables
+        this.relations = relations
+        this.defaults = defaults
+        this.rawQueries = []
+
+        const models = new Set([...Object.keys(tables), ...Object.keys(relations)])
+        for (const model of models) {
+            this.tables[model] = this.tables[model] || []
+            this[model] = this.delegate(model)
+        }
+    }
+
+    /* Filtering */
+
+    related(model, row, name) {
+        const relation = this.relations[model][name]
+        const rows = this.tables[relation.model].filter((other) =>
+            Object.entries(relation.on).every(([field, otherField]) => comparable(row[field]) == comparable(other[otherField])))
+
+        return relation.many ? rows : rows[0] || null
+    }
+
+    matches(model, row, where = {}) {
+        return Object.entries(where).every(([key, condition]) => {
+            if (condition === undefined) return true;
+
+            if (key == "AND") return [].concat(condition).every((nested) => this.matches(model, row, nested));
+            if (key == "OR") return condition.some((nested) => this.matches(model, row, nested));
+            if (key == "NOT") return ![].concat(condition).some((nested) => this.matches(model, row, nested));
+
+            if (this.relations[model] && key in this.relations[model]) {
+                const related = this.related(model, row, key)
+
+                if (this.relations[model][key].many) {
+                    if (condition.some) return related.some((other) => this.matches(this.relations[model][key].model, other, condition.some));
+                    if (condition.none) return !related.some((other) => this.matches(this.relations[model][key].model, other, condition.none));
+                    if (condition.every) return related.every((other) => this.matches(this.relations[model][key].model, other, condition.every));
+                }
+
+                if (condition === null) return related === null;
+                return related !== null && this.matches(this.relations[model][key].model, related, condition.is || condition);
+            }
+
+            // Compound keys (e.g. id_supplier: {id, supplier})
+            if (!(key in row) && condition && typeof condition == "object" && !isOperatorObject(condition)) {
+                return this.matches(model, row, condition)
+            }
+
+            const value = comparable(row[key])
+
+            if (!isOperatorObject(condition)) return value == comparable(condition) || (value === undefined && condition === null);
+
+            // Undefined operands are ignored, as by Prisma
+            return Object.entries(condition).filter(([, operand]) => operand !== undefined).every(([operator, operand]) => {
+                switch (operator) {
+                    case "equals":   return value == comparable(operand)
+                    case "in":       return operand.map(comparable).includes(value)
+                    case "notIn":    return !operand.map(comparable).includes(value)
+                    case "lt":       return value < comparable(operand)
+                    case "lte":      return value <= comparable(operand)
+                    case "gt":       return value > comparable(operand)
+                    case "gte":      return value >= comparable(operand)
+                    case "not":      return isOperatorObject(operand) ? !this.matches(model, row, {[key]: operand}) : value != comparable(operand)
+                    case "contains": return String(row[key]).includes(operand)
+                }
+            })
+        })
+    }
+
+    /* Shaping results */
+
+    shape(model, row, args = {}) {
+        let result = {}
+
+        if (args.select) {
+            for (const [key, selection] of Object.entries(args.select)) {
+                if (!selection) continue;
+                result[key] = this.relations[model] && key in this.relations[model]
+                    ? this.shapeRelation(model, row, key, selection)
+                    : row[key]
+            }
+            return result
+        }
+
+        result = {...row}
+
+        for (const [key, selection] of Object.entries(args.include || {})) {
+            if (selection) result[key] = this.shapeRelation(model, row, key, selection)
+        }
+
+        return result
+    }
+
+    shapeRelation(model, row, key, selection) {
+        const relation = this.relations[model][key]
+        const nested = selection === true ? {} : selection
+
+        if (!relation.many) {
+            const related = this.related(model, row, key)
+            return related ? this.shape(relation.model, related, nested) : null
+        }
+
+        return this.sorted(this.related(model, row, key).filter((other) => this.matches(relation.model, other, nested.where)), nested.orderBy)
+            .map((other) => this.shape(relation.model, other, nested))
+    }
+
+    sorted(rows, orderBy) {
+        if (!orderBy) return rows;
+
+        return [...rows].sort((a, b) => {
+            for (const order of [].concat(orderBy)) {
+                for (const [field, direction] of Object.entries(order)) {
+                    const difference = comparable(a[field]) < comparable(b[field]) ? -1 : comparable(a[field]) > comparable(b[field]) ? 1 : 0
+                    if (difference) return direction == "desc" ? -difference : difference
+                }
+            }
+            return 0
+        })
+    }
+
+    /* Writing */
+
+    applyData(row, data) {
+        for (const [field, value] of Object.entries(data)) {
+            if (value && typeof value == "object" && !(value instanceof Date) && !Array.isArray(value)) {
+                if ("increment" in value) { row[field] = Number(row[field] || 0) + value.increment; continue; }
+                if ("decrement" in value) { row[field] = Number(row[field] || 0) - value.decrement; continue; }
+                if ("set" in value) { row[field] = value.set; continue; }
+            }
+            row[field] = value
+        }
+        return row
+    }
+
+    /* Writes the data to a row of the model, including nested writes to its relations */
+    write(model, row, data) {
+        const relations = this.relations[model] || {}
+        const nested = Object.entries(data).filter(([field]) => field in relations)
+
+        this.applyData(row, Object.fromEntries(Object.entries(data).filter(([field]) => !(field in relations))))
+
+        for (const [name, writes] of nested) {
+            const relation = relations[name]
+            const keys = Object.fromEntries(Object.entries(relation.on).map(([field, otherField]) => [otherField, row[field]]))
+
+            if (writes.create) [].concat(writes.create).forEach((create) => this.create(relation.model, {...create, ...keys}))
+            if (writes.update) this.write(relation.model, this.related(model, row, name), writes.update)
+            if (writes.updateMany) {
+                this.related(model, row, name).filter((other) => this.matches(relation.model, other, writes.updateMany.where))
+                    .forEach((other) => this.write(relation.model, other, writes.updateMany.data))
+            }
+        }
+
+        return row
+    }
+
+    create(model, data) {
+        const table = this.tables[model]
+        let row = {...this.defaults[model]}
+
+        // Assigned before writing, as nested writes refer to it
+        if (data.id === undefined && row.id === undefined && table.every((other) => typeof other.id != "string")) {
+            row.id = table.reduce((highest, other) => Math.max(highest, Number(other.id) || 0), 0) + 1
+        }
+
+        table.push(row)
+        return this.write(model, row, data)
+    }
+
+    delegate(model) {
+        const table = () => this.tables[model]
+        const find = (where) => table().filter((row) => this.matches(model, row, where))
+
+        return {
+            findUnique: async (args) => {
+                const row = find(args.where)[0]
+                return row ? this.shape(model, row, args) : null
+            },
+            findFirst: async (args = {}) => {
+                const row = this.sorted(find(args.where), args.orderBy)[0]
+                return row ? this.shape(model, row, args) : null
+            },
+            findMany: async (args = {}) => {
+                let rows = this.sorted(find(args.where), args.orderBy)
+                if (args.skip) rows = rows.slice(args.skip)
+                if (args.take) rows = rows.slice(0, args.take)
+                return rows.map((row) => this.shape(model, row, args))
+            },
+            count: async (args = {}) => find(args.where).length,
+            aggregate: async (args = {}) => {
+                const rows = find(args.where)
+                let result = {}
+
+                for (const [aggregate, fields] of Object.entries(args).filter(([key]) => key.startsWith("_"))) {
+                    result[aggregate] = {}
+                    for (const field of Object.keys(fields)) {
+                        const values = rows.map((row) => Number(row[field]))
+                        const sum = values.reduce((total, value) => total + value, 0)
+                        result[aggregate][field] = !values.length ? null
+                            : aggregate == "_avg" ? sum / values.length
+                            : aggregate == "_sum" ? sum
+                            : aggregate == "_max" ? Math.max(...values)
+                            : Math.min(...values)
+                    }
+                }
+
+                return result
+            },
+            create: async (args) => this.shape(model, this.create(model, args.data), args),
+            createMany: async (args) => {
+                for (const data of args.data) this.create(model, data)
+                return {count: args.data.length}
+            },
+            update: async (args) => {
+                const row = find(args.where)[0]
+                if (!row) throw Object.assign(new Error("Record to update not found."), {code: "P2025"})
+                return this.shape(model, this.write(model, row, args.data), args)
+            },
+            updateMany: async (args) => {
+                const rows = find(args.where)
+                rows.forEach((row) => this.applyData(row, args.data))
+                return {count: rows.length}
+            },
+            upsert: async (args) => {
+                const row = find(args.where)[0]
+                return this.shape(model, row ? this.applyData(row, args.update) : this.create(model, args.create), args)
+            },
+            delete: async (args) => {
+                const row = find(args.where)[0]
+                if (!row) throw Object.assign(new Error("Record to delete does not exist."), {code: "P2025"})
+                this.tables[model] = table().filter((other) => other !== row)
+                return row
+            },
+            deleteMany: async (args = {}) => {
+                const rows = find(args.where)
+                this.tables[model] = table().filter((row) => !rows.includes(row))
+                return {count: rows.length}
+            }
+        }
+    }
+
+    /* Client */
+
+    async $connect() {}
+
+    async $disconnect() {}
+
+    async $transaction(operations) {
+        return typeof operations == "function" ? await operations(this) : await Promise.all(operations)
+    }
+
+    /* Answers the raw queries whose SQL matches the pattern with handler(sql) */
+    onRawQuery(pattern, handler) {
+        this.rawQueries.push({pattern, handler})
+    }
+
+    // Raw queries are either tagged templates or Prisma.sql fragments
+    async raw(strings, values) {
+        const sql = writeSQL(Array.isArray(strings) ? {strings, values} : strings).replace(/\s+/g, " ").trim()
+        const rawQuery = this.rawQueries.find(({pattern}) => pattern.test(sql))
+
+        if (!rawQuery) throw new Error(`Raw query not supported by the in-memory database: ${sql}`)
+
+        return rawQuery.handler(sql)
+    }
+
+    async $queryRaw(strings, ...values) {
+        return await this.raw(strings, values)
+    }
+
+    async $executeRaw(strings, ...values) {
+        return await this.raw(strings, values)
+    }
+}
+
+/* SQL of a fragment, nested ones included, with its values written in */
+function writeSQL(value) {
+    if (value && value.strings) return value.strings.reduce((sql, string, i) => sql + writeSQL(value.values[i - 1]) + string);
+    if (value && value.raw !== undefined) return value.raw;
+    if (value && Array.isArray(value.values)) return value.values.map(writeSQL).join(value.separator ?? ", ");
+
+    return value instanceof Date ? `'${value.toISOString()}'` : JSON.stringify(value ?? null)
+}
+
+/* The parts of the Prisma namespace used when persistence is loaded */
+
+class Decimal {
+    constructor(value) {
+        this.value = Number(value)
+    }
+
+    toNumber() {
+        return this.value
+    }
+}
+
+const Prisma = {
+    Decimal: Decimal,
+    sql: (strings, ...values) => ({strings, values}),
+    join: (values, separator) => ({values, separator}),
+    raw: (value) => ({raw: value}),
+    empty: {strings: [""], values: []}
+}
+
+module.exports = {
+    FakePrisma,
+    Prisma
+}
@@ -0,0 +1,48 @@
+const test    = require("node:test");
+const assert  = require("node:assert");
+
+const { loadPersistence } = require("./setup");
+
+const { persistence, db } = loadPersistence({login_Throttle: []})
+
+const identifier = "account:consumer@greenly.pt"
+
+test.beforeEach(() => {
+    db.tables.login_Throttle = []
+})
+
+test("counts failed logins and locks the account once the limit is reached", async () => {
+    for (let i = 1; i < 10; i++) {
+        const throttle = await persistence.recordLoginFailure(identifier, 15, 10, 15)
+        assert.strictEqual(throttle.failures, i)
+        assert.strictEqual(throttle.locked, false)
+    }
+
+    const throttle = await persistence.recordLoginFailure(identifier, 15, 10, 15)
+
+    assert.strictEqual(throttle.locked, true)
+    assert.strictEqual(throttle.failures, 0)
+    assert.ok(throttle.locked_until > new Date())
+})
+
+test("simultaneous failed logins are all counted", async () => {
+    const throttles = await Promise.all(Array.from({length: 10}, () =>
+        persistence.recordLoginFailure(identifier, 15, 10, 15)))
+
+    assert.strictEqual(throttles.filter((throttle) => throttle.locked).length, 1)
+    assert.ok((await persistence.getLoginThrottle(identifier)).locked_until > new Date())
+})
+
+test("the count starts over after resetAfter minutes without failures", async () => {
+    db.tables.login_Throttle = [{
+        identifier: identifier,
+        failures: 9,
+        last_failure: new Date(Date.now() - 20 * 60 * 1000),
+        locked_until: null
+    }]
+
+    const throttle = await persistence.recordLoginFailure(identifier, 15, 10, 15)
+
+    assert.strictEqual(throttle.failures, 1)
+    assert.strictEqual(throttle.locked, false)
+})
@@ -0,0 +1,160 @@
+const test    = require("node:test");
+const assert  = require("node:assert");
+
+const { loadPersistence } = require("./setup");
+
+const { persistence, db } = loadPersistence({category: [], productImage: [], productAttribute: []}, {
+    product: {
+        other_Product: {model: "product", on: {id: "parent"}, many: true},
+        Category: {model: "category", on: {category: "id"}},
+        ProductImage: {model: "productImage", on: {id: "product"}, many: true}
+    }
+})
+
+// The listing is queried in SQL, so the page query is answered here from the listed products, as the database would:
+// products after the cursor's position, if any, in the requested order
+function listingPage(sql) {
+    const [, filters, key, direction, limit, offset] = sql.match(/ AS listing WHERE (.*) ORDER BY (\w+) (ASC|DESC)(?:, id \w+)? LIMIT (\d+) OFFSET (\d+)$/)
+    const sign = direction == "ASC" ? 1 : -1
+    const compare = (a, b) => a < b ? -sign : a > b ? sign : 0
+
+    let rows = listedProducts()
+    const keyset = filters.match(/\((\w+) [<>] (.+?) OR \(\1 = \2 AND id [<>] (\d+)\)\)/)
+    const idset = filters.match(/id [<>] (\d+)/)
+
+    if (keyset) {
+        const [, , value, id] = keyset
+        rows = rows.filter((row) => compare(row[key], JSON.parse(value)) > 0 || (row[key] == JSON.parse(value) && compare(row.id, Number(id)) > 0))
+    } else if (idset) {
+        rows = rows.filter((row) => compare(row.id, Number(idset[1])) > 0)
+    }
+
+    const sortKey = key == "id" ? [] : [key]
+    return rows
+        .sort((a, b) => sortKey.reduce((difference, field) => difference || compare(a[field], b[field]), 0) || compare(a.id, b.id))
+        .slice(Number(offset), Number(offset) + Number(limit))
+}
+
+const listedProducts = () => db.tables.product.map(({id, name, price}) =>
+    ({id, name, lowest_price: price, highest_price: price, relevance: 0}))
+
+// Attribute facets are counted per title, each within a listing filtered by some of the attributes
+function attributeFacets(sql) {
+    const rows = sql.split(" UNION ALL ").flatMap((facet) => {
+        const filters = [...facet.matchAll(/pa\.title = ("[^"]*") AND pa\.content IN \(([^)]*)\)\)/g)]
+            .map(([, title, contents]) => ({title: JSON.parse(title), contents: JSON.parse(`[${contents}]`)}))
+        const [, excluded, included] = facet.match(/AND (?:pa\.title NOT IN \(([^)]*)\)|pa\.title = ("[^"]*")|TRUE) GROUP BY/)
+
+        const listed = db.tables.product.filter((product) => filters.every(({title, contents}) =>
+            db.tables.productAttribute.some((attribute) => attribute.product == product.id && attribute.title == title && contents.includes(attribute.content))))
+
+        const counted = db.tables.productAttribute.filter((attribute) => listed.some((product) => product.id == attribute.product)
+            && (excluded ? !JSON.parse(`[${excluded}]`).includes(attribute.title) : !included || attribute.title == JSON.parse(included)))
+
+        return [...new Set(counted.map(({title, content}) => JSON.stringify([title, content])))].map((value) => {
+            const [title, content] = JSON.parse(value)
+            return {title, content, total_products: BigInt(counted.filter((attribute) => attribute.title == title && attribute.content == content).length)}
+        })
+    })
+
+    return rows.sort((a, b) => a.title.localeCompare(b.title) || Number(b.total_products - a.total_products) || a.content.localeCompare(b.content))
+}
+
+// Listed products by price range, as the index of the first bound above their lowest price
+function priceFacets(sql) {
+    const bounds = JSON.parse(`[${sql.match(/INTERVAL\(lowest_price, ([^)]*)\)/)[1]}]`)
+    const buckets = listedProducts().map(({lowest_price}) => bounds.filter((bound) => bound <= lowest_price).length)
+
+    return [...new Set(buckets)].map((bucket) => ({bucket: BigInt(bucket), total_products: BigInt(buckets.filter((other) => other == bucket).length)}))
+}
+
+db.onRawQuery(/^SELECT COUNT\(\*\) AS total/, () => [{total: db.tables.product.length}])
+db.onRawQuery(/^SELECT \* FROM \( SELECT p\.id/, listingPage)
+db.onRawQuery(/^SELECT \* FROM \(\( SELECT pa\.title/, attributeFacets)
+db.onRawQuery(/^SELECT INTERVAL\(lowest_price/, priceFacets)
+db.onRawQuery(/./, () => [])
+
+// Every product listed by following the cursors, a page of the given size at a time
+async function listAll(sort, limit, {between} = {}) {
+    let ids = []
+    let cursor = undefined
+    let pages = 0
+
+    do {
+        const result = await persistence.getAllProducts(limit, 1, undefined, undefined, sort, {}, undefined, false, cursor)
+        ids.push(...result.products.map((product) => product.id))
+        cursor = result.next_cursor
+        pages++
+
+        if (between) await between()
+    } while (cursor)
+
+    return {ids, pages}
+}
+
+test.beforeEach(() => {
+    db.tables.product = [
+        {id: 1, name: "Azeite", price: 4, parent: null},
+        {id: 2, name: "Mel", price: 6, parent: null},
+        {id: 3, name: "Azeite", price: 8, parent: null},
+        {id: 4, name: "Queijo", price: 6, parent: null},
+        {id: 5, name: "Mel", price: 4, parent: null}
+    ]
+    db.tables.productAttribute = [
+        [1, "Origem", "Portugal"], [1, "Bio", "Sim"], [1, "Tipo", "Virgem"],
+        [2, "Origem", "Espanha"], [2, "Bio", "Sim"],
+        [3, "Origem", "Portugal"], [3, "Bio", "Não"],
+        [4, "Origem", "Portugal"], [4, "Bio", "Sim"], [4, "Tipo", "Extra"],
+        [5, "Origem", "Espanha"], [5, "Bio", "Não"]
+    ].map(([product, title, content]) => ({product, title, content}))
+})
+
+test("following the cursors lists every product once, in sort order, ties broken by ID", async () => {
+    assert.deepStrictEqual(await listAll("newest", 2), {ids: [5, 4, 3, 2, 1], pages: 3})
+    assert.deepStrictEqual(await listAll("name_asc", 2), {ids: [1, 3, 2, 5, 4], pages: 3})
+    assert.deepStrictEqual(await listAll("name_desc", 2), {ids: [4, 5, 2, 3, 1], pages: 3})
+    assert.deepStrictEqual(await listAll("price_asc", 2), {ids: [1, 5, 2, 4, 3], pages: 3})
+    assert.deepStrictEqual(await listAll("newest", 5), {ids: [5, 4, 3, 2, 1], pages: 1})
+})
+
+test("products added while paging don't shift the following pages", async () => {
+    let id = 5
+    const between = async () => {
+        db.tables.product.push({id: ++id, name: "Pão", price: 1, parent: null})
+    }
+
+    assert.deepStrictEqual((await listAll("newest", 2, {between})).ids, [5, 4, 3, 2, 1])
+})
+
+test("cursors which can't be decoded are refused", async () => {
+    assert.strictEqual(await persistence.getAllProducts(2, 1, undefined, undefined, "newest", {}, undefined, false, "invalid"), "INVALID_CURSOR")
+    assert.strictEqual(await persistence.getAllProducts(2, 1, undefined, undefined, "newest", {}, undefined, false,
+        Buffer.from(JSON.stringify(["Mel", "2"])).toString("base64url")), "INVALID_CURSOR")
+})
+
+test("the facet of each filtered attribute counts the products matching every other filter, so its other values can be offered", async () => {
+    const {facets} = await persistence.getAllProducts(2, 1, undefined, undefined, "newest", {}, undefined, false, undefined,
+        {Origem: "Portugal", Bio: ["Sim"]})
+
+    assert.deepStrictEqual(facets.attributes, [
+        // Of the products from Portugal
+        {title: "Bio", values: [{content: "Sim", total_products: 2}, {content: "Não", total_products: 1}]},
+        // Of the organic products
+        {title: "Origem", values: [{content: "Portugal", total_products: 2}, {content: "Espanha", total_products: 1}]},
+        // Of the organic products from Portugal
+        {title: "Tipo", values: [{content: "Extra", total_products: 1}, {content: "Virgem", total_products: 1}]}
+    ])
+})
+
+test("listed products are counted by price range", async () => {
+    const {facets} = await persistence.getAllProducts(2, 1, undefined, undefined, "newest", {})
+
+    assert.deepStrictEqual(facets.price_ranges, [
+        {min: 0, max: 5, total_products: 2},
+        {min: 5, max: 10, total_products: 3},
+        {min: 10, max: 25, total_products: 0},
+        {min: 25, max: 50, total_products: 0},
+        {min: 50, max: 100, total_products: 0},
+        {min: 100, max: null, total_products: 0}
+    ])
+})
@@ -0,0 +1,52 @@
+const test    = require("node:test");
+const assert  = require("node:assert");
+
+const { loadPersistence } = require("./setup");
+
+const { persistence, db } = loadPersistence({refresh_Token: [], session: []}, {}, {refresh_Token: {revoked: false}})
+
+const userID = 1
+
+test.beforeEach(() => {
+    db.tables.refresh_Token = []
+    db.tables.session = [{
+        id: "session",
+        user: userID,
+        provider: "local",
+        device: null,
+        ip: "127.0.0.1",
+        created: new Date(),
+        last_active: new Date()
+    }]
+})
+
+test("a refresh token can be exchanged once", async () => {
+    const token = await persistence.createRefreshToken(userID, "session")
+
+    assert.deepStrictEqual(await persistence.rotateRefreshToken(token, "10.0.0.1"), {user: userID, session: "session"})
+    assert.strictEqual(db.tables.session[0].ip, "10.0.0.1")
+
+    assert.strictEqual(await persistence.rotateRefreshToken(token, "10.0.0.1"), "REUSED_TOKEN")
+    assert.strictEqual(db.tables.session.length, 0)
+})
+
+test("of simultaneous exchanges of the same refresh token only one succeeds", async () => {
+    const token = await persistence.createRefreshToken(userID, "session")
+
+    const results = await Promise.all([
+        persistence.rotateRefreshToken(token, "10.0.0.1"),
+        persistence.rotateRefreshToken(token, "10.0.0.2")
+    ])
+
+    assert.strictEqual(results.filter((result) => result.user == userID).length, 1)
+    assert.strictEqual(results.filter((result) => result == "REUSED_TOKEN").length, 1)
+})
+
+test("refresh tokens with a wrong secret or past their expiration are refused", async () => {
+    const token = await persistence.createRefreshToken(userID, "session")
+
+    assert.strictEqual(await persistence.rotateRefreshToken(token.split(".")[0] + ".wrong", "10.0.0.1"), "INVALID_TOKEN")
+
+    db.tables.refresh_Token[0].expiration = new Date(Date.now() - 1000)
+    assert.strictEqual(await persistence.rotateRefreshToken(token, "10.0.0.1"), "EXPIRED_TOKEN")
+})
@@ -0,0 +1,81 @@
+const test    = require("node:test");
+const assert  = require("node:assert");
+
+const { loadPersistence } = require("./setup");
+
+const { persistence, db } = loadPersistence({}, {
+    order: {
+        User: {model: "user", on: {consumer: "id"}}
+    },
+    order_Item: {
+        Order: {model: "order", on: {order: "id"}},
+        Review: {model: "review", on: {id: "item", order: "order"}},
+        Supply: {model: "supply", on: {product: "product", supplier: "supplier", warehouse: "warehouse"}}
+    },
+    supply: {
+        Product: {model: "product", on: {product: "id"}},
+        User: {model: "user", on: {supplier: "id"}}
+    },
+    user: {
+        Company: {model: "company", on: {company: "id"}}
+    },
+    review: {
+        ReviewImage: {model: "reviewImage", on: {id: "review"}, many: true},
+        Order_Item: {model: "order_Item", on: {item: "id", order: "order"}}
+    },
+    product: {}, company: {}, reviewImage: {}
+}, {
+    review: {reply: null, replied: null, hidden: false}
+})
+
+const consumer = {id: 1, type: "CONSUMER"}
+const otherConsumer = {id: 2, type: "CONSUMER"}
+const supplier = {id: 3, type: "SUPPLIER"}
+
+test.beforeEach(() => {
+    db.tables.user = [
+        {id: consumer.id, first_name: "Maria", last_name: "Silva", type: "CONSUMER", company: null},
+        {id: otherConsumer.id, first_name: "João", last_name: "Santos", type: "CONSUMER", company: null},
+        {id: supplier.id, first_name: "Fornecedor", last_name: "Greenly", type: "SUPPLIER", company: 1}
+    ]
+    db.tables.company = [{id: 1, name: "Quinta da Serra"}]
+    db.tables.product = [{id: 1, name: "Azeite", variant: "1L"}]
+    db.tables.supply = [{product: 1, supplier: supplier.id, warehouse: 1}]
+    db.tables.order = [{id: 1, consumer: consumer.id}, {id: 2, consumer: otherConsumer.id}]
+    db.tables.order_Item = [
+        {id: 1, order: 1, product: 1, supplier: supplier.id, warehouse: 1, status: "COMPLETE"},
+        {id: 2, order: 1, product: 1, supplier: supplier.id, warehouse: 1, status: "IN_TRANSIT"},
+        {id: 1, order: 2, product: 1, supplier: supplier.id, warehouse: 1, status: "COMPLETE"}
+    ]
+    db.tables.review = []
+    db.tables.reviewImage = []
+})
+
+test("the consumer can review each delivered item of their orders once", async () => {
+    const review = await persistence.createReview(consumer.id, 1, 1, 4, "Muito bom")
+
+    assert.strictEqual(review.rating, 4)
+    assert.strictEqual(review.author, "Maria S.")
+    assert.deepStrictEqual(review.product, {id: 1, name: "Azeite", variant: "1L"})
+    assert.deepStrictEqual(review.supplier, {id: supplier.id, name: "Quinta da Serra"})
+    assert.deepStrictEqual(review.item, {id: 1, order: 1})
+
+    assert.strictEqual(await persistence.createReview(consumer.id, 1, 1, 5), "ALREADY_REVIEWED")
+    assert.strictEqual(db.tables.review.length, 1)
+})
+
+test("items can only be reviewed once delivered", async () => {
+    assert.strictEqual(await persistence.createReview(consumer.id, 1, 2, 4), "NOT_COMPLETE")
+    assert.strictEqual(db.tables.review.length, 0)
+})
+
+test("items of other consumers' orders, or which don't exist, can't be reviewed", async () => {
+    assert.strictEqual(await persistence.createReview(consumer.id, 2, 1, 4), "NOT_FOUND")
+    assert.strictEqual(await persistence.createReview(consumer.id, 1, 3, 4), "NOT_FOUND")
+    assert.strictEqual(db.tables.review.length, 0)
+
+    // Checked before any photos are received
+    assert.strictEqual(await persistence.checkUserItemRelationship(consumer, 1, 1), true)
+    assert.strictEqual(await persistence.checkUserItemRelationship(consumer, 2, 1), false)
+    assert.strictEqual(await persistence.checkUserItemRelationship(consumer, 1, 3), false)
+})
@@ -0,0 +1,41 @@
+/*  Loads lib/persistence.js against the in-memory database (see fakePrisma.js), offline: images are stored on the
+    local disk and distances are estimated with the haversine provider.
+*/
+
+const os    = require("os");
+const path  = require("path");
+
+const { FakePrisma, Prisma } = require("./fakePrisma");
+
+function inject(modulePath, exports) {
+    require.cache[modulePath] = {id: modulePath, filename: modulePath, loaded: true, exports: exports}
+}
+
+/* Returns the persistence library and the database it uses, holding the given tables (see fakePrisma.js) */
+function loadPersistence(tables = {}, relations = {}, defaults = {}) {
+    process.env.STORAGE_DRIVER = "local"
+    process.env.STORAGE_DIRECTORY = path.join(os.tmpdir(), "greenly-tests")
+    process.env.DISTANCE_PROVIDER = "haversine"
+    delete process.env.GOOGLE_API_KEY
+
+    // Sign-in providers are set up when lib/authentication.js is loaded (e.g. by lib/validation.js), though never reached
+    for (const variable of ["JWT_SECRET", "FACEBOOK_APP_ID", "FACEBOOK_APP_SECRET", "GOOGLE_CLIENT_ID", "GOOGLE_CLIENT_SECRET"]) {
+        process.env[variable] = process.env[variable] || "test"
+    }
+
+    const db = new FakePrisma(tables, relations, defaults)
+
+    inject(require.resolve("@prisma/client"), {PrismaClient: function () { return db }, Prisma: Prisma})
+
+    // Persistence reads the command line flags from the server, which would otherwise be started
+    inject(path.resolve(__dirname, "../../server.js"), {argv: {}})
+
+    return {
+        persistence: require("../../lib/persistence"),
+        db: db
+    }
+}
+
+module.exports = {
+    loadPersistence
+}
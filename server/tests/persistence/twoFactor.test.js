@@ -0,0 +1,52 @@
+const test    = require("node:test");
+const assert  = require("node:assert");
+
+const { authenticator } = require("otplib");
+
+const { loadPersistence } = require("./setup");
+
+const { persistence, db } = loadPersistence({two_Factor: [], recovery_Code: []}, {
+    two_Factor: {Recovery_Code: {model: "recovery_Code", on: {user: "user"}, many: true}}
+}, {
+    two_Factor: {enabled: false}
+})
+
+const userID = 1
+
+// The code the user's authenticator app shows the given number of 30 second periods from now
+const codeAt = (secret, periods) => authenticator.clone({epoch: Date.now() + periods * 30 * 1000}).generate(secret)
+
+let secret, recoveryCodes
+
+test.beforeEach(async () => {
+    db.tables.two_Factor = []
+    db.tables.recovery_Code = []
+
+    secret = (await persistence.startTwoFactorEnrollment(userID)).secret
+    recoveryCodes = (await persistence.confirmTwoFactorEnrollment(userID, codeAt(secret, 0))).recovery_codes
+})
+
+test("a code is only accepted once, as are codes older than the last one accepted", async () => {
+    // Used to confirm the enrollment
+    assert.strictEqual(await persistence.verifyTwoFactorCode(userID, codeAt(secret, 0)), false)
+
+    assert.strictEqual(await persistence.verifyTwoFactorCode(userID, codeAt(secret, 1)), true)
+    assert.strictEqual(await persistence.verifyTwoFactorCode(userID, codeAt(secret, 1)), false)
+    assert.strictEqual(await persistence.verifyTwoFactorCode(userID, codeAt(secret, -1)), false)
+})
+
+test("of simultaneous attempts with the same code only one succeeds", async () => {
+    const code = codeAt(secret, 1)
+
+    const results = await Promise.all([...Array(5)].map(() => persistence.verifyTwoFactorCode(userID, code)))
+
+    assert.strictEqual(results.filter((result) => result).length, 1)
+})
+
+test("recovery codes are spent once used", async () => {
+    assert.strictEqual(await persistence.verifyTwoFactorCode(userID, recoveryCodes[0].toUpperCase()), true)
+    assert.strictEqual(await persistence.verifyTwoFactorCode(userID, recoveryCodes[0]), false)
+    assert.strictEqual(db.tables.recovery_Code.length, recoveryCodes.length - 1)
+
+    assert.strictEqual(await persistence.verifyTwoFactorCode(userID, "not-a-code"), false)
+})